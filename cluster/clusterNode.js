@@ -0,0 +1,589 @@
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const { isPattern, matchTopic } = require('../pubsub/topicPattern');
+const { toJSONMessage, fromJSONMessage } = require('../pubsub/messageCodec');
+
+/**
+ * Cluster Node
+ *
+ * Joins several PubSubServer processes into one cluster. Each node listens on
+ * its own cluster port and dials every peer it is configured with. After the
+ * handshake a link carries frames both ways, so peering only has to be
+ * configured on one side:
+ *
+ *   hello    { node_id, secret }          dialer -> acceptor, first frame
+ *   welcome  { node_id }                  acceptor -> dialer, link is ready
+ *   interest { reset, add, remove }       names the sender has subscribers for
+ *   publish  { topic, message }           a message published on the sender
+ *
+ * Two nodes that list each other end up with a link in each direction. Each
+ * node sends its frames to a peer over the first of them to come up and
+ * switches to the other if that one drops, so nothing is delivered twice.
+ *
+ * Interest is a set of topic names, wildcard patterns and pending request
+ * inboxes. A node forwards a publish only over links to nodes whose interest
+ * matches the topic, so each node only receives what its own subscribers
+ * want. Forwarded messages are delivered live; replay history, offsets,
+ * retained values and the durable log stay on the node a message was
+ * published on.
+ *
+ * Every node can be given the same peer list: a link that reaches the node
+ * itself is closed and not retried.
+ *
+ * Peers publish to local subscribers without ACL checks, so the cluster port
+ * listens on loopback unless a host is configured, and a node reachable from
+ * other hosts should be given a shared secret.
+ */
+
+const CLOSE_SELF = 4001;
+const CLOSE_UNAUTHORIZED = 4003;
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', '::1', 'localhost']);
+
+class ClusterNode {
+  constructor(pubsubEngine, logger, options = {}) {
+    this.pubsubEngine = pubsubEngine;
+    this.logger = logger;
+    this.nodeId = options.nodeId || `node-${uuidv4().slice(0, 8)}`;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port !== undefined ? options.port : 7946;
+    this.secret = options.secret || null;
+    this.reconnectInterval = options.reconnectInterval || 1000; // ms between dial attempts
+    this.maxBufferedBytes = options.maxBufferedBytes || 8 * 1024 * 1024; // per link before publishes are dropped
+    this.maxPayload = options.maxPayload || 16 * 1024 * 1024; // largest frame accepted from a peer
+
+    this.server = null;
+    this.links = new Map(); // peer url -> { url, ws, nodeId, ready, timer, stopped }
+    this.inbound = new Map(); // ws -> nodeId once the peer said hello
+    this.channels = new Map(); // nodeId -> ready links in either direction; the first carries our frames
+    this.remoteInterest = new Map(); // nodeId -> { topics: Set, patterns: Set }
+    this.announced = new Set(); // names this node has told its peers about
+    this.stopped = false;
+
+    this.totalForwarded = 0;
+    this.totalReceived = 0;
+    this.totalDropped = 0;
+
+    this.peers = options.peers || [];
+
+    // Engine events after which this node's interest may have changed
+    const onTopicChange = (topicName) => this.refreshInterest(topicName);
+    const onRequestChange = (topicName, correlationId, replyTo) => this.refreshInterest(replyTo);
+    this.engineListeners = [
+      ['clientSubscribed', onTopicChange],
+      ['clientUnsubscribed', onTopicChange],
+      ['topicDeleted', onTopicChange],
+      ['requestSent', onRequestChange],
+      ['requestSettled', onRequestChange]
+    ];
+  }
+
+  /**
+   * Listen for peers, dial the configured ones and start tracking interest
+   * @returns {Promise} - Resolves once the cluster port is listening
+   */
+  async start() {
+    for (const [event, listener] of this.engineListeners) {
+      this.pubsubEngine.on(event, listener);
+    }
+    for (const name of this.localInterest()) {
+      this.announced.add(name);
+    }
+    this.pubsubEngine.attachCluster(this);
+
+    this.server = new WebSocket.Server({ host: this.host, port: this.port, maxPayload: this.maxPayload });
+    this.server.on('connection', (ws, req) => this.handleInbound(ws, req));
+    await new Promise((resolve, reject) => {
+      this.server.once('listening', resolve);
+      this.server.once('error', reject);
+    });
+    this.port = this.server.address().port;
+
+    if (!this.secret && !LOOPBACK_HOSTS.has(this.host)) {
+      this.logger.warn('Cluster port is reachable from other hosts without a secret', {
+        host: this.host,
+        port: this.port
+      });
+    }
+
+    for (const url of this.peers) {
+      this.addPeer(url);
+    }
+
+    this.logger.info('Cluster node started', {
+      nodeId: this.nodeId,
+      port: this.port,
+      peers: this.peers.length
+    });
+  }
+
+  /**
+   * Dial a peer and keep the link open, reconnecting when it drops
+   * @param {string} url - Peer cluster address, e.g. 'ws://10.0.0.2:7946'
+   */
+  addPeer(url) {
+    if (this.links.has(url) || this.stopped) {
+      return;
+    }
+
+    const link = { url, ws: null, nodeId: null, ready: false, timer: null, stopped: false };
+    this.links.set(url, link);
+    this.dial(link);
+  }
+
+  /**
+   * Open the connection for an outbound link
+   * @param {Object} link - Outbound link
+   */
+  dial(link) {
+    link.timer = null;
+    const ws = new WebSocket(link.url, { maxPayload: this.maxPayload });
+    link.ws = ws;
+
+    ws.on('open', () => {
+      this.send(ws, { type: 'hello', node_id: this.nodeId, secret: this.secret });
+    });
+
+    ws.on('message', (data) => {
+      let frame;
+      try {
+        frame = JSON.parse(data.toString());
+      } catch (error) {
+        return;
+      }
+      if (link.ready) {
+        this.handlePeerFrame(link.nodeId, frame);
+      } else if (frame && frame.type === 'welcome' && typeof frame.node_id === 'string' && frame.node_id.length > 0) {
+        link.nodeId = frame.node_id;
+        link.ready = true;
+        this.attachChannel(link.nodeId, ws);
+        this.logger.info('Cluster link established', { peer: link.url, peerNodeId: link.nodeId });
+      }
+    });
+
+    ws.on('close', (code) => {
+      const wasReady = link.ready;
+      link.ready = false;
+      if (wasReady) {
+        this.detachChannel(link.nodeId, ws);
+      }
+      if (code === CLOSE_SELF) {
+        link.stopped = true;
+        return;
+      }
+      if (wasReady) {
+        this.logger.warn('Cluster link lost', { peer: link.url, peerNodeId: link.nodeId, code });
+      }
+      if (!link.stopped && !this.stopped) {
+        link.timer = setTimeout(() => this.dial(link), this.reconnectInterval);
+        if (link.timer.unref) {
+          link.timer.unref();
+        }
+      }
+    });
+
+    // Failed dials end in 'close', which schedules the retry
+    ws.on('error', (error) => {
+      this.logger.debug('Cluster link error', { peer: link.url, error: error.message });
+    });
+  }
+
+  /**
+   * Accept a link dialed by another node
+   * @param {WebSocket} ws - Incoming connection
+   * @param {Object} req - HTTP upgrade request
+   */
+  handleInbound(ws, req) {
+    ws.on('message', (data) => {
+      let frame;
+      try {
+        frame = JSON.parse(data.toString());
+      } catch (error) {
+        ws.close(1003, 'Invalid frame');
+        return;
+      }
+
+      const nodeId = this.inbound.get(ws);
+      if (nodeId === undefined) {
+        this.handleHello(ws, req, frame);
+      } else {
+        this.handlePeerFrame(nodeId, frame);
+      }
+    });
+
+    ws.on('close', () => {
+      const nodeId = this.inbound.get(ws);
+      this.inbound.delete(ws);
+      if (nodeId !== undefined) {
+        this.detachChannel(nodeId, ws);
+      }
+    });
+
+    ws.on('error', (error) => {
+      this.logger.debug('Cluster peer connection error', { error: error.message });
+    });
+  }
+
+  /**
+   * Check the first frame of an inbound link
+   * @param {WebSocket} ws - Incoming connection
+   * @param {Object} req - HTTP upgrade request
+   * @param {Object} frame - First frame received
+   */
+  handleHello(ws, req, frame) {
+    if (!frame || frame.type !== 'hello' || typeof frame.node_id !== 'string' || frame.node_id.length === 0) {
+      ws.close(1002, 'Expected hello');
+      return;
+    }
+    if (frame.node_id === this.nodeId) {
+      ws.close(CLOSE_SELF, 'Connected to self');
+      return;
+    }
+    if (!this.checkSecret(frame.secret)) {
+      this.logger.warn('Cluster peer rejected', {
+        peerNodeId: frame.node_id,
+        ip: req.socket.remoteAddress,
+        reason: 'Invalid cluster secret'
+      });
+      ws.close(CLOSE_UNAUTHORIZED, 'Unauthorized');
+      return;
+    }
+
+    // A node that reconnects replaces its previous link
+    for (const [other, nodeId] of this.inbound) {
+      if (nodeId === frame.node_id) {
+        this.inbound.delete(other);
+        this.detachChannel(nodeId, other);
+        other.terminate();
+      }
+    }
+
+    this.inbound.set(ws, frame.node_id);
+    this.send(ws, { type: 'welcome', node_id: this.nodeId });
+    this.attachChannel(frame.node_id, ws);
+  }
+
+  /**
+   * Start using a ready link to a peer
+   * This node's interest goes out on the peer's first link; later links are
+   * kept as standbys
+   * @param {string} nodeId - Peer node
+   * @param {WebSocket} ws - Link that finished its handshake
+   */
+  attachChannel(nodeId, ws) {
+    const sockets = this.channels.get(nodeId) || [];
+    sockets.push(ws);
+    this.channels.set(nodeId, sockets);
+    if (sockets.length === 1) {
+      this.send(ws, { type: 'interest', reset: true, add: Array.from(this.announced) });
+    }
+  }
+
+  /**
+   * Stop using a link to a peer
+   * A standby link takes over and gets this node's interest again; the peer's
+   * interest is forgotten once no link to it is left
+   * @param {string} nodeId - Peer node
+   * @param {WebSocket} ws - Link that closed or was replaced
+   */
+  detachChannel(nodeId, ws) {
+    const sockets = this.channels.get(nodeId);
+    const index = sockets ? sockets.indexOf(ws) : -1;
+    if (index === -1) {
+      return;
+    }
+
+    sockets.splice(index, 1);
+    if (sockets.length === 0) {
+      this.channels.delete(nodeId);
+      this.remoteInterest.delete(nodeId);
+    } else if (index === 0) {
+      this.send(sockets[0], { type: 'interest', reset: true, add: Array.from(this.announced) });
+    }
+  }
+
+  /**
+   * Link a peer's frames are sent on
+   * @param {string} nodeId - Peer node
+   * @returns {WebSocket|null} - First ready link, or null
+   */
+  channelTo(nodeId) {
+    const sockets = this.channels.get(nodeId);
+    return sockets ? sockets[0] : null;
+  }
+
+  /**
+   * Handle a frame from a peer after the handshake, on a link in either direction
+   * A frame that is malformed or fails to deliver is dropped; it must not
+   * take the node down
+   * @param {string} nodeId - Peer node
+   * @param {Object} frame - Parsed frame
+   */
+  handlePeerFrame(nodeId, frame) {
+    if (!frame || typeof frame !== 'object') {
+      return;
+    }
+
+    try {
+      if (frame.type === 'interest') {
+        this.applyInterest(nodeId, frame);
+      } else if (frame.type === 'publish') {
+        if (typeof frame.topic !== 'string' || !frame.message || typeof frame.message !== 'object' || Array.isArray(frame.message)) {
+          this.logger.warn('Dropped invalid cluster frame', { peerNodeId: nodeId, type: frame.type });
+          return;
+        }
+        this.totalReceived++;
+        this.pubsubEngine.deliverRemote(frame.topic, fromJSONMessage(frame.message), nodeId);
+      }
+    } catch (error) {
+      this.logger.warn('Failed to handle cluster frame', {
+        peerNodeId: nodeId,
+        type: frame.type,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Compare a presented cluster secret with the configured one
+   * @param {string} presented - Secret from the hello frame
+   * @returns {boolean} - True if accepted (always when no secret is configured)
+   */
+  checkSecret(presented) {
+    if (!this.secret) {
+      return true;
+    }
+    if (typeof presented !== 'string') {
+      return false;
+    }
+    const expected = Buffer.from(this.secret);
+    const given = Buffer.from(presented);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  /**
+   * Update what a peer has subscribers for
+   * @param {string} nodeId - Peer node
+   * @param {Object} frame - { reset, add, remove }
+   */
+  applyInterest(nodeId, frame) {
+    let interest = this.remoteInterest.get(nodeId);
+    if (!interest || frame.reset) {
+      interest = { topics: new Set(), patterns: new Set() };
+      this.remoteInterest.set(nodeId, interest);
+    }
+
+    for (const name of Array.isArray(frame.add) ? frame.add : []) {
+      if (typeof name === 'string') {
+        (isPattern(name) ? interest.patterns : interest.topics).add(name);
+      }
+    }
+    for (const name of Array.isArray(frame.remove) ? frame.remove : []) {
+      (isPattern(name) ? interest.patterns : interest.topics).delete(name);
+    }
+  }
+
+  /**
+   * Names this node currently has subscribers or waiting requests for
+   * @returns {Array} - Topic names, patterns and request inboxes
+   */
+  localInterest() {
+    const names = [];
+    for (const [topicName, topic] of this.pubsubEngine.topics) {
+      if (topic.subscribers.size > 0) {
+        names.push(topicName);
+      }
+    }
+    names.push(...this.pubsubEngine.patternSubscriptions.keys());
+    names.push(...this.pubsubEngine.pendingRequests.keys());
+    return names;
+  }
+
+  /**
+   * Check whether this node has subscribers or a waiting request for a name
+   * @param {string} name - Topic name, pattern or inbox
+   * @returns {boolean} - True if interested
+   */
+  hasLocalInterest(name) {
+    const engine = this.pubsubEngine;
+    if (isPattern(name)) {
+      return engine.patternSubscriptions.has(name);
+    }
+    if (engine.pendingRequests.has(name)) {
+      return true;
+    }
+    const topic = engine.topics.get(name);
+    return !!topic && topic.subscribers.size > 0;
+  }
+
+  /**
+   * Tell peers when this node gains or loses interest in a name
+   * @param {string} name - Topic name, pattern or inbox that changed
+   */
+  refreshInterest(name) {
+    const interested = this.hasLocalInterest(name);
+    if (interested === this.announced.has(name)) {
+      return;
+    }
+
+    if (interested) {
+      this.announced.add(name);
+    } else {
+      this.announced.delete(name);
+    }
+
+    const frame = { type: 'interest', [interested ? 'add' : 'remove']: [name] };
+    for (const nodeId of this.channels.keys()) {
+      this.send(this.channelTo(nodeId), frame);
+    }
+  }
+
+  /**
+   * Check whether any peer has subscribers for a topic
+   * @param {string} topicName - Topic name or inbox
+   * @returns {boolean} - True if a publish would be forwarded
+   */
+  hasInterest(topicName) {
+    for (const nodeId of this.channels.keys()) {
+      if (this.isInterested(nodeId, topicName)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check a peer's interest in a topic
+   * @param {string} nodeId - Peer node
+   * @param {string} topicName - Topic name or inbox
+   * @returns {boolean} - True if the peer has a matching subscription
+   */
+  isInterested(nodeId, topicName) {
+    const interest = this.remoteInterest.get(nodeId);
+    if (!interest) {
+      return false;
+    }
+    if (interest.topics.has(topicName)) {
+      return true;
+    }
+    for (const pattern of interest.patterns) {
+      if (matchTopic(pattern, topicName)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Send a locally published message to every peer interested in its topic
+   * Links backed up past maxBufferedBytes drop the message rather than
+   * buffer without bound
+   * @param {string} topicName - Topic the message was published to
+   * @param {Object} message - Published message
+   * @returns {number} - Number of nodes it was forwarded to
+   */
+  forward(topicName, message) {
+    let frame = null;
+    let forwarded = 0;
+
+    for (const nodeId of this.channels.keys()) {
+      if (!this.isInterested(nodeId, topicName)) {
+        continue;
+      }
+      const ws = this.channelTo(nodeId);
+      if (ws.bufferedAmount > this.maxBufferedBytes) {
+        this.totalDropped++;
+        continue;
+      }
+
+      frame = frame || JSON.stringify({ type: 'publish', topic: topicName, message: toJSONMessage(message) });
+      ws.send(frame);
+      forwarded++;
+    }
+
+    this.totalForwarded += forwarded;
+    return forwarded;
+  }
+
+  /**
+   * Send a frame on a cluster connection
+   * @param {WebSocket} ws - Cluster connection
+   * @param {Object} frame - Frame to send
+   */
+  send(ws, frame) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(frame));
+    }
+  }
+
+  /**
+   * Get cluster statistics
+   * @returns {Object} - Cluster statistics
+   */
+  getStats() {
+    const peers = {};
+    for (const link of this.links.values()) {
+      if (link.stopped) {
+        continue;
+      }
+      const interest = link.nodeId ? this.remoteInterest.get(link.nodeId) : null;
+      peers[link.url] = {
+        nodeId: link.nodeId,
+        connected: link.ready,
+        inbound: !!link.nodeId && Array.from(this.inbound.values()).includes(link.nodeId),
+        interest: interest ? interest.topics.size + interest.patterns.size : 0,
+        buffered: link.ws ? link.ws.bufferedAmount : 0
+      };
+    }
+
+    return {
+      enabled: true,
+      nodeId: this.nodeId,
+      port: this.port,
+      peers,
+      nodes: Array.from(this.channels.keys()),
+      announced: this.announced.size,
+      totalForwarded: this.totalForwarded,
+      totalReceived: this.totalReceived,
+      totalDropped: this.totalDropped
+    };
+  }
+
+  /**
+   * Close every link and stop listening
+   * @returns {Promise} - Resolves once the cluster port is closed
+   */
+  async stop() {
+    this.stopped = true;
+    for (const link of this.links.values()) {
+      link.stopped = true;
+      clearTimeout(link.timer);
+      if (link.ws) {
+        link.ws.terminate();
+      }
+    }
+    for (const ws of this.inbound.keys()) {
+      ws.terminate();
+    }
+    this.links.clear();
+    this.inbound.clear();
+    this.channels.clear();
+    this.remoteInterest.clear();
+
+    if (this.server) {
+      for (const ws of this.server.clients) {
+        ws.terminate();
+      }
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+    }
+
+    for (const [event, listener] of this.engineListeners) {
+      this.pubsubEngine.removeListener(event, listener);
+    }
+    this.pubsubEngine.attachCluster(null);
+    this.logger.info('Cluster node stopped', { nodeId: this.nodeId });
+  }
+}
+
+module.exports = ClusterNode;
@@ -8,7 +8,44 @@
  * - MAX_MESSAGES_PER_TOPIC: Maximum messages to store per topic
  * - MAX_QUEUE_SIZE: Maximum WebSocket buffer size
  * - BACKPRESSURE_POLICY: Backpressure handling policy
+ * - DRAIN_HIGH_WATER_MARK: Socket bufferedAmount (bytes) above which delivery pauses
+ * - DRAIN_RETRY_INTERVAL: Delay in milliseconds between drain attempts for a blocked socket
+ * - ACK_TIMEOUT: Milliseconds before an unacknowledged message is redelivered
+ * - MAX_DELIVERY_ATTEMPTS: Deliveries before a message is moved to its dead-letter topic
+ * - GROUP_STRATEGY: How consumer group members are chosen ('round_robin' or 'least_loaded')
+ * - SESSION_GRACE_PERIOD: Milliseconds a disconnected session keeps its subscriptions
+ * - DEDUP_WINDOW_SIZE: Message ids remembered per topic for deduplication (0 = disabled)
+ * - DEDUP_WINDOW_MS: Milliseconds a message id is remembered for deduplication
+ * - MAX_SCHEDULE_DELAY: Furthest ahead, in milliseconds, a publish may be scheduled
+ * - MAX_SCHEDULED_MESSAGES: Scheduled messages held at once across all topics
+ * - TOMBSTONE_RETENTION_MS: Milliseconds a compacted topic keeps a tombstone
+ * - REQUEST_TIMEOUT: Milliseconds a request waits for a reply when it names no timeout
+ * - MAX_REQUEST_TIMEOUT: Longest timeout in milliseconds a request may ask for
  * - HEARTBEAT_INTERVAL: Heartbeat interval in milliseconds
+ * - STORAGE_BACKEND: Where topics and messages are kept ('memory' or 'file')
+ * - PERSISTENCE_ENABLED: Set to 'true' to use the 'file' backend when STORAGE_BACKEND is unset
+ * - DATA_DIR: Directory holding the message log segments
+ * - LOG_SEGMENT_MAX_BYTES: Size at which a new log segment is started
+ * - LOG_RETENTION_BYTES: Maximum log size per topic (0 = unlimited)
+ * - LOG_RETENTION_MS: Maximum age of log segments in milliseconds (0 = unlimited)
+ * - AUTH_ENABLED: Set to 'true' to require credentials on REST and WebSocket
+ * - API_KEYS: Static API keys as 'key:role1|role2,key2:role3'
+ * - JWT_SECRET: Shared secret for verifying HS256/HS384/HS512 tokens
+ * - JWT_ISSUER: Required 'iss' claim (optional)
+ * - JWT_AUDIENCE: Required 'aud' claim (optional)
+ * - RATE_LIMIT_ENABLED: Set to 'true' to rate limit publishes
+ * - RATE_LIMIT_CLIENT_RATE / RATE_LIMIT_CLIENT_BURST: Publishes per second and burst per client_id
+ * - RATE_LIMIT_API_KEY_RATE / RATE_LIMIT_API_KEY_BURST: Publishes per second and burst per API key
+ * - RATE_LIMIT_TOPIC_RATE / RATE_LIMIT_TOPIC_BURST: Publishes per second and burst per topic
+ * - CLUSTER_ENABLED: Set to 'true' to join other nodes in a cluster
+ * - CLUSTER_NODE_ID: Unique name of this node (random when unset)
+ * - CLUSTER_HOST / CLUSTER_PORT: Address this node accepts cluster links on
+ * - CLUSTER_PEERS: Cluster addresses of the nodes to link to, as 'ws://host:port,ws://host2:port'
+ * - CLUSTER_SECRET: Shared secret every node must present (required when AUTH_ENABLED is 'true')
+ * - CLUSTER_MAX_PAYLOAD: Largest frame in bytes accepted from a peer
+ * - POLL_TIMEOUT: Milliseconds a long-poll fetch waits for messages when it names no timeout
+ * - MAX_POLL_TIMEOUT: Longest timeout in milliseconds a long-poll fetch may ask for
+ * - POLL_IDLE_TIMEOUT: Milliseconds without a fetch after which a long-poll consumer is removed
  */
 
 module.exports = {
@@ -27,9 +64,37 @@ module.exports = {
     maxMessagesPerTopic: parseInt(process.env.MAX_MESSAGES_PER_TOPIC) || 100,
     maxQueueSize: parseInt(process.env.MAX_QUEUE_SIZE) || 1000,
     backpressurePolicy: process.env.BACKPRESSURE_POLICY || 'drop_oldest', // 'drop_oldest' or 'disconnect'
+    drainHighWaterMark: parseInt(process.env.DRAIN_HIGH_WATER_MARK) || 256 * 1024,
+    drainRetryInterval: parseInt(process.env.DRAIN_RETRY_INTERVAL) || 10,
+    ackTimeout: parseInt(process.env.ACK_TIMEOUT) || 30000,
+    maxDeliveryAttempts: parseInt(process.env.MAX_DELIVERY_ATTEMPTS) || 5,
+    groupStrategy: process.env.GROUP_STRATEGY || 'round_robin', // 'round_robin' or 'least_loaded'
+    sessionGracePeriod: parseInt(process.env.SESSION_GRACE_PERIOD) || 30000,
+    dedupWindowSize: process.env.DEDUP_WINDOW_SIZE !== undefined ? parseInt(process.env.DEDUP_WINDOW_SIZE) : 1000,
+    dedupWindowMs: parseInt(process.env.DEDUP_WINDOW_MS) || 2 * 60 * 1000, // 2 minutes
+    maxScheduleDelay: parseInt(process.env.MAX_SCHEDULE_DELAY) || 7 * 24 * 60 * 60 * 1000, // 7 days
+    maxScheduledMessages: parseInt(process.env.MAX_SCHEDULED_MESSAGES) || 10000,
+    tombstoneRetention: parseInt(process.env.TOMBSTONE_RETENTION_MS) || 24 * 60 * 60 * 1000, // 1 day
+    requestTimeout: parseInt(process.env.REQUEST_TIMEOUT) || 5000,
+    maxRequestTimeout: parseInt(process.env.MAX_REQUEST_TIMEOUT) || 60000,
     heartbeatInterval: parseInt(process.env.HEARTBEAT_INTERVAL) || 30000
   },
 
+  // Storage backend for topics, messages, offsets and sessions
+  storage: {
+    backend: process.env.STORAGE_BACKEND || (process.env.PERSISTENCE_ENABLED === 'true' ? 'file' : 'memory') // 'memory' or 'file'
+  },
+
+  // Durable message log configuration, used by the 'file' storage backend
+  persistence: {
+    enabled: process.env.PERSISTENCE_ENABLED === 'true',
+    directory: process.env.DATA_DIR || 'data',
+    segmentMaxBytes: parseInt(process.env.LOG_SEGMENT_MAX_BYTES) || 1024 * 1024, // 1MB
+    retentionBytes: parseInt(process.env.LOG_RETENTION_BYTES) || 100 * 1024 * 1024, // 100MB per topic
+    retentionMs: parseInt(process.env.LOG_RETENTION_MS) || 7 * 24 * 60 * 60 * 1000, // 7 days
+    retentionCheckInterval: 60000
+  },
+
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info',
@@ -47,12 +112,66 @@ module.exports = {
 
   // Security configuration
   security: {
+    auth: {
+      enabled: process.env.AUTH_ENABLED === 'true',
+      apiKeys: process.env.API_KEYS || '',
+      jwt: {
+        secret: process.env.JWT_SECRET || null,
+        issuer: process.env.JWT_ISSUER || null,
+        audience: process.env.JWT_AUDIENCE || null,
+        clockTolerance: 30 // seconds
+      },
+      // Role -> ACL rules; permissions are 'publish', 'subscribe' and 'admin'
+      roles: {
+        admin: [{ pattern: '>', permissions: ['admin'] }],
+        publisher: [{ pattern: '>', permissions: ['publish'] }],
+        subscriber: [{ pattern: '>', permissions: ['subscribe'] }]
+      }
+    },
+    // Token buckets for publishes; 'rate' refills per second up to 'burst', 0 = unlimited
     rateLimit: {
-      windowMs: 15 * 60 * 1000, // 15 minutes
-      max: 100 // limit each IP to 100 requests per windowMs
+      enabled: process.env.RATE_LIMIT_ENABLED === 'true',
+      client: {
+        rate: parseFloat(process.env.RATE_LIMIT_CLIENT_RATE) || 100,
+        burst: parseInt(process.env.RATE_LIMIT_CLIENT_BURST) || 200
+      },
+      apiKey: {
+        rate: parseFloat(process.env.RATE_LIMIT_API_KEY_RATE) || 500,
+        burst: parseInt(process.env.RATE_LIMIT_API_KEY_BURST) || 1000
+      },
+      topic: {
+        rate: parseFloat(process.env.RATE_LIMIT_TOPIC_RATE) || 1000,
+        burst: parseInt(process.env.RATE_LIMIT_TOPIC_BURST) || 2000
+      },
+      // Name -> { rate, burst } replacing the defaults above, e.g. { 'client-1': { rate: 5, burst: 10 } }
+      overrides: {
+        clients: {},
+        apiKeys: {},
+        topics: {}
+      }
     }
   },
 
+  // Cluster configuration; each node links to every address in 'peers'
+  // (a node's own address may be listed, so all nodes can share one list)
+  cluster: {
+    enabled: process.env.CLUSTER_ENABLED === 'true',
+    nodeId: process.env.CLUSTER_NODE_ID || null,
+    host: process.env.CLUSTER_HOST || '127.0.0.1', // set to '0.0.0.0' to link nodes on other hosts
+    port: parseInt(process.env.CLUSTER_PORT) || 7946,
+    peers: (process.env.CLUSTER_PEERS || '').split(',').map(peer => peer.trim()).filter(Boolean),
+    secret: process.env.CLUSTER_SECRET || null,
+    maxPayload: parseInt(process.env.CLUSTER_MAX_PAYLOAD) || 16 * 1024 * 1024, // 16MB
+    reconnectInterval: 1000
+  },
+
+  // HTTP long-poll consumers
+  polling: {
+    defaultTimeout: parseInt(process.env.POLL_TIMEOUT) || 20000,
+    maxTimeout: parseInt(process.env.MAX_POLL_TIMEOUT) || 60000,
+    idleTimeout: parseInt(process.env.POLL_IDLE_TIMEOUT) || 5 * 60 * 1000 // 5 minutes
+  },
+
   // Development configuration
   development: {
     hotReload: process.env.NODE_ENV === 'development',
@@ -0,0 +1,390 @@
+const { v4: uuidv4 } = require('uuid');
+const { decodeBinaryFrame, toJSONMessage } = require('../pubsub/messageCodec');
+
+const DEFAULT_FETCH_LIMIT = 100;
+
+/**
+ * HTTP Long-Poll Consumers
+ *
+ * Lets services that can only make plain HTTP requests consume a topic. A
+ * consumer is registered once and subscribes to the engine like a WebSocket
+ * client, through a socket stand-in that only accepts messages while a fetch
+ * is waiting. Between fetches messages stay in the consumer's bounded queue,
+ * so the topic's backpressure policy applies as for any slow subscriber.
+ *
+ * Every message handed out gets a cursor, counting up per consumer. A fetch
+ * returns the cursor of its last message; messages stay pending until the
+ * consumer acknowledges that cursor, and pending messages are returned again
+ * by the next fetch. A response lost on the way back is therefore fetched
+ * again rather than lost.
+ */
+
+/**
+ * Socket stand-in handed to the engine for a long-poll consumer
+ * It reports itself as not yet open (readyState 0) between fetches, which
+ * keeps the delivery pump from taking messages off the queue
+ */
+class PollingSocket {
+  constructor(onClose) {
+    this.onClose = onClose;
+    this.readyState = 0; // CONNECTING: hold messages in the queue
+    this.bufferedAmount = 0;
+    this.batch = [];
+    this.limit = 0;
+    this.onMessage = null;
+  }
+
+  /**
+   * Start accepting messages for a fetch
+   * @param {number} limit - Most messages to accept
+   * @param {Function} onMessage - Called after each accepted message
+   */
+  open(limit, onMessage) {
+    this.batch = [];
+    this.limit = limit;
+    this.onMessage = onMessage;
+    this.readyState = 1;
+  }
+
+  /**
+   * Take a frame from the delivery pump
+   * @param {string|Buffer} data - JSON text, or a binary frame for Buffer payloads
+   */
+  send(data) {
+    const frame = Buffer.isBuffer(data) ? decodeBinaryFrame(data) : JSON.parse(data);
+    this.batch.push(frame);
+    if (this.batch.length >= this.limit) {
+      this.readyState = 0;
+    }
+
+    if (this.onMessage) {
+      this.onMessage();
+    }
+  }
+
+  /**
+   * Stop accepting messages and return what the fetch collected
+   * @returns {Array} - Event frames, oldest first
+   */
+  take() {
+    if (this.readyState === 1) {
+      this.readyState = 0;
+    }
+    this.onMessage = null;
+
+    const batch = this.batch;
+    this.batch = [];
+    return batch;
+  }
+
+  /**
+   * Called by the engine when the topic is deleted or the consumer is too slow
+   * @param {number} code - WebSocket-style close code
+   * @param {string} reason - Reason for closing
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState === 3) {
+      return;
+    }
+
+    this.readyState = 3; // CLOSED
+    this.onClose(code, reason);
+  }
+}
+
+class LongPollHandler {
+  constructor(pubsubEngine, logger, options = {}) {
+    this.pubsubEngine = pubsubEngine;
+    this.logger = logger;
+    this.defaultTimeout = options.defaultTimeout || 20000; // ms a fetch waits when it names no timeout
+    this.maxTimeout = options.maxTimeout || 60000; // longest wait a fetch may ask for
+    this.idleTimeout = options.idleTimeout || 5 * 60 * 1000; // ms without a fetch before a consumer is removed
+    this.consumers = new Map(); // consumerId -> consumer state, see register()
+    this.totalConsumers = 0;
+  }
+
+  /**
+   * Register a consumer and subscribe it to a topic
+   * @param {Object} req - Express request
+   * @param {string} topicName - Name of the topic
+   * @param {Object} options - { lastN, fromOffset, group, filter }
+   * @returns {Object} - { success, consumerId, nextOffset }, or the engine's error
+   */
+  register(req, topicName, options = {}) {
+    const consumerId = `poll-${uuidv4()}`;
+    const socket = new PollingSocket((code, reason) => this.handleClose(consumerId, code, reason));
+
+    const { lastN, ...subscribeOptions } = options;
+    const result = this.pubsubEngine.subscribe(topicName, consumerId, socket, lastN || 0, subscribeOptions);
+    if (!result.success) {
+      return result;
+    }
+
+    this.consumers.set(consumerId, {
+      consumerId,
+      topicName,
+      socket,
+      pending: [], // { cursor, message } handed out but not acknowledged
+      lastCursor: 0,
+      ackedCursor: 0,
+      waiter: null,
+      idleTimer: null,
+      closed: null,
+      createdAt: Date.now(),
+      lastFetchAt: null
+    });
+    this.totalConsumers++;
+    this.touch(this.consumers.get(consumerId));
+
+    this.logger.info('Poll consumer registered', {
+      consumerId,
+      topic: topicName,
+      ip: req.ip,
+      group: options.group,
+      lastN,
+      fromOffset: options.fromOffset
+    });
+    return { success: true, consumerId, nextOffset: result.nextOffset };
+  }
+
+  /**
+   * Get a consumer's state
+   * @param {string} consumerId - Consumer identifier
+   * @returns {Object|null} - Consumer state or null if unknown
+   */
+  getConsumer(consumerId) {
+    return this.consumers.get(consumerId) || null;
+  }
+
+  /**
+   * Wait for a batch of messages
+   * Pending messages are returned again right away; otherwise the fetch waits
+   * until at least one message arrives or the timeout passes. A newer fetch
+   * for the same consumer ends a waiting one with what it has collected.
+   * @param {string} consumerId - Consumer identifier
+   * @param {Object} options - { cursor, limit, timeoutMs, owner }; cursor acknowledges
+   *   the previous batch, owner identifies the fetch for cancelFetch()
+   * @returns {Promise<Object>} - { success, messages, cursor, redelivered } or { success: false, error }
+   */
+  fetch(consumerId, options = {}) {
+    const consumer = this.consumers.get(consumerId);
+    if (!consumer) {
+      return Promise.resolve({ success: false, error: 'CONSUMER_NOT_FOUND' });
+    }
+
+    if (consumer.closed) {
+      this.remove(consumerId, 'closed');
+      return Promise.resolve({ success: false, error: 'CONSUMER_CLOSED', ...consumer.closed });
+    }
+
+    if (options.cursor !== undefined) {
+      const acked = this.ack(consumerId, options.cursor);
+      if (!acked.success) {
+        return Promise.resolve(acked);
+      }
+    }
+
+    this.finishFetch(consumer);
+    consumer.lastFetchAt = Date.now();
+
+    const limit = options.limit || DEFAULT_FETCH_LIMIT;
+    if (consumer.pending.length > 0) {
+      this.touch(consumer);
+      return Promise.resolve(this.formatBatch(consumer.pending.slice(0, limit), consumer, true));
+    }
+
+    clearTimeout(consumer.idleTimer);
+    return new Promise(resolve => {
+      const waiter = { owner: options.owner, resolve, timer: null, scheduled: false };
+      consumer.waiter = waiter;
+
+      // Answer on the next turn so messages published together go out together
+      consumer.socket.open(limit, () => {
+        if (!waiter.scheduled) {
+          waiter.scheduled = true;
+          setImmediate(() => this.finishFetch(consumer, waiter));
+        }
+      });
+      this.pubsubEngine.drainClient(consumerId);
+
+      const timeoutMs = Math.min(options.timeoutMs !== undefined ? options.timeoutMs : this.defaultTimeout, this.maxTimeout);
+      waiter.timer = setTimeout(() => this.finishFetch(consumer, waiter), timeoutMs);
+    });
+  }
+
+  /**
+   * End a consumer's waiting fetch with the messages it has collected
+   * @param {Object} consumer - Consumer state
+   * @param {Object} waiter - Fetch to end; defaults to whichever one is waiting
+   */
+  finishFetch(consumer, waiter = consumer.waiter) {
+    if (!waiter || consumer.waiter !== waiter) {
+      return;
+    }
+
+    consumer.waiter = null;
+    clearTimeout(waiter.timer);
+
+    const entries = consumer.socket.take().map(frame => ({
+      cursor: ++consumer.lastCursor,
+      message: toJSONMessage(frame.message)
+    }));
+    consumer.pending.push(...entries);
+
+    if (this.consumers.has(consumer.consumerId)) {
+      this.touch(consumer);
+    }
+    waiter.resolve(this.formatBatch(entries, consumer, false));
+  }
+
+  /**
+   * End a fetch whose HTTP request went away
+   * Whatever it collected stays pending for the next fetch
+   * @param {string} consumerId - Consumer identifier
+   * @param {*} owner - Owner the fetch was started with
+   */
+  cancelFetch(consumerId, owner) {
+    const consumer = this.consumers.get(consumerId);
+    if (consumer && consumer.waiter && consumer.waiter.owner === owner) {
+      this.finishFetch(consumer);
+    }
+  }
+
+  /**
+   * Acknowledge every message up to and including a cursor
+   * @param {string} consumerId - Consumer identifier
+   * @param {number} cursor - Cursor returned by a fetch
+   * @returns {Object} - { success, cursor, acknowledged, pending } or { success: false, error }
+   */
+  ack(consumerId, cursor) {
+    const consumer = this.consumers.get(consumerId);
+    if (!consumer) {
+      return { success: false, error: 'CONSUMER_NOT_FOUND' };
+    }
+
+    if (cursor > consumer.lastCursor) {
+      return { success: false, error: 'INVALID_CURSOR', lastCursor: consumer.lastCursor };
+    }
+
+    const before = consumer.pending.length;
+    consumer.pending = consumer.pending.filter(entry => entry.cursor > cursor);
+    consumer.ackedCursor = Math.max(consumer.ackedCursor, cursor);
+
+    return {
+      success: true,
+      cursor: consumer.ackedCursor,
+      acknowledged: before - consumer.pending.length,
+      pending: consumer.pending.length
+    };
+  }
+
+  /**
+   * Build a fetch result
+   * @param {Array} entries - { cursor, message } entries to return
+   * @param {Object} consumer - Consumer state
+   * @param {boolean} redelivered - Whether the entries were returned before
+   * @returns {Object} - Fetch result
+   */
+  formatBatch(entries, consumer, redelivered) {
+    return {
+      success: true,
+      messages: entries.map(entry => entry.message),
+      cursor: entries.length > 0 ? entries[entries.length - 1].cursor : consumer.ackedCursor,
+      redelivered
+    };
+  }
+
+  /**
+   * Restart a consumer's idle timer
+   * @param {Object} consumer - Consumer state
+   */
+  touch(consumer) {
+    clearTimeout(consumer.idleTimer);
+    consumer.idleTimer = setTimeout(() => this.remove(consumer.consumerId, 'idle'), this.idleTimeout);
+    if (consumer.idleTimer.unref) {
+      consumer.idleTimer.unref();
+    }
+  }
+
+  /**
+   * Record that the engine closed a consumer; the next fetch reports why
+   * @param {string} consumerId - Consumer identifier
+   * @param {number} code - Close code
+   * @param {string} reason - Reason for closing
+   */
+  handleClose(consumerId, code, reason) {
+    const consumer = this.consumers.get(consumerId);
+    if (!consumer) {
+      return;
+    }
+
+    consumer.closed = { code, reason };
+    this.finishFetch(consumer);
+
+    // The engine may be in the middle of delivering to this consumer
+    setImmediate(() => this.pubsubEngine.unsubscribe(consumer.topicName, consumerId));
+  }
+
+  /**
+   * Unsubscribe and forget a consumer
+   * Messages it was handed but never acknowledged are dropped with it
+   * @param {string} consumerId - Consumer identifier
+   * @param {string} reason - Why the consumer is removed
+   * @returns {boolean} - True if the consumer existed
+   */
+  remove(consumerId, reason = 'deleted') {
+    const consumer = this.consumers.get(consumerId);
+    if (!consumer) {
+      return false;
+    }
+
+    this.consumers.delete(consumerId);
+    clearTimeout(consumer.idleTimer);
+    this.finishFetch(consumer);
+    consumer.socket.readyState = 3; // CLOSED
+    if (!consumer.closed) {
+      this.pubsubEngine.unsubscribe(consumer.topicName, consumerId);
+    }
+
+    this.logger.info('Poll consumer removed', {
+      consumerId,
+      topic: consumer.topicName,
+      reason,
+      pending: consumer.pending.length
+    });
+    return true;
+  }
+
+  /**
+   * Get long-poll consumer statistics
+   * @returns {Object} - Consumer statistics
+   */
+  getStats() {
+    const topics = {};
+    let waitingFetches = 0;
+    for (const consumer of this.consumers.values()) {
+      topics[consumer.topicName] = (topics[consumer.topicName] || 0) + 1;
+      if (consumer.waiter) {
+        waitingFetches++;
+      }
+    }
+
+    return {
+      activeConsumers: this.consumers.size,
+      waitingFetches,
+      totalConsumers: this.totalConsumers,
+      topics
+    };
+  }
+
+  /**
+   * End waiting fetches and remove every consumer
+   */
+  shutdown() {
+    for (const consumerId of Array.from(this.consumers.keys())) {
+      this.remove(consumerId, 'shutdown');
+    }
+  }
+}
+
+module.exports = LongPollHandler;
@@ -0,0 +1,199 @@
+/**
+ * Acknowledgement Tracker for At-Least-Once Delivery
+ *
+ * Keeps every delivery made to an ack-mode subscription until the client
+ * acknowledges it. Delivery tags are per client and increase monotonically,
+ * and stay the same across redeliveries of a message. When a delivery is not
+ * acknowledged within the timeout, onTimeout is called so the engine can
+ * redeliver or dead-letter it.
+ */
+class AckTracker {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 30000;
+    this.onTimeout = options.onTimeout || (() => {});
+
+    this.pending = new Map(); // clientId -> Map(deliveryTag -> entry)
+    this.nextTags = new Map(); // clientId -> next delivery tag
+    this.totalAcked = 0;
+    this.totalNacked = 0;
+  }
+
+  /**
+   * Start tracking a delivery
+   * @param {string} clientId - Unique client identifier
+   * @param {Object} entry - { topicName, subscriptionName, group, message }
+   * @returns {number} - Delivery tag assigned to the message
+   */
+  track(clientId, entry) {
+    const tag = this.nextTags.get(clientId) || 1;
+    this.nextTags.set(clientId, tag + 1);
+
+    if (!this.pending.has(clientId)) {
+      this.pending.set(clientId, new Map());
+    }
+
+    this.pending.get(clientId).set(tag, {
+      ...entry,
+      deliveryTag: tag,
+      attempts: 1,
+      timer: null
+    });
+
+    this.arm(clientId, tag);
+    return tag;
+  }
+
+  /**
+   * (Re)start the redelivery timer of a pending delivery
+   * @param {string} clientId - Unique client identifier
+   * @param {number} tag - Delivery tag
+   */
+  arm(clientId, tag) {
+    const entry = this.get(clientId, tag);
+    if (!entry) {
+      return;
+    }
+
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+    }
+
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      this.onTimeout(clientId, entry);
+    }, this.timeout);
+
+    if (entry.timer.unref) {
+      entry.timer.unref();
+    }
+  }
+
+  /**
+   * Get a pending delivery
+   * @param {string} clientId - Unique client identifier
+   * @param {number} tag - Delivery tag
+   * @returns {Object|null} - Pending entry or null if unknown
+   */
+  get(clientId, tag) {
+    const deliveries = this.pending.get(clientId);
+    return deliveries ? deliveries.get(tag) || null : null;
+  }
+
+  /**
+   * Stop tracking a delivery
+   * @param {string} clientId - Unique client identifier
+   * @param {number} tag - Delivery tag
+   * @returns {Object|null} - The removed entry or null if unknown
+   */
+  remove(clientId, tag) {
+    const entry = this.get(clientId, tag);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+    }
+
+    const deliveries = this.pending.get(clientId);
+    deliveries.delete(tag);
+    if (deliveries.size === 0) {
+      this.pending.delete(clientId);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Acknowledge a delivery
+   * @param {string} clientId - Unique client identifier
+   * @param {number} tag - Delivery tag
+   * @returns {Object|null} - The acknowledged entry or null if unknown
+   */
+  ack(clientId, tag) {
+    const entry = this.remove(clientId, tag);
+    if (entry) {
+      this.totalAcked++;
+    }
+    return entry;
+  }
+
+  /**
+   * Record a negative acknowledgement; the entry stays pending
+   * @param {string} clientId - Unique client identifier
+   * @param {number} tag - Delivery tag
+   * @returns {Object|null} - The pending entry or null if unknown
+   */
+  nack(clientId, tag) {
+    const entry = this.get(clientId, tag);
+    if (entry) {
+      this.totalNacked++;
+    }
+    return entry;
+  }
+
+  /**
+   * Drop pending deliveries for a client, optionally only for one subscription
+   * @param {string} clientId - Unique client identifier
+   * @param {string} subscriptionName - Topic name or pattern (all if omitted)
+   * @returns {Array} - The released entries
+   */
+  release(clientId, subscriptionName) {
+    const deliveries = this.pending.get(clientId);
+    if (!deliveries) {
+      return [];
+    }
+
+    const released = [];
+    for (const [tag, entry] of deliveries) {
+      if (subscriptionName === undefined || entry.subscriptionName === subscriptionName) {
+        this.remove(clientId, tag);
+        released.push(entry);
+      }
+    }
+
+    if (subscriptionName === undefined) {
+      this.nextTags.delete(clientId);
+    }
+
+    return released;
+  }
+
+  /**
+   * Get acknowledgement statistics
+   * @returns {Object} - Tracker statistics
+   */
+  getStats() {
+    const stats = {
+      totalPending: 0,
+      totalAcked: this.totalAcked,
+      totalNacked: this.totalNacked,
+      pendingByClient: {}
+    };
+
+    for (const [clientId, deliveries] of this.pending) {
+      stats.pendingByClient[clientId] = deliveries.size;
+      stats.totalPending += deliveries.size;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Cancel all timers and forget every pending delivery
+   */
+  clear() {
+    for (const deliveries of this.pending.values()) {
+      for (const entry of deliveries.values()) {
+        if (entry.timer) {
+          clearTimeout(entry.timer);
+        }
+      }
+    }
+
+    this.pending.clear();
+    this.nextTags.clear();
+  }
+}
+
+module.exports = AckTracker;
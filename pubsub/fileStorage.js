@@ -0,0 +1,79 @@
+const MemoryStorage = require('./memoryStorage');
+const MessageLog = require('./messageLog');
+
+/**
+ * File Storage
+ *
+ * Embedded durable backend: every topic is written to the append-only segment
+ * log (see MessageLog) and its newest messages are also held in memory for
+ * replay. Offsets older than the memory window are read back from the log.
+ * Settings, schemas and retained values are stored next to the segments, so
+ * topics come back after a restart.
+ *
+ * Sessions are held in memory only: a session's subscriptions belong to the
+ * process that accepted them and cannot be resumed after a restart.
+ */
+
+class FileStorage extends MemoryStorage {
+  /**
+   * @param {Object} options - MessageLog options: directory, segmentMaxBytes, retention limits
+   */
+  constructor(options = {}) {
+    super('file');
+    this.durable = true;
+    this.log = new MessageLog(options);
+  }
+
+  load(maxMessages) {
+    const restored = this.log.load(maxMessages).map(({ nextIndex, ...topic }) => ({ ...topic, nextOffset: nextIndex }));
+    for (const { topicName, messages, nextOffset } of restored) {
+      this.restoreTopic(topicName, messages, nextOffset);
+    }
+
+    this.log.startRetention();
+    return restored;
+  }
+
+  createTopic(topicName, settings, createdAt) {
+    this.log.createTopic(topicName, settings);
+    super.createTopic(topicName, settings, createdAt);
+  }
+
+  deleteTopic(topicName) {
+    this.log.deleteTopic(topicName);
+    super.deleteTopic(topicName);
+  }
+
+  writeSettings(topicName, settings) {
+    this.log.writeSettings(topicName, settings);
+  }
+
+  writeSchemas(topicName, versions) {
+    this.log.writeSchemas(topicName, versions);
+  }
+
+  writeRetained(topicName, messages) {
+    this.log.writeRetained(topicName, messages);
+  }
+
+  // Log records and offsets advance together; a failed write stores nothing
+  append(topicName, message, limits) {
+    message.offset = this.getOffsets(topicName).next;
+    this.log.append(topicName, message);
+    return super.append(topicName, message, limits);
+  }
+
+  readFrom(topicName, fromOffset) {
+    return super.readFrom(topicName, fromOffset) || this.log.readFrom(topicName, fromOffset);
+  }
+
+  getStats() {
+    return { ...super.getStats(), log: this.log.getStats() };
+  }
+
+  close() {
+    this.log.close();
+  }
+}
+
+module.exports = FileStorage;
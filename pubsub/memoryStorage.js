@@ -0,0 +1,134 @@
+const StorageAdapter = require('./storageAdapter');
+
+/**
+ * In-Memory Storage
+ *
+ * The default backend. Each topic keeps a ring buffer of its newest messages
+ * (one message per key when compacted) and the offset the next message gets.
+ * Topic metadata lives only in the engine, so settings, schemas and retained
+ * values need no copy here, and nothing survives a restart.
+ */
+
+class MemoryStorage extends StorageAdapter {
+  constructor(backend = 'memory') {
+    super(backend);
+    this.topics = new Map(); // topicName -> { messages, nextOffset }
+    this.sessions = new Map(); // clientId -> { suspendedAt, expiresAt }
+  }
+
+  load() {
+    return [];
+  }
+
+  createTopic(topicName) {
+    this.restoreTopic(topicName, [], 0);
+  }
+
+  /**
+   * Hold a topic's replay window as read back from a durable backend
+   * @param {string} topicName - Name of the topic
+   * @param {Array} messages - Messages, oldest first
+   * @param {number} nextOffset - Offset of the next message
+   */
+  restoreTopic(topicName, messages, nextOffset) {
+    this.topics.set(topicName, { messages, nextOffset });
+  }
+
+  deleteTopic(topicName) {
+    this.topics.delete(topicName);
+  }
+
+  writeSettings() {}
+
+  writeSchemas() {}
+
+  writeRetained() {}
+
+  append(topicName, message, limits = {}) {
+    const state = this.topics.get(topicName);
+    message.offset = state.nextOffset++;
+
+    if (limits.compact) {
+      const index = state.messages.findIndex(existing => existing.key === message.key);
+      if (index !== -1) {
+        state.messages.splice(index, 1);
+      }
+      state.messages.push(message);
+    } else {
+      state.messages.push(message);
+      if (limits.maxMessages && state.messages.length > limits.maxMessages) {
+        state.messages.shift(); // Remove oldest message
+      }
+    }
+
+    return message.offset;
+  }
+
+  getMessages(topicName) {
+    const state = this.topics.get(topicName);
+    return state ? state.messages : [];
+  }
+
+  readFrom(topicName, fromOffset) {
+    const { earliest } = this.getOffsets(topicName);
+    if (fromOffset < earliest) {
+      return null;
+    }
+    return this.getMessages(topicName).filter(message => message.offset >= fromOffset);
+  }
+
+  getOffsets(topicName) {
+    const state = this.topics.get(topicName);
+    if (!state) {
+      return { earliest: 0, next: 0 };
+    }
+    return {
+      earliest: state.messages.length > 0 ? state.messages[0].offset : state.nextOffset,
+      next: state.nextOffset
+    };
+  }
+
+  trimMessages(topicName, maxMessages) {
+    const state = this.topics.get(topicName);
+    if (state && state.messages.length > maxMessages) {
+      state.messages.splice(0, state.messages.length - maxMessages);
+    }
+  }
+
+  removeMessages(topicName, predicate) {
+    const state = this.topics.get(topicName);
+    if (!state || !state.messages.some(predicate)) {
+      return 0;
+    }
+
+    const before = state.messages.length;
+    state.messages = state.messages.filter(message => !predicate(message));
+    return before - state.messages.length;
+  }
+
+  saveSession(clientId, session) {
+    this.sessions.set(clientId, session);
+  }
+
+  getSession(clientId) {
+    return this.sessions.get(clientId) || null;
+  }
+
+  deleteSession(clientId) {
+    this.sessions.delete(clientId);
+  }
+
+  listSessions() {
+    return Array.from(this.sessions);
+  }
+
+  getStats() {
+    let messages = 0;
+    for (const state of this.topics.values()) {
+      messages += state.messages.length;
+    }
+    return { ...super.getStats(), topics: this.topics.size, messages, sessions: this.sessions.size };
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,107 @@
+/**
+ * Message Encoding
+ *
+ * Payloads are either JSON values or raw bytes (Buffers). JSON payloads travel
+ * as text WebSocket frames. Binary payloads travel as binary frames laid out as
+ *
+ *   [uint32 big-endian envelope length][envelope JSON][payload bytes]
+ *
+ * where the envelope is the usual frame with 'message.payload' left out. Where
+ * only JSON is possible (REST, the message log) binary payloads are written as
+ * base64 strings with "encoding": "base64".
+ */
+
+const ENVELOPE_LENGTH_BYTES = 4;
+const BASE64_ENCODING = 'base64';
+const BINARY_CONTENT_TYPE = 'application/octet-stream';
+
+/**
+ * Check whether a message carries a binary payload
+ * @param {Object} message - Message
+ * @returns {boolean} - True if the payload is a Buffer
+ */
+function isBinary(message) {
+  return !!message && Buffer.isBuffer(message.payload);
+}
+
+/**
+ * Serialize an outgoing frame for the WebSocket
+ * @param {Object} frame - Frame to send
+ * @returns {string|Buffer} - Text for JSON payloads, a binary frame for Buffer payloads
+ */
+function encodeFrame(frame) {
+  if (!isBinary(frame.message)) {
+    return JSON.stringify(frame);
+  }
+
+  const { payload, ...message } = frame.message;
+  const envelope = Buffer.from(JSON.stringify({ ...frame, message }));
+  const length = Buffer.alloc(ENVELOPE_LENGTH_BYTES);
+  length.writeUInt32BE(envelope.length);
+  return Buffer.concat([length, envelope, payload]);
+}
+
+/**
+ * Parse an incoming binary frame
+ * The payload bytes are attached as 'message.payload'
+ * @param {Buffer} data - Raw binary frame
+ * @returns {Object} - Parsed frame
+ * @throws {Error} - If the frame is truncated or the envelope is not JSON
+ */
+function decodeBinaryFrame(data) {
+  if (data.length < ENVELOPE_LENGTH_BYTES) {
+    throw new Error('Binary frame is too short');
+  }
+
+  const envelopeLength = data.readUInt32BE(0);
+  const payloadStart = ENVELOPE_LENGTH_BYTES + envelopeLength;
+  if (payloadStart > data.length) {
+    throw new Error('Binary frame envelope length exceeds frame size');
+  }
+
+  const frame = JSON.parse(data.subarray(ENVELOPE_LENGTH_BYTES, payloadStart).toString('utf8'));
+  if (!frame || typeof frame !== 'object') {
+    throw new Error('Binary frame envelope must be an object');
+  }
+
+  frame.message = {
+    ...(frame.message && typeof frame.message === 'object' ? frame.message : {}),
+    payload: Buffer.from(data.subarray(payloadStart))
+  };
+  return frame;
+}
+
+/**
+ * Convert a message to a JSON-safe form (binary payloads become base64)
+ * @param {Object} message - Message
+ * @returns {Object} - JSON-safe message
+ */
+function toJSONMessage(message) {
+  if (!isBinary(message)) {
+    return message;
+  }
+  return { ...message, payload: message.payload.toString(BASE64_ENCODING), encoding: BASE64_ENCODING };
+}
+
+/**
+ * Restore a message from its JSON-safe form (base64 payloads become Buffers)
+ * @param {Object} message - JSON-safe message
+ * @returns {Object} - Message
+ */
+function fromJSONMessage(message) {
+  if (!message || message.encoding !== BASE64_ENCODING || typeof message.payload !== 'string') {
+    return message;
+  }
+
+  const { encoding, ...rest } = message;
+  return { ...rest, payload: Buffer.from(message.payload, BASE64_ENCODING) };
+}
+
+module.exports = {
+  BINARY_CONTENT_TYPE,
+  isBinary,
+  encodeFrame,
+  decodeBinaryFrame,
+  toJSONMessage,
+  fromJSONMessage
+};
@@ -0,0 +1,188 @@
+/**
+ * Subscription Message Filters
+ *
+ * A filter is a JSON object evaluated against each published message before it
+ * is queued for a subscriber. Keys are dotted field paths rooted at 'payload'
+ * or 'headers'; values are either a literal (equality) or an operator object:
+ *
+ *   { "payload.status": "paid" }
+ *   { "payload.amount": { "$gte": 100, "$lt": 1000 } }
+ *   { "headers.region": { "$in": ["us", "eu"] } }
+ *   { "$or": [{ "payload.priority": "high" }, { "payload.amount": { "$gt": 500 } }] }
+ *
+ * All keys of an object must match. '$and', '$or' and '$not' combine
+ * sub-filters. Filters are validated once at subscribe time and compiled to a
+ * predicate so evaluation during fan-out does no parsing.
+ */
+
+const FIELD_ROOTS = ['payload', 'headers'];
+const MAX_DEPTH = 8;
+const MAX_CONDITIONS = 64;
+
+const COMPARISONS = {
+  $eq: (value, operand) => value === operand,
+  $ne: (value, operand) => value !== operand,
+  $gt: (value, operand) => isComparable(value, operand) && value > operand,
+  $gte: (value, operand) => isComparable(value, operand) && value >= operand,
+  $lt: (value, operand) => isComparable(value, operand) && value < operand,
+  $lte: (value, operand) => isComparable(value, operand) && value <= operand,
+  $in: (value, operand) => operand.includes(value),
+  $nin: (value, operand) => !operand.includes(value),
+  $exists: (value, operand) => (value !== undefined) === operand
+};
+
+/**
+ * Ranges only apply to two numbers or two strings
+ * @param {*} value - Field value
+ * @param {*} operand - Bound from the filter
+ * @returns {boolean} - True if the values can be ordered
+ */
+function isComparable(value, operand) {
+  return (typeof value === 'number' && typeof operand === 'number') ||
+    (typeof value === 'string' && typeof operand === 'string');
+}
+
+/**
+ * Check whether a value is a plain JSON object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for non-null, non-array objects
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a value can appear as a literal in a filter
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for strings, finite numbers, booleans and null
+ */
+function isScalar(value) {
+  return value === null || typeof value === 'string' || typeof value === 'boolean' ||
+    (typeof value === 'number' && Number.isFinite(value));
+}
+
+/**
+ * Read a dotted path from a message
+ * @param {Object} message - Published message
+ * @param {Array} path - Path segments
+ * @returns {*} - Field value or undefined
+ */
+function readPath(message, path) {
+  let value = message;
+  for (const segment of path) {
+    if (value === null || typeof value !== 'object') {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * Compile a filter expression into a predicate over messages
+ * @param {Object} expression - Filter expression
+ * @returns {Object} - { filter } with filter(message) => boolean, or { error }
+ */
+function compileFilter(expression) {
+  const state = { conditions: 0 };
+  try {
+    return { filter: compileNode(expression, 0, state) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Compile one object of the expression (all keys must match)
+ * @param {Object} node - Filter object
+ * @param {number} depth - Nesting depth
+ * @param {Object} state - Shared counters for size limits
+ * @returns {Function} - Predicate
+ */
+function compileNode(node, depth, state) {
+  if (!isObject(node) || Object.keys(node).length === 0) {
+    throw new Error('Filter must be a non-empty object');
+  }
+  if (depth > MAX_DEPTH) {
+    throw new Error(`Filter nesting exceeds ${MAX_DEPTH} levels`);
+  }
+
+  const predicates = Object.entries(node).map(([key, value]) => {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`${key} requires a non-empty array of filters`);
+      }
+      const children = value.map(child => compileNode(child, depth + 1, state));
+      return key === '$and'
+        ? message => children.every(child => child(message))
+        : message => children.some(child => child(message));
+    }
+
+    if (key === '$not') {
+      const child = compileNode(value, depth + 1, state);
+      return message => !child(message);
+    }
+
+    if (key.startsWith('$')) {
+      throw new Error(`Unknown filter operator: ${key}`);
+    }
+
+    return compileField(key, value, state);
+  });
+
+  return message => predicates.every(predicate => predicate(message));
+}
+
+/**
+ * Compile the conditions on a single field
+ * @param {string} field - Dotted field path
+ * @param {*} condition - Literal or operator object
+ * @param {Object} state - Shared counters for size limits
+ * @returns {Function} - Predicate
+ */
+function compileField(field, condition, state) {
+  const path = field.split('.');
+  if (!FIELD_ROOTS.includes(path[0]) || path.some(segment => segment.length === 0)) {
+    throw new Error(`Filter field must start with ${FIELD_ROOTS.join(' or ')}: ${field}`);
+  }
+
+  const operators = isObject(condition) ? Object.entries(condition) : [['$eq', condition]];
+  if (operators.length === 0) {
+    throw new Error(`No condition given for field: ${field}`);
+  }
+
+  const checks = operators.map(([operator, operand]) => {
+    const compare = Object.prototype.hasOwnProperty.call(COMPARISONS, operator) && COMPARISONS[operator];
+    if (!compare) {
+      throw new Error(`Unknown filter operator: ${operator}`);
+    }
+
+    if (operator === '$in' || operator === '$nin') {
+      if (!Array.isArray(operand) || !operand.every(isScalar)) {
+        throw new Error(`${operator} on ${field} requires an array of scalar values`);
+      }
+    } else if (operator === '$exists') {
+      if (typeof operand !== 'boolean') {
+        throw new Error(`$exists on ${field} requires true or false`);
+      }
+    } else if (!isScalar(operand)) {
+      throw new Error(`${operator} on ${field} requires a scalar value`);
+    }
+
+    state.conditions++;
+    if (state.conditions > MAX_CONDITIONS) {
+      throw new Error(`Filter has more than ${MAX_CONDITIONS} conditions`);
+    }
+
+    return value => compare(value, operand);
+  });
+
+  return message => {
+    const value = readPath(message, path);
+    return checks.every(check => check(value));
+  };
+}
+
+module.exports = {
+  compileFilter
+};
@@ -0,0 +1,565 @@
+const fs = require('fs');
+const path = require('path');
+const { toJSONMessage, fromJSONMessage } = require('./messageCodec');
+const { isValidTopicName } = require('./topicPattern');
+
+/**
+ * Durable Append-Only Message Log
+ *
+ * Each topic is stored in its own directory as a sequence of segment files.
+ * The directory is named after the URI-encoded topic name with dots escaped
+ * as well, so no name ('.', '..') can resolve outside the data directory.
+ * A segment is named after the index of its first record (zero-padded) and
+ * holds one JSON-encoded message per line. Appends always go to the newest
+ * segment; once it grows past segmentMaxBytes a new one is started.
+ *
+ * Retention removes whole segments (never the active one) when the topic
+ * exceeds retentionBytes or when a segment's newest record is older than
+ * retentionMs.
+ *
+ * Compacted topics are exempt from retention. Instead, whenever a new segment
+ * is started the closed segments are rewritten to keep only the latest record
+ * per key, dropping tombstones (null payloads) older than tombstoneRetention.
+ * Records keep their offsets, so a compacted segment has gaps.
+ *
+ * Binary payloads are stored base64-encoded and restored as Buffers on read.
+ * Per-topic setting overrides are kept next to the segments in topic.json,
+ * registered payload schemas in schemas.json, and the values of retained
+ * topics in retained.json, since retention may remove the segments that hold
+ * them.
+ */
+
+const SEGMENT_EXTENSION = '.log';
+const SEGMENT_NAME_LENGTH = 20;
+const SETTINGS_FILE = 'topic.json';
+const RETAINED_FILE = 'retained.json';
+const SCHEMAS_FILE = 'schemas.json';
+
+class MessageLog {
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory || 'data');
+    this.segmentMaxBytes = options.segmentMaxBytes || 1024 * 1024; // 1MB
+    this.retentionBytes = options.retentionBytes || 0; // 0 = unlimited
+    this.retentionMs = options.retentionMs || 0; // 0 = unlimited
+    this.retentionCheckInterval = options.retentionCheckInterval || 60000;
+    this.tombstoneRetention = options.tombstoneRetention || 24 * 60 * 60 * 1000;
+
+    this.topics = new Map(); // topicName -> { dir, segments, nextIndex, fd, compact }
+    this.retentionTimer = null;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Load every topic stored on disk
+   * @param {number} maxMessages - Number of most recent messages to return per topic,
+   *   unless the topic's settings override it; compacted topics return the latest
+   *   message per key instead
+   * @returns {Array} - [{ topicName, messages, nextIndex, settings, retained, schemas, createdAt }]
+   */
+  load(maxMessages) {
+    const restored = [];
+
+    for (const entry of fs.readdirSync(this.directory, { withFileTypes: true })) {
+      if (!entry.isDirectory()) {
+        continue;
+      }
+
+      // Skip directories the log did not write, e.g. with a bad '%' sequence
+      let topicName;
+      try {
+        topicName = decodeURIComponent(entry.name);
+      } catch (error) {
+        continue;
+      }
+      if (!isValidTopicName(topicName) || this.topicDir(topicName) !== path.join(this.directory, entry.name)) {
+        continue;
+      }
+
+      const state = this.openTopic(topicName);
+      this.applyRetention(topicName);
+
+      const settings = this.readSettings(state.dir);
+      const limit = settings.maxMessages || maxMessages;
+
+      let messages = [];
+      if (state.compact) {
+        messages = this.readCompacted(state);
+      } else {
+        for (const segment of state.segments) {
+          for (const message of this.readSegment(state.dir, segment)) {
+            messages.push(message);
+            if (messages.length > limit) {
+              messages.shift();
+            }
+          }
+        }
+      }
+
+      const dirStat = fs.statSync(state.dir);
+      restored.push({
+        topicName,
+        messages,
+        nextIndex: state.nextIndex,
+        settings,
+        retained: this.readRetained(state.dir),
+        schemas: this.readSchemas(state.dir),
+        createdAt: Math.floor(dirStat.birthtimeMs || dirStat.ctimeMs)
+      });
+    }
+
+    return restored;
+  }
+
+  /**
+   * Register a topic, creating its directory if needed
+   * @param {string} topicName - Name of the topic
+   * @param {Object} settings - Setting overrides to store with the topic
+   */
+  createTopic(topicName, settings = {}) {
+    this.openTopic(topicName);
+    this.writeSettings(topicName, settings);
+  }
+
+  /**
+   * Store a topic's setting overrides
+   * Written to a temporary file and renamed so a crash never leaves half a file
+   * @param {string} topicName - Name of the topic
+   * @param {Object} settings - Setting overrides
+   */
+  writeSettings(topicName, settings) {
+    const state = this.openTopic(topicName);
+    const file = path.join(state.dir, SETTINGS_FILE);
+    fs.writeFileSync(file + '.tmp', JSON.stringify(settings));
+    fs.renameSync(file + '.tmp', file);
+    state.compact = !!settings.compact;
+  }
+
+  /**
+   * Read a topic's setting overrides
+   * @param {string} dir - Topic directory
+   * @returns {Object} - Setting overrides (empty if none were stored)
+   */
+  readSettings(dir) {
+    try {
+      const settings = JSON.parse(fs.readFileSync(path.join(dir, SETTINGS_FILE), 'utf8'));
+      return settings && typeof settings === 'object' ? settings : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Store a retained topic's current values
+   * Written to a temporary file and renamed like the settings
+   * @param {string} topicName - Name of the topic
+   * @param {Array} messages - Retained messages
+   */
+  writeRetained(topicName, messages) {
+    const state = this.openTopic(topicName);
+    const file = path.join(state.dir, RETAINED_FILE);
+    fs.writeFileSync(file + '.tmp', JSON.stringify(messages.map(toJSONMessage)));
+    fs.renameSync(file + '.tmp', file);
+  }
+
+  /**
+   * Read a retained topic's stored values
+   * @param {string} dir - Topic directory
+   * @returns {Array} - Retained messages (empty if none were stored)
+   */
+  readRetained(dir) {
+    try {
+      const messages = JSON.parse(fs.readFileSync(path.join(dir, RETAINED_FILE), 'utf8'));
+      return Array.isArray(messages) ? messages.map(fromJSONMessage) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Store a topic's registered schema versions
+   * Written to a temporary file and renamed like the settings
+   * @param {string} topicName - Name of the topic
+   * @param {Array} versions - [{ version, schema, compatibility, registeredAt }]
+   */
+  writeSchemas(topicName, versions) {
+    const state = this.openTopic(topicName);
+    const file = path.join(state.dir, SCHEMAS_FILE);
+    fs.writeFileSync(file + '.tmp', JSON.stringify(versions));
+    fs.renameSync(file + '.tmp', file);
+  }
+
+  /**
+   * Read a topic's registered schema versions
+   * @param {string} dir - Topic directory
+   * @returns {Array} - Schema versions, oldest first (empty if none were stored)
+   */
+  readSchemas(dir) {
+    try {
+      const versions = JSON.parse(fs.readFileSync(path.join(dir, SCHEMAS_FILE), 'utf8'));
+      return Array.isArray(versions) ? versions : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Remove a topic and all of its segments
+   * @param {string} topicName - Name of the topic
+   */
+  deleteTopic(topicName) {
+    const state = this.topics.get(topicName);
+    if (state && state.fd !== null) {
+      fs.closeSync(state.fd);
+    }
+    this.topics.delete(topicName);
+
+    fs.rmSync(this.topicDir(topicName), { recursive: true, force: true });
+  }
+
+  /**
+   * Append a message to a topic's active segment
+   * @param {string} topicName - Name of the topic
+   * @param {Object} message - Message to persist
+   * @returns {number} - Index of the appended record
+   */
+  append(topicName, message) {
+    const state = this.openTopic(topicName);
+    const line = JSON.stringify(toJSONMessage(message)) + '\n';
+    const bytes = Buffer.byteLength(line);
+
+    let active = state.segments[state.segments.length - 1];
+    if (!active || (active.size > 0 && active.size + bytes > this.segmentMaxBytes)) {
+      active = this.rollSegment(state);
+      if (state.compact) {
+        this.compactTopic(topicName);
+      } else {
+        this.applyRetention(topicName);
+      }
+    }
+
+    if (state.fd === null) {
+      state.fd = fs.openSync(path.join(state.dir, active.file), 'a');
+    }
+
+    fs.writeSync(state.fd, line);
+    active.size += bytes;
+    active.lastTs = message.ts || Date.now();
+
+    return state.nextIndex++;
+  }
+
+  /**
+   * Read every record at or after an index
+   * @param {string} topicName - Name of the topic
+   * @param {number} fromIndex - First record index to return
+   * @returns {Array|null} - Messages, or null if the index was removed by retention
+   */
+  readFrom(topicName, fromIndex) {
+    const state = this.topics.get(topicName);
+    if (!state || state.segments.length === 0 || fromIndex < state.segments[0].base) {
+      return null;
+    }
+
+    const messages = [];
+    state.segments.forEach((segment, i) => {
+      const next = state.segments[i + 1];
+      if (next && next.base <= fromIndex) {
+        return;
+      }
+
+      this.readSegment(state.dir, segment).forEach((message, position) => {
+        // Compacted segments have gaps; records carry their own offset
+        const index = message.offset !== undefined ? message.offset : segment.base + position;
+        if (index >= fromIndex) {
+          messages.push(message);
+        }
+      });
+    });
+
+    return messages;
+  }
+
+  /**
+   * Delete old segments according to the size and age limits
+   * @param {string} topicName - Name of the topic
+   * @returns {number} - Number of segments removed
+   */
+  applyRetention(topicName) {
+    const state = this.topics.get(topicName);
+    if (!state || state.compact) {
+      return 0;
+    }
+
+    let totalBytes = state.segments.reduce((sum, segment) => sum + segment.size, 0);
+    const cutoff = this.retentionMs > 0 ? Date.now() - this.retentionMs : null;
+    let removed = 0;
+
+    // Always keep the active segment
+    while (state.segments.length > 1) {
+      const oldest = state.segments[0];
+      const tooBig = this.retentionBytes > 0 && totalBytes > this.retentionBytes;
+      const tooOld = cutoff !== null && oldest.lastTs < cutoff;
+      if (!tooBig && !tooOld) {
+        break;
+      }
+
+      fs.rmSync(path.join(state.dir, oldest.file), { force: true });
+      state.segments.shift();
+      totalBytes -= oldest.size;
+      removed++;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Rewrite a compacted topic's closed segments, keeping the latest record per key
+   * Segments left empty are removed; the active segment is never touched
+   * @param {string} topicName - Name of the topic
+   * @returns {number} - Number of records removed
+   */
+  compactTopic(topicName) {
+    const state = this.topics.get(topicName);
+    if (!state || !state.compact) {
+      return 0;
+    }
+
+    // Records in the active segment are newer, so closed records they supersede
+    // are only dropped on a later pass
+    const closed = state.segments.slice(0, -1);
+    const latest = new Map(); // key -> offset of its latest closed record
+    for (const segment of closed) {
+      for (const message of this.readSegment(state.dir, segment)) {
+        latest.set(message.key, message.offset);
+      }
+    }
+
+    const cutoff = Date.now() - this.tombstoneRetention;
+    let removed = 0;
+
+    for (const segment of closed) {
+      const records = this.readSegment(state.dir, segment);
+      const kept = records.filter(message =>
+        latest.get(message.key) === message.offset &&
+        !(message.payload === null && message.ts < cutoff)
+      );
+      if (kept.length === records.length) {
+        continue;
+      }
+
+      removed += records.length - kept.length;
+      const file = path.join(state.dir, segment.file);
+      if (kept.length === 0) {
+        fs.rmSync(file, { force: true });
+        state.segments.splice(state.segments.indexOf(segment), 1);
+        continue;
+      }
+
+      const content = kept.map(message => JSON.stringify(toJSONMessage(message)) + '\n').join('');
+      fs.writeFileSync(file + '.tmp', content);
+      fs.renameSync(file + '.tmp', file);
+      segment.size = Buffer.byteLength(content);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Read the latest record per key of a compacted topic, in offset order
+   * Tombstones older than tombstoneRetention are left out
+   * @param {Object} state - Topic log state
+   * @returns {Array} - Messages
+   */
+  readCompacted(state) {
+    const latest = new Map(); // key -> message
+    for (const segment of state.segments) {
+      for (const message of this.readSegment(state.dir, segment)) {
+        latest.delete(message.key);
+        latest.set(message.key, message);
+      }
+    }
+
+    const cutoff = Date.now() - this.tombstoneRetention;
+    return Array.from(latest.values()).filter(message => !(message.payload === null && message.ts < cutoff));
+  }
+
+  /**
+   * Start periodic age-based retention for idle topics
+   */
+  startRetention() {
+    if (this.retentionTimer || (this.retentionMs <= 0 && this.retentionBytes <= 0)) {
+      return;
+    }
+
+    this.retentionTimer = setInterval(() => {
+      for (const topicName of this.topics.keys()) {
+        this.applyRetention(topicName);
+      }
+    }, this.retentionCheckInterval);
+
+    if (this.retentionTimer.unref) {
+      this.retentionTimer.unref();
+    }
+  }
+
+  /**
+   * Get log statistics
+   * @returns {Object} - Log statistics
+   */
+  getStats() {
+    const stats = {
+      directory: this.directory,
+      topics: {},
+      totalBytes: 0
+    };
+
+    for (const [topicName, state] of this.topics) {
+      const bytes = state.segments.reduce((sum, segment) => sum + segment.size, 0);
+      stats.topics[topicName] = {
+        segments: state.segments.length,
+        bytes,
+        nextIndex: state.nextIndex
+      };
+      stats.totalBytes += bytes;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Close open segment files and stop retention
+   */
+  close() {
+    if (this.retentionTimer) {
+      clearInterval(this.retentionTimer);
+      this.retentionTimer = null;
+    }
+
+    for (const state of this.topics.values()) {
+      if (state.fd !== null) {
+        fs.closeSync(state.fd);
+        state.fd = null;
+      }
+    }
+  }
+
+  /**
+   * Get or build the in-memory state for a topic from its directory
+   * @param {string} topicName - Name of the topic
+   * @returns {Object} - Topic log state
+   */
+  openTopic(topicName) {
+    if (this.topics.has(topicName)) {
+      return this.topics.get(topicName);
+    }
+
+    const dir = this.topicDir(topicName);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const segments = fs.readdirSync(dir)
+      .filter(file => file.endsWith(SEGMENT_EXTENSION))
+      .sort()
+      .map(file => {
+        const stat = fs.statSync(path.join(dir, file));
+        return {
+          file,
+          base: parseInt(file, 10),
+          size: stat.size,
+          lastTs: stat.mtimeMs
+        };
+      });
+
+    let nextIndex = 0;
+    if (segments.length > 0) {
+      const active = segments[segments.length - 1];
+      this.repairSegment(dir, active);
+      const records = this.readSegment(dir, active);
+      const last = records[records.length - 1];
+      nextIndex = last && last.offset !== undefined ? last.offset + 1 : active.base + records.length;
+    }
+
+    const state = { dir, segments, nextIndex, fd: null, compact: !!this.readSettings(dir).compact };
+    this.topics.set(topicName, state);
+    return state;
+  }
+
+  /**
+   * Close the active segment and start a new one at the next index
+   * @param {Object} state - Topic log state
+   * @returns {Object} - The new active segment
+   */
+  rollSegment(state) {
+    if (state.fd !== null) {
+      fs.closeSync(state.fd);
+      state.fd = null;
+    }
+
+    const segment = {
+      file: String(state.nextIndex).padStart(SEGMENT_NAME_LENGTH, '0') + SEGMENT_EXTENSION,
+      base: state.nextIndex,
+      size: 0,
+      lastTs: Date.now()
+    };
+    state.segments.push(segment);
+    return segment;
+  }
+
+  /**
+   * Truncate a torn trailing record so new appends start on a fresh line
+   * @param {string} dir - Topic directory
+   * @param {Object} segment - Segment descriptor
+   */
+  repairSegment(dir, segment) {
+    const file = path.join(dir, segment.file);
+    const content = fs.readFileSync(file);
+    if (content.length === 0 || content[content.length - 1] === 0x0a) {
+      return;
+    }
+
+    const intactLength = content.lastIndexOf(0x0a) + 1;
+    fs.truncateSync(file, intactLength);
+    segment.size = intactLength;
+  }
+
+  /**
+   * Read all intact records from a segment
+   * A torn trailing line from a crash mid-write is ignored
+   * @param {string} dir - Topic directory
+   * @param {Object} segment - Segment descriptor
+   * @returns {Array} - Messages in the segment
+   */
+  readSegment(dir, segment) {
+    const content = fs.readFileSync(path.join(dir, segment.file), 'utf8');
+    const messages = [];
+
+    for (const line of content.split('\n')) {
+      if (line.length === 0) {
+        continue;
+      }
+      try {
+        messages.push(fromJSONMessage(JSON.parse(line)));
+      } catch (error) {
+        // Skip partially written records
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Directory holding a topic's segments
+   * @param {string} topicName - Name of the topic
+   * @returns {string} - Absolute directory path
+   * @throws {Error} - If the path would not be a directory directly inside the data directory
+   */
+  topicDir(topicName) {
+    const dir = path.join(this.directory, encodeURIComponent(topicName).replace(/\./g, '%2E'));
+    if (path.dirname(dir) !== this.directory) {
+      throw new Error(`Topic name '${topicName}' does not map to a log directory`);
+    }
+    return dir;
+  }
+}
+
+module.exports = MessageLog;
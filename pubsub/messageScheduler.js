@@ -0,0 +1,272 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Longest delay setTimeout accepts; later entries re-arm when it fires
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Scheduler for Delayed Publishes
+ *
+ * Holds messages until their delivery time in a binary min-heap ordered by
+ * deliverAt (ties keep scheduling order), with a single timer armed for the
+ * earliest entry. Scheduling and releasing are O(log n). Cancelled entries
+ * are only marked and skipped when they reach the top of the heap; the heap
+ * is rebuilt once they make up most of it.
+ */
+class MessageScheduler {
+  constructor(options = {}) {
+    this.onDue = options.onDue || (() => {});
+
+    this.heap = []; // entries ordered by (deliverAt, seq)
+    this.entries = new Map(); // scheduleId -> entry, pending only
+    this.timer = null;
+    this.timerAt = null;
+    this.seq = 0;
+    this.totalScheduled = 0;
+    this.totalReleased = 0;
+    this.totalCancelled = 0;
+  }
+
+  /**
+   * Hold a message until its delivery time
+   * @param {string} topicName - Topic to publish to
+   * @param {Object} message - Message to publish
+   * @param {number} deliverAt - Delivery time in epoch ms
+   * @returns {Object} - The scheduled entry
+   */
+  schedule(topicName, message, deliverAt) {
+    const entry = {
+      scheduleId: uuidv4(),
+      topicName,
+      message,
+      deliverAt,
+      scheduledAt: Date.now(),
+      seq: this.seq++,
+      cancelled: false
+    };
+
+    this.entries.set(entry.scheduleId, entry);
+    this.push(entry);
+    this.totalScheduled++;
+    this.arm();
+    return entry;
+  }
+
+  /**
+   * Cancel a pending entry
+   * @param {string} scheduleId - Schedule identifier
+   * @returns {Object|null} - The cancelled entry or null if unknown
+   */
+  cancel(scheduleId) {
+    const entry = this.entries.get(scheduleId);
+    if (!entry) {
+      return null;
+    }
+
+    entry.cancelled = true;
+    this.entries.delete(scheduleId);
+    this.totalCancelled++;
+
+    if (this.heap.length > 64 && this.heap.length > 2 * this.entries.size) {
+      this.rebuild();
+    }
+    this.arm();
+    return entry;
+  }
+
+  /**
+   * Get a pending entry
+   * @param {string} scheduleId - Schedule identifier
+   * @returns {Object|null} - Pending entry or null if unknown
+   */
+  get(scheduleId) {
+    return this.entries.get(scheduleId) || null;
+  }
+
+  /**
+   * Find a pending entry by topic and message id
+   * @param {string} topicName - Topic name
+   * @param {string} messageId - Message id
+   * @returns {Object|null} - Pending entry or null if none
+   */
+  find(topicName, messageId) {
+    for (const entry of this.entries.values()) {
+      if (entry.topicName === topicName && entry.message.id === messageId) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * List pending entries in delivery order
+   * @param {string} topicName - Only entries for this topic (all if omitted)
+   * @returns {Array} - Pending entries
+   */
+  list(topicName) {
+    return Array.from(this.entries.values())
+      .filter(entry => topicName === undefined || entry.topicName === topicName)
+      .sort(compare);
+  }
+
+  /**
+   * Release every entry whose delivery time has passed and re-arm the timer
+   * @param {number} now - Current time in epoch ms
+   * @returns {number} - Number of entries released
+   */
+  releaseDue(now = Date.now()) {
+    let released = 0;
+    while (this.heap.length > 0 && this.heap[0].deliverAt <= now) {
+      const entry = this.pop();
+      if (entry.cancelled) {
+        continue;
+      }
+
+      this.entries.delete(entry.scheduleId);
+      this.totalReleased++;
+      released++;
+      this.onDue(entry);
+    }
+
+    this.arm();
+    return released;
+  }
+
+  /**
+   * Arm the timer for the earliest pending entry
+   */
+  arm() {
+    while (this.heap.length > 0 && this.heap[0].cancelled) {
+      this.pop();
+    }
+
+    const next = this.heap.length > 0 ? this.heap[0].deliverAt : null;
+    if (next === this.timerAt) {
+      return;
+    }
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.timerAt = null;
+    }
+    if (next === null) {
+      return;
+    }
+
+    const delay = Math.min(Math.max(next - Date.now(), 0), MAX_TIMER_DELAY);
+    this.timerAt = next;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.timerAt = null;
+      this.releaseDue();
+    }, delay);
+
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Get scheduler statistics
+   * @returns {Object} - Scheduler statistics
+   */
+  getStats() {
+    // arm() keeps a live entry at the top of the heap
+    return {
+      pending: this.entries.size,
+      nextDeliverAt: this.heap.length > 0 ? this.heap[0].deliverAt : null,
+      totalScheduled: this.totalScheduled,
+      totalReleased: this.totalReleased,
+      totalCancelled: this.totalCancelled
+    };
+  }
+
+  /**
+   * Stop the timer and forget every pending entry
+   * @returns {Array} - The entries that were still pending, in delivery order
+   */
+  clear() {
+    const pending = this.list();
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.timerAt = null;
+    }
+    this.heap = [];
+    this.entries.clear();
+
+    return pending;
+  }
+
+  /**
+   * Add an entry to the heap
+   * @param {Object} entry - Scheduled entry
+   */
+  push(entry) {
+    const heap = this.heap;
+    heap.push(entry);
+
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (compare(heap[parent], heap[i]) <= 0) {
+        break;
+      }
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  }
+
+  /**
+   * Remove the earliest entry from the heap
+   * @returns {Object} - The earliest entry
+   */
+  pop() {
+    const heap = this.heap;
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length === 0) {
+      return top;
+    }
+
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && compare(heap[left], heap[smallest]) < 0) {
+        smallest = left;
+      }
+      if (right < heap.length && compare(heap[right], heap[smallest]) < 0) {
+        smallest = right;
+      }
+      if (smallest === i) {
+        break;
+      }
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+    return top;
+  }
+
+  /**
+   * Drop cancelled entries and restore the heap order
+   */
+  rebuild() {
+    this.heap = this.list();
+  }
+}
+
+/**
+ * Order entries by delivery time, then by scheduling order
+ * @param {Object} a - Scheduled entry
+ * @param {Object} b - Scheduled entry
+ * @returns {number} - Negative if a is due first
+ */
+function compare(a, b) {
+  return a.deliverAt - b.deliverAt || a.seq - b.seq;
+}
+
+module.exports = MessageScheduler;
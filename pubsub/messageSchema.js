@@ -0,0 +1,468 @@
+/**
+ * Topic Payload Schemas
+ *
+ * A topic may carry a JSON Schema that every published payload must satisfy.
+ * The supported subset covers the usual shape checks:
+ *
+ *   type, enum, const                      (any value)
+ *   properties, required,
+ *   additionalProperties                   (objects)
+ *   items, minItems, maxItems              (arrays)
+ *   minLength, maxLength, pattern          (strings)
+ *   minimum, maximum,
+ *   exclusiveMinimum, exclusiveMaximum     (numbers)
+ *   allOf, anyOf, oneOf, not               (combinators)
+ *
+ * Annotations such as title and description are ignored; any other keyword is
+ * rejected at registration rather than silently not enforced. Schemas are
+ * compiled once into a validator that reports the first failing path, written
+ * like a filter field ('payload.items.0.sku').
+ *
+ * Schemas are versioned. A new version is checked against the latest one:
+ * 'backward' means the new schema accepts every payload the previous one did,
+ * 'forward' the reverse, 'full' both and 'none' skips the check. The check is
+ * structural and errs on the side of reporting a change as incompatible.
+ */
+
+const TYPES = ['null', 'boolean', 'object', 'array', 'number', 'integer', 'string'];
+const COMPATIBILITY_MODES = ['backward', 'forward', 'full', 'none'];
+const ANNOTATIONS = ['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples'];
+const COMBINATORS = ['allOf', 'anyOf', 'oneOf', 'not'];
+const MAX_DEPTH = 32;
+
+// Bounds a newer schema may not tighten; 'lower' bounds may not rise, 'upper' may not fall
+const BOUNDS = {
+  minimum: 'lower',
+  exclusiveMinimum: 'lower',
+  minLength: 'lower',
+  minItems: 'lower',
+  maximum: 'upper',
+  exclusiveMaximum: 'upper',
+  maxLength: 'upper',
+  maxItems: 'upper'
+};
+
+/**
+ * Check whether a value is a plain JSON object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for non-null, non-array objects (Buffers excluded)
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value);
+}
+
+/**
+ * Check whether an object has its own property
+ * @param {Object} object - Object to check
+ * @param {string} name - Property name
+ * @returns {boolean} - True if the property is set on the object itself
+ */
+function has(object, name) {
+  return Object.prototype.hasOwnProperty.call(object, name);
+}
+
+/**
+ * Check whether a value is of a schema type
+ * @param {*} value - Payload value
+ * @param {string} type - Schema type name
+ * @returns {boolean} - True if the value has the type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'boolean': return typeof value === 'boolean';
+    case 'object': return isObject(value);
+    case 'array': return Array.isArray(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'string': return typeof value === 'string';
+    default: return false;
+  }
+}
+
+/**
+ * Compare two JSON values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if both serialize the same way
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compile a schema into a payload validator
+ * @param {Object|boolean} schema - JSON Schema
+ * @returns {Object} - { validate } with validate(payload) => { path, reason } or null, or { error }
+ */
+function compileSchema(schema) {
+  try {
+    const check = compileNode(schema, 'payload', 0);
+    return { validate: payload => check(payload, 'payload') };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Compile one schema node
+ * @param {Object|boolean} node - Schema node
+ * @param {string} at - Location of the node, for compile errors
+ * @param {number} depth - Nesting depth
+ * @returns {Function} - (value, path) => { path, reason } or null
+ */
+function compileNode(node, at, depth) {
+  if (node === true) {
+    return () => null;
+  }
+  if (node === false) {
+    return (value, path) => ({ path, reason: 'is not allowed' });
+  }
+  if (!isObject(node)) {
+    throw new Error(`Schema at ${at} must be an object or a boolean`);
+  }
+  if (depth > MAX_DEPTH) {
+    throw new Error(`Schema nesting exceeds ${MAX_DEPTH} levels`);
+  }
+
+  const checks = [];
+  for (const [keyword, operand] of Object.entries(node)) {
+    if (ANNOTATIONS.includes(keyword)) {
+      continue;
+    }
+    checks.push(compileKeyword(node, keyword, operand, at, depth));
+  }
+
+  return (value, path) => {
+    for (const check of checks) {
+      const failure = check(value, path);
+      if (failure) {
+        return failure;
+      }
+    }
+    return null;
+  };
+}
+
+/**
+ * Compile a single keyword of a schema node
+ * @param {Object} node - Schema node the keyword belongs to
+ * @param {string} keyword - Keyword name
+ * @param {*} operand - Keyword value
+ * @param {string} at - Location of the node, for compile errors
+ * @param {number} depth - Nesting depth
+ * @returns {Function} - (value, path) => { path, reason } or null
+ */
+function compileKeyword(node, keyword, operand, at, depth) {
+  switch (keyword) {
+    case 'type': {
+      const types = Array.isArray(operand) ? operand : [operand];
+      if (types.length === 0 || !types.every(type => TYPES.includes(type))) {
+        throw new Error(`type at ${at} must be one of ${TYPES.join(', ')}`);
+      }
+      return (value, path) => types.some(type => hasType(value, type))
+        ? null
+        : { path, reason: `must be ${types.join(' or ')}` };
+    }
+
+    case 'enum':
+      if (!Array.isArray(operand) || operand.length === 0) {
+        throw new Error(`enum at ${at} must be a non-empty array`);
+      }
+      return (value, path) => operand.some(allowed => isEqual(allowed, value))
+        ? null
+        : { path, reason: `must be one of ${JSON.stringify(operand)}` };
+
+    case 'const':
+      return (value, path) => isEqual(operand, value)
+        ? null
+        : { path, reason: `must be ${JSON.stringify(operand)}` };
+
+    case 'properties': {
+      if (!isObject(operand)) {
+        throw new Error(`properties at ${at} must be an object`);
+      }
+      const properties = Object.entries(operand).map(([name, child]) =>
+        [name, compileNode(child, `${at}.${name}`, depth + 1)]
+      );
+      return (value, path) => {
+        if (!isObject(value)) {
+          return null;
+        }
+        for (const [name, check] of properties) {
+          if (has(value, name)) {
+            const failure = check(value[name], `${path}.${name}`);
+            if (failure) {
+              return failure;
+            }
+          }
+        }
+        return null;
+      };
+    }
+
+    case 'required':
+      if (!Array.isArray(operand) || !operand.every(name => typeof name === 'string')) {
+        throw new Error(`required at ${at} must be an array of property names`);
+      }
+      return (value, path) => {
+        if (!isObject(value)) {
+          return null;
+        }
+        const missing = operand.find(name => !has(value, name));
+        return missing === undefined ? null : { path: `${path}.${missing}`, reason: 'is required' };
+      };
+
+    case 'additionalProperties': {
+      const check = compileNode(operand, `${at}.additionalProperties`, depth + 1);
+      const known = new Set(Object.keys(isObject(node.properties) ? node.properties : {}));
+      return (value, path) => {
+        if (!isObject(value)) {
+          return null;
+        }
+        for (const name of Object.keys(value)) {
+          if (!known.has(name)) {
+            const failure = check(value[name], `${path}.${name}`);
+            if (failure) {
+              return failure;
+            }
+          }
+        }
+        return null;
+      };
+    }
+
+    case 'items': {
+      const check = compileNode(operand, `${at}.items`, depth + 1);
+      return (value, path) => {
+        if (!Array.isArray(value)) {
+          return null;
+        }
+        for (let i = 0; i < value.length; i++) {
+          const failure = check(value[i], `${path}.${i}`);
+          if (failure) {
+            return failure;
+          }
+        }
+        return null;
+      };
+    }
+
+    case 'minItems':
+    case 'maxItems':
+    case 'minLength':
+    case 'maxLength': {
+      if (!Number.isInteger(operand) || operand < 0) {
+        throw new Error(`${keyword} at ${at} must be a non-negative integer`);
+      }
+      const isArrayKeyword = keyword.endsWith('Items');
+      const isMin = keyword.startsWith('min');
+      return (value, path) => {
+        if (isArrayKeyword ? !Array.isArray(value) : typeof value !== 'string') {
+          return null;
+        }
+        const length = isArrayKeyword ? value.length : Array.from(value).length;
+        if (isMin ? length >= operand : length <= operand) {
+          return null;
+        }
+        const unit = isArrayKeyword ? 'items' : 'characters';
+        return { path, reason: `must have ${isMin ? 'at least' : 'at most'} ${operand} ${unit}` };
+      };
+    }
+
+    case 'pattern': {
+      let regex;
+      try {
+        regex = new RegExp(operand, 'u');
+      } catch (error) {
+        throw new Error(`pattern at ${at} is not a valid regular expression`);
+      }
+      return (value, path) => typeof value !== 'string' || regex.test(value)
+        ? null
+        : { path, reason: `must match pattern ${operand}` };
+    }
+
+    case 'minimum':
+    case 'maximum':
+    case 'exclusiveMinimum':
+    case 'exclusiveMaximum': {
+      if (typeof operand !== 'number' || !Number.isFinite(operand)) {
+        throw new Error(`${keyword} at ${at} must be a number`);
+      }
+      const [test, text] = {
+        minimum: [value => value >= operand, `>= ${operand}`],
+        maximum: [value => value <= operand, `<= ${operand}`],
+        exclusiveMinimum: [value => value > operand, `> ${operand}`],
+        exclusiveMaximum: [value => value < operand, `< ${operand}`]
+      }[keyword];
+      return (value, path) => typeof value !== 'number' || test(value)
+        ? null
+        : { path, reason: `must be ${text}` };
+    }
+
+    case 'allOf':
+    case 'anyOf':
+    case 'oneOf': {
+      if (!Array.isArray(operand) || operand.length === 0) {
+        throw new Error(`${keyword} at ${at} must be a non-empty array of schemas`);
+      }
+      const children = operand.map((child, i) => compileNode(child, `${at}.${keyword}.${i}`, depth + 1));
+      if (keyword === 'allOf') {
+        return (value, path) => {
+          for (const child of children) {
+            const failure = child(value, path);
+            if (failure) {
+              return failure;
+            }
+          }
+          return null;
+        };
+      }
+      return (value, path) => {
+        const matches = children.filter(child => child(value, path) === null).length;
+        if (keyword === 'anyOf' ? matches > 0 : matches === 1) {
+          return null;
+        }
+        return {
+          path,
+          reason: matches === 0 ? `must match one of the ${keyword} schemas` : 'must match exactly one oneOf schema'
+        };
+      };
+    }
+
+    case 'not': {
+      const child = compileNode(operand, `${at}.not`, depth + 1);
+      return (value, path) => child(value, path) === null
+        ? { path, reason: 'must not match the not schema' }
+        : null;
+    }
+
+    default:
+      throw new Error(`Unsupported schema keyword at ${at}: ${keyword}`);
+  }
+}
+
+/**
+ * Check that a new schema version may follow the previous one
+ * @param {Object|boolean} previous - Latest registered schema
+ * @param {Object|boolean} next - Schema being registered
+ * @param {string} mode - 'backward', 'forward', 'full' or 'none'
+ * @returns {Array} - Descriptions of the incompatible changes (empty if compatible)
+ */
+function checkCompatibility(previous, next, mode) {
+  const problems = [];
+  if (mode === 'backward' || mode === 'full') {
+    covers(previous, next, 'payload', problems);
+  }
+  if (mode === 'forward' || mode === 'full') {
+    covers(next, previous, 'payload', problems);
+  }
+  return problems;
+}
+
+/**
+ * Check that a wider schema accepts every value a narrower one accepts
+ * @param {Object|boolean} narrow - Schema whose values must stay valid
+ * @param {Object|boolean} wide - Schema that must accept them
+ * @param {string} path - Location being compared
+ * @param {Array} problems - Collects descriptions of the changes that break this
+ */
+function covers(narrow, wide, path, problems) {
+  if (wide === true || narrow === false || isEqual(narrow, wide)) {
+    return;
+  }
+  if (wide === false) {
+    problems.push(`${path}: no longer accepts any value`);
+    return;
+  }
+  if (narrow === true) {
+    narrow = {};
+  }
+
+  if (wide.type !== undefined) {
+    const wideTypes = [].concat(wide.type);
+    const narrowTypes = narrow.type !== undefined ? [].concat(narrow.type) : TYPES;
+    const lost = narrowTypes.filter(type =>
+      !wideTypes.includes(type) && !(type === 'integer' && wideTypes.includes('number'))
+    );
+    if (lost.length > 0) {
+      problems.push(`${path}: no longer accepts type ${lost.join(', ')}`);
+    }
+  }
+
+  if (wide.enum !== undefined || wide.const !== undefined) {
+    const allowed = wide.enum !== undefined ? wide.enum : [wide.const];
+    const values = narrow.const !== undefined ? [narrow.const] : narrow.enum;
+    if (!values || !values.every(value => allowed.some(candidate => isEqual(candidate, value)))) {
+      problems.push(`${path}: allowed values were narrowed`);
+    }
+  }
+
+  for (const [keyword, direction] of Object.entries(BOUNDS)) {
+    if (wide[keyword] === undefined) {
+      continue;
+    }
+    const tightened = narrow[keyword] === undefined ||
+      (direction === 'lower' ? wide[keyword] > narrow[keyword] : wide[keyword] < narrow[keyword]);
+    if (tightened) {
+      problems.push(`${path}: ${keyword} was tightened to ${wide[keyword]}`);
+    }
+  }
+
+  if (wide.pattern !== undefined && wide.pattern !== narrow.pattern) {
+    problems.push(`${path}: pattern changed to ${wide.pattern}`);
+  }
+
+  const narrowRequired = narrow.required || [];
+  for (const name of wide.required || []) {
+    if (!narrowRequired.includes(name)) {
+      problems.push(`${path}.${name}: is now required`);
+    }
+  }
+
+  coversProperties(narrow, wide, path, problems);
+
+  if (wide.items !== undefined) {
+    covers(narrow.items !== undefined ? narrow.items : true, wide.items, `${path}.items`, problems);
+  }
+
+  for (const keyword of COMBINATORS) {
+    if (wide[keyword] !== undefined && !isEqual(narrow[keyword], wide[keyword])) {
+      problems.push(`${path}: ${keyword} changed`);
+    }
+  }
+}
+
+/**
+ * Compare the object properties of two schemas (see covers)
+ * @param {Object} narrow - Schema whose values must stay valid
+ * @param {Object} wide - Schema that must accept them
+ * @param {string} path - Location being compared
+ * @param {Array} problems - Collects descriptions of the changes that break this
+ */
+function coversProperties(narrow, wide, path, problems) {
+  const narrowProperties = narrow.properties || {};
+  const wideProperties = wide.properties || {};
+  // What the narrow schema allows under a property it does not name
+  const narrowRest = narrow.additionalProperties !== undefined ? narrow.additionalProperties : true;
+  const wideRest = wide.additionalProperties !== undefined ? wide.additionalProperties : true;
+
+  for (const [name, schema] of Object.entries(wideProperties)) {
+    const before = has(narrowProperties, name) ? narrowProperties[name] : narrowRest;
+    covers(before, schema, `${path}.${name}`, problems);
+  }
+
+  for (const [name, schema] of Object.entries(narrowProperties)) {
+    if (!has(wideProperties, name)) {
+      covers(schema, wideRest, `${path}.${name}`, problems);
+    }
+  }
+
+  covers(narrowRest, wideRest, `${path}.additionalProperties`, problems);
+}
+
+module.exports = {
+  COMPATIBILITY_MODES,
+  compileSchema,
+  checkCompatibility
+};
@@ -1,30 +1,217 @@
 const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
+const { isPattern, isValidTopicName, isValidPattern, matchTopic } = require('./topicPattern');
+const StorageAdapter = require('./storageAdapter');
+const MemoryStorage = require('./memoryStorage');
+const FileStorage = require('./fileStorage');
+const AckTracker = require('./ackTracker');
+const MessageScheduler = require('./messageScheduler');
+const { compileFilter } = require('./messageFilter');
+const { COMPATIBILITY_MODES, compileSchema, checkCompatibility } = require('./messageSchema');
+const { BINARY_CONTENT_TYPE, isBinary, encodeFrame } = require('./messageCodec');
+
+const MAX_HEADERS = 64;
+
+// Settings a topic may override, with the field names clients use for them
+const TOPIC_SETTINGS = {
+  maxMessages: 'max_messages',
+  backpressurePolicy: 'backpressure_policy',
+  maxSubscribers: 'max_subscribers',
+  maxMessageBytes: 'max_message_bytes',
+  ttlMs: 'ttl_ms',
+  retain: 'retain',
+  compact: 'compact'
+};
+const BACKPRESSURE_POLICIES = ['drop_oldest', 'disconnect'];
+const RETAIN_MODES = ['last', 'per_key'];
+
+// Replies to a request are published to a unique inbox, which is not a topic
+const INBOX_PREFIX = '_INBOX.';
+
+// Publish time of live event frames; symbol keys are skipped by JSON.stringify
+const PUBLISHED_AT = Symbol('publishedAt');
+
+/**
+ * Check whether a message's TTL has run out
+ * @param {Object} message - Published message
+ * @param {number} now - Current time in epoch ms
+ * @returns {boolean} - True if the message has an expires_at in the past
+ */
+function isExpired(message, now = Date.now()) {
+  return !!message && message.expires_at !== undefined && message.expires_at <= now;
+}
+
+/**
+ * Check whether a message deletes its key on a compacted topic
+ * @param {Object} message - Published message
+ * @returns {boolean} - True for a keyed message with a null payload
+ */
+function isTombstone(message) {
+  return message.key !== undefined && message.payload === null;
+}
+
+/**
+ * Slot a message is retained under on a retained topic
+ * @param {string} mode - Topic retain mode ('last' or 'per_key')
+ * @param {Object} message - Published message
+ * @returns {string|null} - The message key in 'per_key' mode, otherwise null
+ */
+function retainKey(mode, message) {
+  return mode === 'per_key' && message.key !== undefined ? message.key : null;
+}
+
+/**
+ * Size of a payload in bytes (JSON payloads are measured serialized)
+ * @param {*} payload - Message payload
+ * @returns {number} - Payload size in bytes
+ */
+function payloadSize(payload) {
+  if (Buffer.isBuffer(payload)) {
+    return payload.length;
+  }
+  return Buffer.byteLength(typeof payload === 'string' ? payload : JSON.stringify(payload));
+}
+
+/**
+ * Pick the storage backend for an engine
+ * options.storage may be an adapter instance or { backend: 'memory' | 'file' };
+ * without one, persistence.enabled selects the file backend as before
+ * @param {Object} options - Engine options
+ * @param {number} tombstoneRetention - How long compacted logs keep tombstones, in ms
+ * @returns {StorageAdapter} - Storage backend
+ */
+function createStorage(options, tombstoneRetention) {
+  if (options.storage instanceof StorageAdapter) {
+    return options.storage;
+  }
+
+  const persistence = options.persistence || {};
+  const backend = (options.storage && options.storage.backend) || (persistence.enabled ? 'file' : 'memory');
+  if (backend === 'memory') {
+    return new MemoryStorage();
+  }
+  if (backend === 'file') {
+    return new FileStorage({ ...persistence, tombstoneRetention });
+  }
+  throw new Error(`Unknown storage backend: ${backend}`);
+}
 
 /**
  * Bounded Queue for Individual Subscribers
  * Implements proper backpressure handling with configurable policies
+ *
+ * Messages are only written to the socket while its bufferedAmount is below
+ * the high water mark; otherwise they wait here and the queue retries until
+ * the socket frees up. A full queue is what triggers the backpressure policy.
  */
 class SubscriberQueue {
-  constructor(clientId, maxSize = 100, policy = 'drop_oldest') {
+  constructor(clientId, maxSize = 100, policy = 'drop_oldest', options = {}) {
     this.clientId = clientId;
     this.maxSize = maxSize;
     this.policy = policy; // 'drop_oldest' or 'disconnect'
     this.queue = [];
     this.droppedCount = 0;
+    this.expiredCount = 0;
     this.totalProcessed = 0;
+    this.totalSent = 0;
+
+    // Delivery pump configuration
+    this.highWaterMark = options.highWaterMark || 256 * 1024; // bytes buffered on the socket
+    this.retryInterval = options.retryInterval || 10; // ms between drain attempts while blocked
+    this.send = options.send || null; // (ws, message) => boolean
+    this.onExpire = options.onExpire || null; // (message) => void, for frames whose TTL ran out while queued
+    this.ws = null;
+    this.drainTimer = null;
+  }
+
+  /**
+   * Attach the connection the queue delivers to and resume draining
+   * @param {WebSocket} ws - WebSocket connection
+   */
+  attach(ws) {
+    this.ws = ws;
+    this.drain();
+  }
+
+  /**
+   * Deliver queued messages while the socket has room
+   * Reschedules itself when the socket is above the high water mark
+   * @returns {number} - Number of messages sent in this pass
+   */
+  drain() {
+    if (this.drainTimer) {
+      clearTimeout(this.drainTimer);
+      this.drainTimer = null;
+    }
+
+    const ws = this.ws;
+    if (!ws || !this.send) {
+      return 0;
+    }
+
+    let sent = 0;
+    while (this.queue.length > 0) {
+      // Socket is gone; keep the messages until a new one is attached
+      if (ws.readyState !== 1) { // 1 = OPEN
+        return sent;
+      }
+
+      if (ws.bufferedAmount >= this.highWaterMark) {
+        this.drainTimer = setTimeout(() => this.drain(), this.retryInterval);
+        if (this.drainTimer.unref) {
+          this.drainTimer.unref();
+        }
+        return sent;
+      }
+
+      const message = this.getNext();
+      if (isExpired(message.message)) {
+        this.expiredCount++;
+        if (this.onExpire) {
+          this.onExpire(message);
+        }
+        continue;
+      }
+
+      if (this.send(ws, message)) {
+        this.totalSent++;
+        sent++;
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Whether the queue is waiting for the socket to free up
+   * @returns {boolean}
+   */
+  isBlocked() {
+    return this.drainTimer !== null;
+  }
+
+  /**
+   * Stop the delivery pump and release the connection
+   */
+  stop() {
+    if (this.drainTimer) {
+      clearTimeout(this.drainTimer);
+      this.drainTimer = null;
+    }
+    this.ws = null;
   }
 
   /**
    * Add a message to the queue with backpressure handling
    * @param {Object} message - Message to add
    * @param {WebSocket} ws - WebSocket connection
+   * @param {string} policy - Policy to apply if the queue is full (defaults to the queue's)
    * @returns {Object} - Result of the operation
    */
-  add(message, ws) {
+  add(message, ws, policy = this.policy) {
     // Check if queue is full
     if (this.queue.length >= this.maxSize) {
-      if (this.policy === 'disconnect') {
+      if (policy === 'disconnect') {
         // Disconnect policy: close connection with SLOW_CONSUMER error
         try {
           ws.close(1013, 'SLOW_CONSUMER');
@@ -82,7 +269,11 @@ class SubscriberQueue {
       queueSize: this.queue.length,
       maxSize: this.maxSize,
       droppedCount: this.droppedCount,
+      expiredCount: this.expiredCount,
       totalProcessed: this.totalProcessed,
+      totalSent: this.totalSent,
+      bufferedAmount: this.ws ? this.ws.bufferedAmount : 0,
+      blocked: this.isBlocked(),
       policy: this.policy
     };
   }
@@ -102,9 +293,20 @@ class SubscriberQueue {
  * - Topic-based message routing
  * - Fan-out delivery (each subscriber gets every message exactly once)
  * - Topic isolation (no cross-topic message leaks)
+ * - Wildcard subscriptions over hierarchical topic names ('orders.*', 'orders.>')
+ * - Per-subscription filters over payload fields and headers
+ * - Message headers, content types and binary payloads
+ * - Publisher-side deduplication of repeated message ids within a window
+ * - Delayed and scheduled publishing
+ * - Per-message and per-topic TTLs; expired messages are never replayed or sent
+ * - Per-topic overrides of retention, backpressure policy, subscriber and size limits
  * - Concurrency safety with Map-based subscriber management
  * - Backpressure handling with bounded per-subscriber queues
  * - Message replay support with ring buffer
+ * - Pluggable storage: in-memory by default, or a durable append-only log that survives restarts
+ * - Opt-in at-least-once delivery with acks, redelivery and dead-letter topics
+ * - Consumer groups: one member of each group receives each message
+ * - Persistent sessions that keep subscriptions and queued messages across reconnects
  * - Graceful shutdown support
  */
 
@@ -113,39 +315,422 @@ class PubSubEngine extends EventEmitter {
     super();
     
     this.topics = new Map();
+    this.patternSubscriptions = new Map(); // pattern -> { subscribers: Map(clientId -> subscriber), createdAt }
     this.clientTopics = new Map(); // clientId -> Set of topics
     this.subscriberQueues = new Map(); // clientId -> SubscriberQueue
     this.maxMessagesPerTopic = options.maxMessagesPerTopic || 100;
     this.maxQueueSize = options.maxQueueSize || 100;
     this.backpressurePolicy = options.backpressurePolicy || 'drop_oldest'; // 'drop_oldest' or 'disconnect'
+    this.drainHighWaterMark = options.drainHighWaterMark || 256 * 1024; // Max bytes buffered on a socket before queueing
+    this.drainRetryInterval = options.drainRetryInterval || 10; // ms between drain attempts for a blocked socket
+
+    // At-least-once delivery for subscriptions with ackMode 'client'
+    this.ackTimeout = options.ackTimeout || 30000; // ms before an unacked message is redelivered
+    this.maxDeliveryAttempts = options.maxDeliveryAttempts || 5; // deliveries before dead-lettering
+    this.deadLetterPrefix = options.deadLetterPrefix || 'dlq.';
+    this.ackTracker = new AckTracker({
+      timeout: this.ackTimeout,
+      onTimeout: (clientId, entry) => this.handleAckTimeout(clientId, entry)
+    });
+    this.totalRedelivered = 0;
+    this.totalDeadLettered = 0;
+
+    // Consumer groups
+    this.groupStrategy = options.groupStrategy || 'round_robin'; // 'round_robin' or 'least_loaded'
+    this.groupCursors = new Map(); // 'topic/group' -> deliveries made, for round-robin
+
+    // Publisher retries: ids seen within the window are acknowledged, not redelivered
+    this.dedupWindowSize = options.dedupWindowSize !== undefined ? options.dedupWindowSize : 1000; // ids per topic, 0 disables
+    this.dedupWindowMs = options.dedupWindowMs !== undefined ? options.dedupWindowMs : 120000; // ms an id is remembered
+    this.totalDuplicates = 0;
+    this.totalExpired = 0;
+    this.totalSchemaViolations = 0;
+
+    // Compacted topics keep tombstones this long so resuming subscribers see the delete
+    this.tombstoneRetention = options.tombstoneRetention || 24 * 60 * 60 * 1000;
+
+    // Delayed publishes are held in memory until their delivery time
+    this.maxScheduleDelay = options.maxScheduleDelay || 7 * 24 * 60 * 60 * 1000; // furthest deliver_at accepted
+    this.maxScheduledMessages = options.maxScheduledMessages || 10000; // pending across all topics
+    this.scheduler = new MessageScheduler({
+      onDue: (entry) => this.releaseScheduled(entry)
+    });
+
+    // Request/reply: a request waits for the first message published to its inbox
+    this.requestTimeout = options.requestTimeout || 5000; // ms a request waits when it names no timeout
+    this.maxRequestTimeout = options.maxRequestTimeout || 60000; // longest timeout a request may ask for
+    this.pendingRequests = new Map(); // inbox -> { topicName, correlationId, owner, onReply, timer }
+    this.totalRequests = 0;
+    this.totalReplies = 0;
+    this.totalRequestTimeouts = 0;
+
+    // Cluster link forwarding publishes to other nodes (see attachCluster)
+    this.cluster = null;
+
+    // Persistent sessions for clients that disconnect in session mode; the
+    // session records themselves are kept by the storage backend
+    this.sessionGracePeriod = options.sessionGracePeriod || 30000; // ms a detached session is kept
+    this.sessionTimers = new Map(); // clientId -> expiry timer
     
     // Heartbeat configuration
     this.heartbeatInterval = options.heartbeatInterval || 30000; // 30 seconds
     this.heartbeatTimer = null;
+
+    // Topics, messages, offsets and sessions live in the storage backend
+    this.storage = createStorage(options, this.tombstoneRetention);
+    this.restoreTopics();
     
     this.startHeartbeat();
   }
 
+  /**
+   * Rebuild the topics a durable storage backend kept across a restart
+   * @returns {number} - Number of topics restored
+   */
+  restoreTopics() {
+    const restored = this.storage.load(this.maxMessagesPerTopic);
+
+    for (const { topicName, messages, settings, retained, schemas, createdAt } of restored) {
+      const topic = {
+        subscribers: new Map(), // clientId -> { ws, ackMode, group }
+        recentIds: new Map(), // messageId -> { offset, ts }, oldest first
+        settings: this.validateTopicSettings(settings) ? {} : settings, // Overrides of engine defaults
+        retained: new Map(), // retain key -> latest message, least recently published first
+        schemas: [], // registered payload schemas, oldest version first
+        expiredCount: 0,
+        createdAt
+      };
+
+      for (const entry of schemas) {
+        const compiled = compileSchema(entry.schema);
+        if (!compiled.error) {
+          topic.schemas.push({ ...entry, validate: compiled.validate });
+        }
+      }
+
+      if (topic.settings.retain) {
+        for (const message of retained) {
+          topic.retained.set(retainKey(topic.settings.retain, message), message);
+        }
+      }
+
+      // Retries that straddle a restart are still recognized
+      for (const message of messages) {
+        this.rememberMessageId(topic, message, message.ts);
+      }
+      this.topics.set(topicName, topic);
+    }
+
+    return restored.length;
+  }
+
   /**
    * Create a new topic
    * @param {string} topicName - Name of the topic
-   * @returns {boolean} - True if created, false if already exists
+   * @param {Object} settings - Overrides (see validateTopicSettings), checked by the caller
+   * @returns {boolean} - True if created, false if already exists, the name is invalid or storage failed
    */
-  createTopic(topicName) {
-    if (this.topics.has(topicName)) {
+  createTopic(topicName, settings = {}) {
+    if (!isValidTopicName(topicName) || this.topics.has(topicName)) {
+      return false;
+    }
+
+    const overrides = {};
+    for (const [name, value] of Object.entries(settings)) {
+      if (value !== undefined && value !== null) {
+        overrides[name] = value;
+      }
+    }
+
+    // Messages and offsets are kept by the storage backend
+    const createdAt = Date.now();
+    try {
+      this.storage.createTopic(topicName, overrides, createdAt);
+    } catch (error) {
+      this.emit('persistenceError', topicName, error, 'topic');
       return false;
     }
 
     this.topics.set(topicName, {
-      subscribers: new Map(), // clientId -> WebSocket
-      messages: [], // Ring buffer for message replay
-      createdAt: Date.now()
+      subscribers: new Map(), // clientId -> { ws, ackMode, group }
+      recentIds: new Map(), // messageId -> { offset, ts }, oldest first
+      settings: overrides, // Overrides of engine defaults
+      retained: new Map(), // retain key -> latest message, least recently published first
+      schemas: [], // registered payload schemas, oldest version first
+      expiredCount: 0,
+      createdAt
     });
 
     this.emit('topicCreated', topicName);
     return true;
   }
 
+  /**
+   * Check per-topic setting overrides
+   * Numeric limits must be positive integers; null clears an override
+   * @param {Object} settings - { maxMessages, backpressurePolicy, maxSubscribers, maxMessageBytes, ttlMs, retain, compact }
+   * @returns {string|null} - Reason the settings are invalid, or null if valid
+   */
+  validateTopicSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+      return 'Topic settings must be an object';
+    }
+
+    for (const [name, value] of Object.entries(settings)) {
+      if (!Object.prototype.hasOwnProperty.call(TOPIC_SETTINGS, name)) {
+        return `Unknown topic setting: ${name}`;
+      }
+      if (value === undefined || value === null) {
+        continue;
+      }
+
+      const field = TOPIC_SETTINGS[name];
+      if (name === 'backpressurePolicy') {
+        if (!BACKPRESSURE_POLICIES.includes(value)) {
+          return `${field} must be one of: ${BACKPRESSURE_POLICIES.join(', ')}`;
+        }
+      } else if (name === 'retain') {
+        if (!RETAIN_MODES.includes(value)) {
+          return `${field} must be one of: ${RETAIN_MODES.join(', ')}`;
+        }
+      } else if (name === 'compact') {
+        if (typeof value !== 'boolean') {
+          return `${field} must be a boolean`;
+        }
+      } else if (!Number.isInteger(value) || value <= 0) {
+        return `${field} must be a positive integer`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Change a topic's setting overrides
+   * Settings that are left out keep their value; null resets one to the
+   * engine default. A smaller max_messages trims the replay buffer right away;
+   * a smaller max_subscribers only applies to new subscriptions. Changing the
+   * retain mode rebuilds the retained values from the replay buffer. Compaction
+   * can only be chosen when the topic is created.
+   * @param {string} topicName - Name of the topic
+   * @param {Object} changes - Settings to change
+   * @returns {Object} - { success, settings } with the effective settings, or an error
+   */
+  updateTopicSettings(topicName, changes) {
+    const topic = this.topics.get(topicName);
+    if (!topic) {
+      return { success: false, error: 'TOPIC_NOT_FOUND' };
+    }
+
+    const invalidReason = this.validateTopicSettings(changes);
+    if (invalidReason) {
+      return { success: false, error: 'INVALID_SETTINGS', reason: invalidReason };
+    }
+
+    if (changes.compact !== undefined && !!changes.compact !== !!topic.settings.compact) {
+      return { success: false, error: 'INVALID_SETTINGS', reason: 'compact can only be set when a topic is created' };
+    }
+
+    const settings = { ...topic.settings };
+    for (const [name, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete settings[name];
+      } else if (value !== undefined) {
+        settings[name] = value;
+      }
+    }
+
+    try {
+      this.storage.writeSettings(topicName, settings);
+    } catch (error) {
+      this.emit('persistenceError', topicName, error, 'settings');
+      return { success: false, error: 'PERSISTENCE_ERROR' };
+    }
+
+    const retainChanged = settings.retain !== topic.settings.retain;
+    topic.settings = settings;
+    const effective = this.resolveTopicSettings(topic);
+    if (!effective.compact) {
+      this.storage.trimMessages(topicName, effective.maxMessages);
+    }
+
+    if (retainChanged) {
+      topic.retained.clear();
+      if (settings.retain) {
+        for (const message of this.storage.getMessages(topicName)) {
+          if (settings.compact && isTombstone(message)) {
+            continue;
+          }
+          const key = retainKey(settings.retain, message);
+          topic.retained.delete(key);
+          topic.retained.set(key, message);
+        }
+      }
+      this.persistRetained(topicName, topic);
+    }
+
+    this.emit('topicUpdated', topicName, effective);
+    return { success: true, settings: effective };
+  }
+
+  /**
+   * Combine a topic's overrides with the engine defaults
+   * @param {Object} topic - Topic state
+   * @returns {Object} - Effective settings; unlimited values and no TTL are null
+   */
+  resolveTopicSettings(topic) {
+    const settings = topic.settings;
+    return {
+      maxMessages: settings.maxMessages || this.maxMessagesPerTopic,
+      backpressurePolicy: settings.backpressurePolicy || this.backpressurePolicy,
+      maxSubscribers: settings.maxSubscribers || null,
+      maxMessageBytes: settings.maxMessageBytes || null,
+      ttlMs: settings.ttlMs || null,
+      retain: settings.retain || null,
+      compact: !!settings.compact
+    };
+  }
+
+  /**
+   * Check a message's payload against its topic's size limit
+   * @param {string} topicName - Name of the topic
+   * @param {Object} message - Message to check
+   * @returns {string|null} - Reason the message is too large, or null if it fits
+   */
+  checkMessageSize(topicName, message) {
+    const topic = this.topics.get(topicName);
+    const limit = topic ? topic.settings.maxMessageBytes : null;
+    if (!limit) {
+      return null;
+    }
+
+    const size = payloadSize(message.payload);
+    return size > limit ? `Payload is ${size} bytes; topic '${topicName}' allows at most ${limit}` : null;
+  }
+
+  /**
+   * Check that a message can be published to a compacted topic
+   * @param {string} topicName - Name of the topic
+   * @param {Object} message - Message to check
+   * @returns {string|null} - Reason the message is rejected, or null if it is accepted
+   */
+  checkMessageKey(topicName, message) {
+    const topic = this.topics.get(topicName);
+    if (topic && topic.settings.compact && message.key === undefined) {
+      return `Messages on compacted topic '${topicName}' must have a key`;
+    }
+    return null;
+  }
+
+  /**
+   * Check a message's payload against its topic's latest schema
+   * Tombstones on compacted topics carry no payload and are not checked.
+   * Every violation found is counted and reported with a 'schemaViolation' event.
+   * @param {string} topicName - Name of the topic
+   * @param {Object} message - Message to check
+   * @returns {Object|null} - { reason, path, version } for the first failing path, or null if valid
+   */
+  checkMessageSchema(topicName, message) {
+    const topic = this.topics.get(topicName);
+    const latest = topic && topic.schemas[topic.schemas.length - 1];
+    if (!latest || (topic.settings.compact && isTombstone(message))) {
+      return null;
+    }
+
+    const failure = latest.validate(message.payload);
+    if (!failure) {
+      return null;
+    }
+
+    this.totalSchemaViolations++;
+    this.emit('schemaViolation', topicName, message, failure.path, latest.version);
+    return {
+      reason: `${failure.path} ${failure.reason}`,
+      path: failure.path,
+      version: latest.version
+    };
+  }
+
+  /**
+   * Register a new schema version for a topic's payloads
+   * The schema must be compatible with the latest version under the given
+   * mode; registering the latest schema again returns its version unchanged
+   * @param {string} topicName - Name of the topic
+   * @param {Object|boolean} schema - JSON Schema (see messageSchema for the supported subset)
+   * @param {Object} options - { compatibility } ('backward' by default, 'forward', 'full' or 'none')
+   * @returns {Object} - { success, version, compatibility, unchanged } or an error with reason
+   *   (INCOMPATIBLE_SCHEMA also lists the incompatible changes as problems)
+   */
+  registerSchema(topicName, schema, options = {}) {
+    const topic = this.topics.get(topicName);
+    if (!topic) {
+      return { success: false, error: 'TOPIC_NOT_FOUND' };
+    }
+
+    const compatibility = options.compatibility || 'backward';
+    if (!COMPATIBILITY_MODES.includes(compatibility)) {
+      return {
+        success: false,
+        error: 'INVALID_SCHEMA',
+        reason: `compatibility must be one of: ${COMPATIBILITY_MODES.join(', ')}`
+      };
+    }
+
+    const compiled = compileSchema(schema);
+    if (compiled.error) {
+      return { success: false, error: 'INVALID_SCHEMA', reason: compiled.error };
+    }
+
+    const latest = topic.schemas[topic.schemas.length - 1];
+    if (latest && JSON.stringify(latest.schema) === JSON.stringify(schema)) {
+      return { success: true, unchanged: true, version: latest.version, compatibility: latest.compatibility };
+    }
+
+    if (latest) {
+      const problems = checkCompatibility(latest.schema, schema, compatibility);
+      if (problems.length > 0) {
+        return {
+          success: false,
+          error: 'INCOMPATIBLE_SCHEMA',
+          reason: `Schema is not ${compatibility} compatible with version ${latest.version}`,
+          problems
+        };
+      }
+    }
+
+    const entry = {
+      version: latest ? latest.version + 1 : 1,
+      schema,
+      compatibility,
+      registeredAt: Date.now()
+    };
+
+    try {
+      this.storage.writeSchemas(topicName, topic.schemas.concat(entry).map(({ validate, ...stored }) => stored));
+    } catch (error) {
+      this.emit('persistenceError', topicName, error, 'schemas');
+      return { success: false, error: 'PERSISTENCE_ERROR' };
+    }
+
+    topic.schemas.push({ ...entry, validate: compiled.validate });
+    this.emit('schemaRegistered', topicName, entry.version, compatibility);
+    return { success: true, version: entry.version, compatibility };
+  }
+
+  /**
+   * List a topic's registered schema versions
+   * @param {string} topicName - Name of the topic
+   * @returns {Array|null} - [{ version, schema, compatibility, registeredAt }], oldest first,
+   *   or null if the topic doesn't exist
+   */
+  getSchemas(topicName) {
+    const topic = this.topics.get(topicName);
+    if (!topic) {
+      return null;
+    }
+    return topic.schemas.map(({ validate, ...entry }) => entry);
+  }
+
   /**
    * Delete a topic and disconnect all subscribers
    * @param {string} topicName - Name of the topic to delete
@@ -158,7 +743,8 @@ class PubSubEngine extends EventEmitter {
     }
 
     // Disconnect all subscribers
-    for (const [clientId, ws] of topic.subscribers) {
+    for (const [clientId, { ws }] of topic.subscribers) {
+      this.ackTracker.release(clientId, topicName);
       try {
         ws.close(1000, 'Topic deleted');
       } catch (error) {
@@ -167,6 +753,13 @@ class PubSubEngine extends EventEmitter {
     }
 
     this.topics.delete(topicName);
+
+    // Scheduled messages have nowhere to go
+    for (const entry of this.scheduler.list(topicName)) {
+      this.scheduler.cancel(entry.scheduleId);
+    }
+
+    this.storage.deleteTopic(topicName);
     
     // Clean up client topic mappings
     for (const [clientId, topics] of this.clientTopics) {
@@ -186,9 +779,14 @@ class PubSubEngine extends EventEmitter {
    * @param {string} clientId - Unique client identifier
    * @param {WebSocket} ws - WebSocket connection
    * @param {number} lastN - Number of recent messages to replay
+   * @param {Object} options - Replay position { fromOffset, fromTs }, ackMode ('auto' or 'client'), group and filter
    * @returns {Object} - Subscription result
    */
-  subscribe(topicName, clientId, ws, lastN = 0) {
+  subscribe(topicName, clientId, ws, lastN = 0, options = {}) {
+    if (isPattern(topicName)) {
+      return this.subscribePattern(topicName, clientId, ws, lastN, options);
+    }
+
     if (!this.topics.has(topicName)) {
       return { success: false, error: 'TOPIC_NOT_FOUND' };
     }
@@ -200,170 +798,1432 @@ class PubSubEngine extends EventEmitter {
       return { success: false, error: 'ALREADY_SUBSCRIBED' };
     }
 
-    // Create subscriber queue if it doesn't exist
-    if (!this.subscriberQueues.has(clientId)) {
-      this.subscriberQueues.set(clientId, new SubscriberQueue(
-        clientId, 
-        this.maxQueueSize, 
-        this.backpressurePolicy
-      ));
+    const maxSubscribers = topic.settings.maxSubscribers;
+    if (maxSubscribers && topic.subscribers.size >= maxSubscribers) {
+      return { success: false, error: 'TOPIC_FULL', maxSubscribers };
     }
 
-    // Add subscriber
-    topic.subscribers.set(clientId, ws);
-    
-    // Track client's topics
-    if (!this.clientTopics.has(clientId)) {
-      this.clientTopics.set(clientId, new Set());
+    const filter = this.compileSubscriptionFilter(options.filter);
+    if (filter.error) {
+      return { success: false, ...filter };
     }
-    this.clientTopics.get(clientId).add(topicName);
 
-    // Replay recent messages if requested
-    if (lastN > 0 && topic.messages.length > 0) {
-      const messagesToReplay = topic.messages.slice(-lastN);
-      for (const message of messagesToReplay) {
-        this.sendToClient(ws, {
-          type: 'event',
-          topic: topicName,
-          message: message,
-          ts: new Date().toISOString(),
-          replay: true
-        });
+    // Resolve the replay range before subscribing so a bad offset has no side effects
+    const replay = this.getReplayMessages(topicName, topic, lastN, options);
+    if (replay.error) {
+      return { success: false, ...replay };
+    }
+
+    this.ensureSubscriberQueue(clientId, ws);
+
+    // Add subscriber
+    const subscriber = this.createSubscriber(ws, { ...options, filter: filter.filter });
+    topic.subscribers.set(clientId, subscriber);
+    this.trackClientTopic(clientId, topicName);
+
+    // Replay stored messages, or the retained values of a retained topic
+    for (const message of replay.messages.filter(message => this.matchesFilter(subscriber, message))) {
+      const frame = {
+        type: 'event',
+        topic: topicName,
+        message: message,
+        ts: new Date().toISOString(),
+        replay: true
+      };
+      if (replay.retained) {
+        frame.retained = true;
       }
+      this.dispatch(clientId, topicName, topicName, subscriber, frame);
     }
 
     this.emit('clientSubscribed', topicName, clientId);
-    return { success: true };
+    return { success: true, nextOffset: this.storage.getOffsets(topicName).next };
   }
 
   /**
-   * Unsubscribe a client from a topic
-   * @param {string} topicName - Name of the topic
+   * Subscribe a client to every topic matching a wildcard pattern
+   * Topics created after the subscription are matched as well
+   * @param {string} pattern - Subscription pattern (e.g. 'orders.*')
    * @param {string} clientId - Unique client identifier
-   * @returns {boolean} - True if unsubscribed, false if not found
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {number} lastN - Number of recent messages to replay across matching topics
+   * @param {Object} options - Replay position { fromTs } (offsets are per topic), ackMode, group and filter
+   * @returns {Object} - Subscription result
    */
-  unsubscribe(topicName, clientId) {
-    const topic = this.topics.get(topicName);
-    if (!topic || !topic.subscribers.has(clientId)) {
-      return false;
+  subscribePattern(pattern, clientId, ws, lastN = 0, options = {}) {
+    if (!isValidPattern(pattern)) {
+      return { success: false, error: 'INVALID_PATTERN' };
     }
 
-    topic.subscribers.delete(clientId);
-    
-    // Clean up client topic mapping
-    const clientTopics = this.clientTopics.get(clientId);
+    if (options.fromOffset !== undefined && options.fromOffset !== null) {
+      return { success: false, error: 'OFFSET_NOT_SUPPORTED' };
+    }
+
+    const filter = this.compileSubscriptionFilter(options.filter);
+    if (filter.error) {
+      return { success: false, ...filter };
+    }
+
+    let subscription = this.patternSubscriptions.get(pattern);
+    if (subscription && subscription.subscribers.has(clientId)) {
+      return { success: false, error: 'ALREADY_SUBSCRIBED' };
+    }
+
+    if (!subscription) {
+      subscription = {
+        subscribers: new Map(), // clientId -> WebSocket
+        createdAt: Date.now()
+      };
+      this.patternSubscriptions.set(pattern, subscription);
+    }
+
+    this.ensureSubscriberQueue(clientId, ws);
+
+    const subscriber = this.createSubscriber(ws, { ...options, filter: filter.filter });
+    subscription.subscribers.set(clientId, subscriber);
+    this.trackClientTopic(clientId, pattern);
+
+    // Replay stored messages merged from all matching topics, oldest first;
+    // without last_n or from_ts only retained topics have anything to replay
+    let history = [];
+    for (const [topicName, topic] of this.topics) {
+      if (!matchTopic(pattern, topicName)) {
+        continue;
+      }
+      const replay = this.getReplayMessages(topicName, topic, lastN, options);
+      for (const message of replay.messages) {
+        if (this.matchesFilter(subscriber, message)) {
+          history.push({ topicName, message, retained: !!replay.retained });
+        }
+      }
+    }
+
+    history.sort((a, b) => a.message.ts - b.message.ts);
+    if ((options.fromTs === undefined || options.fromTs === null) && lastN > 0) {
+      history = history.slice(-lastN);
+    }
+
+    for (const { topicName, message, retained } of history) {
+      const frame = {
+        type: 'event',
+        topic: topicName,
+        subscription: pattern,
+        message: message,
+        ts: new Date().toISOString(),
+        replay: true
+      };
+      if (retained) {
+        frame.retained = true;
+      }
+      this.dispatch(clientId, topicName, pattern, subscriber, frame);
+    }
+
+    this.emit('clientSubscribed', pattern, clientId);
+    return { success: true, pattern: true };
+  }
+
+  /**
+   * Select the stored messages a new subscription should replay
+   * fromOffset takes precedence over fromTs, which takes precedence over lastN.
+   * Without any of them a retained topic replays its retained values. On a
+   * compacted topic lastN replays the snapshot (latest message per key, without
+   * tombstones), while offsets and timestamps include tombstones.
+   * @param {string} topicName - Name of the topic
+   * @param {Object} topic - Topic state
+   * @param {number} lastN - Number of recent messages to replay
+   * @param {Object} options - Replay position: { fromOffset, fromTs }
+   * @returns {Object} - { messages, retained } or { error, earliestOffset }
+   */
+  getReplayMessages(topicName, topic, lastN = 0, options = {}) {
+    if (options.fromOffset !== undefined && options.fromOffset !== null) {
+      const replay = this.getMessagesFromOffset(topicName, topic, options.fromOffset);
+      if (replay.messages) {
+        const now = Date.now();
+        replay.messages = replay.messages.filter(message => !isExpired(message, now));
+      }
+      return replay;
+    }
+
+    // Expired messages are skipped, so last_n counts live messages only
+    const now = Date.now();
+    if (topic.settings.compact) {
+      this.purgeTombstones(topicName, now);
+    }
+    const live = this.storage.getMessages(topicName).filter(message => !isExpired(message, now));
+
+    if (options.fromTs !== undefined && options.fromTs !== null) {
+      return { messages: live.filter(message => message.ts >= options.fromTs) };
+    }
+
+    if (lastN > 0) {
+      const snapshot = topic.settings.compact ? live.filter(message => !isTombstone(message)) : live;
+      return { messages: snapshot.slice(-lastN) };
+    }
+
+    if (topic.settings.retain) {
+      return { messages: this.listRetained(topic), retained: true };
+    }
+
+    return { messages: [] };
+  }
+
+  /**
+   * Get every message at or after an offset; the storage backend decides how
+   * far back it can read (compacted topics are served from the replay buffer)
+   * @param {string} topicName - Name of the topic
+   * @param {Object} topic - Topic state
+   * @param {number} fromOffset - First offset to return
+   * @returns {Object} - { messages } or { error, earliestOffset }
+   */
+  getMessagesFromOffset(topicName, topic, fromOffset) {
+    const offsets = this.storage.getOffsets(topicName);
+
+    if (fromOffset > offsets.next) {
+      return { error: 'OFFSET_OUT_OF_RANGE', earliestOffset: offsets.earliest, nextOffset: offsets.next };
+    }
+
+    // Offsets missing from a compacted topic were superseded, so the buffer is complete
+    if (topic.settings.compact) {
+      this.purgeTombstones(topicName);
+      return { messages: this.storage.getMessages(topicName).filter(message => message.offset >= fromOffset) };
+    }
+
+    const messages = this.storage.readFrom(topicName, fromOffset);
+    if (messages) {
+      return { messages };
+    }
+
+    return { error: 'OFFSET_OUT_OF_RANGE', earliestOffset: offsets.earliest, nextOffset: offsets.next };
+  }
+
+  /**
+   * Unsubscribe a client from a wildcard pattern
+   * @param {string} pattern - Subscription pattern
+   * @param {string} clientId - Unique client identifier
+   * @returns {boolean} - True if unsubscribed, false if not found
+   */
+  unsubscribePattern(pattern, clientId) {
+    const subscription = this.patternSubscriptions.get(pattern);
+    if (!subscription || !subscription.subscribers.has(clientId)) {
+      return false;
+    }
+
+    subscription.subscribers.delete(clientId);
+    if (subscription.subscribers.size === 0) {
+      this.patternSubscriptions.delete(pattern);
+    }
+
+    this.reassignPending(this.ackTracker.release(clientId, pattern));
+
+    this.untrackClientTopic(clientId, pattern);
+
+    this.emit('clientUnsubscribed', pattern, clientId);
+    return true;
+  }
+
+  /**
+   * Create the bounded queue for a client if it doesn't exist yet
+   * and point its delivery pump at the client's connection
+   * @param {string} clientId - Unique client identifier
+   * @param {WebSocket} ws - WebSocket connection
+   * @returns {SubscriberQueue} - The client's queue
+   */
+  ensureSubscriberQueue(clientId, ws) {
+    if (!this.subscriberQueues.has(clientId)) {
+      this.subscriberQueues.set(clientId, new SubscriberQueue(
+        clientId, 
+        this.maxQueueSize, 
+        this.backpressurePolicy,
+        {
+          highWaterMark: this.drainHighWaterMark,
+          retryInterval: this.drainRetryInterval,
+          send: (socket, message) => this.sendFrame(clientId, socket, message),
+          onExpire: (frame) => this.expireFrame(clientId, frame)
+        }
+      ));
+    }
+
+    const queue = this.subscriberQueues.get(clientId);
+    if (ws && queue.ws !== ws) {
+      queue.attach(ws);
+    }
+    return queue;
+  }
+
+  /**
+   * Kick a client's delivery pump, e.g. once a socket that was not ready to
+   * take messages is ready again
+   * @param {string} clientId - Unique client identifier
+   * @returns {number} - Number of messages sent
+   */
+  drainClient(clientId) {
+    const subscriberQueue = this.subscriberQueues.get(clientId);
+    return subscriberQueue ? subscriberQueue.drain() : 0;
+  }
+
+  /**
+   * Add a message to a client's bounded queue and kick the delivery pump
+   * @param {string} clientId - Unique client identifier
+   * @param {string} topicName - Topic the message belongs to
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {Object} messageToSend - Frame to deliver
+   * @returns {Object} - Result of the queue operation
+   */
+  enqueue(clientId, topicName, ws, messageToSend) {
+    const subscriberQueue = this.subscriberQueues.get(clientId);
+    if (!subscriberQueue) {
+      return { success: false, error: 'SUBSCRIBER_QUEUE_NOT_FOUND' };
+    }
+
+    // The full-queue policy follows the topic the message belongs to
+    const topic = this.topics.get(topicName);
+    const policy = topic && topic.settings.backpressurePolicy;
+    const queueResult = subscriberQueue.add(messageToSend, ws, policy || this.backpressurePolicy);
+    if (queueResult.action === 'dropped_oldest') {
+      // Log that an old message was dropped
+      this.emit('messageDropped', clientId, topicName, queueResult.droppedMessage);
+    }
+
+    if (queueResult.success) {
+      subscriberQueue.drain();
+    }
+
+    return { ...queueResult, queueSize: subscriberQueue.queue.length };
+  }
+
+  /**
+   * Build the per-subscription record stored in a subscribers map
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {Object} options - Subscription options
+   * @returns {Object} - Subscriber record
+   */
+  createSubscriber(ws, options = {}) {
+    return {
+      ws,
+      ackMode: options.ackMode === 'client' ? 'client' : 'auto',
+      group: options.group || null,
+      filter: options.filter || null
+    };
+  }
+
+  /**
+   * Validate and compile a subscription filter expression
+   * @param {Object} expression - Filter expression (none if omitted)
+   * @returns {Object} - { filter } (null when there is no filter) or { error, reason }
+   */
+  compileSubscriptionFilter(expression) {
+    if (expression === undefined || expression === null) {
+      return { filter: null };
+    }
+
+    const compiled = compileFilter(expression);
+    if (compiled.error) {
+      return { error: 'INVALID_FILTER', reason: compiled.error };
+    }
+    return { filter: compiled.filter };
+  }
+
+  /**
+   * Check a message against a subscriber's filter
+   * @param {Object} subscriber - Subscriber record
+   * @param {Object} message - Published message
+   * @returns {boolean} - True if the subscriber should receive the message
+   */
+  matchesFilter(subscriber, message) {
+    return !subscriber.filter || subscriber.filter(message);
+  }
+
+  /**
+   * Queue an event for a subscriber, tracking it for acknowledgement
+   * when the subscription is in client ack mode
+   * @param {string} clientId - Unique client identifier
+   * @param {string} topicName - Topic the message was published to
+   * @param {string} subscriptionName - Topic name or pattern that matched
+   * @param {Object} subscriber - Subscriber record
+   * @param {Object} frame - Event frame to deliver
+   * @returns {Object} - Result of the queue operation
+   */
+  dispatch(clientId, topicName, subscriptionName, subscriber, frame) {
+    if (subscriber.ackMode === 'client') {
+      frame.delivery_tag = this.ackTracker.track(clientId, {
+        topicName,
+        subscriptionName,
+        group: subscriber.group,
+        message: frame.message
+      });
+    }
+
+    return this.enqueue(clientId, topicName, subscriber.ws, frame);
+  }
+
+  /**
+   * Write a frame from a subscriber queue to its socket
+   * Restarts the ack timer so queueing time does not count against the client
+   * @param {string} clientId - Unique client identifier
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {Object} frame - Frame to send
+   * @returns {boolean} - True if sent successfully
+   */
+  sendFrame(clientId, ws, frame) {
+    const sent = this.sendToClient(ws, frame);
+    if (sent && frame.delivery_tag) {
+      this.ackTracker.arm(clientId, frame.delivery_tag);
+    }
+
+    if (sent) {
+      // Latency is only known for live publishes, not replays or redeliveries
+      const latencyMs = frame[PUBLISHED_AT] !== undefined
+        ? performance.now() - frame[PUBLISHED_AT]
+        : null;
+      this.emit('messageSent', clientId, frame.topic, frame.message, latencyMs);
+    }
+    return sent;
+  }
+
+  /**
+   * Account for a frame whose message expired before it could be sent
+   * @param {string} clientId - Unique client identifier
+   * @param {Object} frame - Expired event frame
+   */
+  expireFrame(clientId, frame) {
+    // Nothing will ever ack it, so stop waiting for one
+    if (frame.delivery_tag) {
+      this.ackTracker.remove(clientId, frame.delivery_tag);
+    }
+    this.countExpired(clientId, frame.topic, frame.message);
+  }
+
+  /**
+   * Count a message that was dropped because its TTL ran out
+   * @param {string} clientId - Client it was meant for
+   * @param {string} topicName - Topic the message was published to
+   * @param {Object} message - Expired message
+   */
+  countExpired(clientId, topicName, message) {
+    const topic = this.topics.get(topicName);
+    if (topic) {
+      topic.expiredCount++;
+    }
+    this.totalExpired++;
+    this.emit('messageExpired', clientId, topicName, message);
+  }
+
+  /**
+   * Acknowledge a delivery made to an ack-mode subscription
+   * @param {string} clientId - Unique client identifier
+   * @param {number} deliveryTag - Tag from the event frame
+   * @returns {Object} - Ack result
+   */
+  ack(clientId, deliveryTag) {
+    const entry = this.ackTracker.ack(clientId, deliveryTag);
+    if (!entry) {
+      return { success: false, error: 'DELIVERY_TAG_NOT_FOUND' };
+    }
+
+    this.emit('messageAcked', clientId, entry.topicName, entry.message);
+    return { success: true };
+  }
+
+  /**
+   * Reject a delivery; it is redelivered, or dead-lettered when requeue is false
+   * or the delivery attempts are exhausted
+   * @param {string} clientId - Unique client identifier
+   * @param {number} deliveryTag - Tag from the event frame
+   * @param {boolean} requeue - Whether the message should be redelivered
+   * @returns {Object} - Nack result
+   */
+  nack(clientId, deliveryTag, requeue = true) {
+    const entry = this.ackTracker.nack(clientId, deliveryTag);
+    if (!entry) {
+      return { success: false, error: 'DELIVERY_TAG_NOT_FOUND' };
+    }
+
+    if (!requeue) {
+      this.deadLetter(clientId, entry, 'rejected');
+      return { success: true, action: 'dead_lettered' };
+    }
+
+    return { success: true, action: this.redeliver(clientId, entry, 'nack') };
+  }
+
+  /**
+   * Called by the ack tracker when a delivery was not acknowledged in time
+   * @param {string} clientId - Unique client identifier
+   * @param {Object} entry - Pending delivery
+   */
+  handleAckTimeout(clientId, entry) {
+    // The subscription is gone; nobody is left to acknowledge it
+    if (!this.getSubscriber(entry.subscriptionName, clientId)) {
+      this.ackTracker.remove(clientId, entry.deliveryTag);
+      return;
+    }
+
+    // A detached session cannot ack; it is redelivered when the client resumes
+    if (this.isSuspended(clientId)) {
+      this.ackTracker.arm(clientId, entry.deliveryTag);
+      return;
+    }
+
+    this.redeliver(clientId, entry, 'timeout');
+  }
+
+  /**
+   * Deliver a pending message again or dead-letter it after too many attempts
+   * @param {string} clientId - Unique client identifier
+   * @param {Object} entry - Pending delivery
+   * @param {string} reason - Why the message is redelivered ('timeout' or 'nack')
+   * @returns {string} - 'redelivered', 'dead_lettered', 'expired' or 'dropped'
+   */
+  redeliver(clientId, entry, reason) {
+    // A message past its TTL is not worth retrying or dead-lettering
+    if (isExpired(entry.message)) {
+      this.ackTracker.remove(clientId, entry.deliveryTag);
+      this.countExpired(clientId, entry.topicName, entry.message);
+      return 'expired';
+    }
+
+    if (entry.attempts >= this.maxDeliveryAttempts) {
+      this.deadLetter(clientId, entry, 'max_attempts');
+      return 'dead_lettered';
+    }
+
+    const subscriber = this.getSubscriber(entry.subscriptionName, clientId);
+    if (!subscriber) {
+      this.ackTracker.remove(clientId, entry.deliveryTag);
+      return 'dropped';
+    }
+
+    entry.attempts++;
+    this.totalRedelivered++;
+
+    const frame = {
+      type: 'event',
+      topic: entry.topicName,
+      message: entry.message,
+      delivery_tag: entry.deliveryTag,
+      redelivered: true,
+      attempt: entry.attempts,
+      ts: new Date().toISOString()
+    };
+    if (entry.subscriptionName !== entry.topicName) {
+      frame.subscription = entry.subscriptionName;
+    }
+
+    this.ackTracker.arm(clientId, entry.deliveryTag);
+    this.enqueue(clientId, entry.topicName, subscriber.ws, frame);
+
+    this.emit('messageRedelivered', clientId, entry.topicName, entry.message, reason, entry.attempts);
+    return 'redelivered';
+  }
+
+  /**
+   * Move a message that could not be delivered to the topic's dead-letter topic
+   * @param {string} clientId - Unique client identifier
+   * @param {Object} entry - Pending delivery
+   * @param {string} reason - 'rejected' or 'max_attempts'
+   */
+  deadLetter(clientId, entry, reason) {
+    this.ackTracker.remove(clientId, entry.deliveryTag);
+
+    const deadLetterTopic = this.deadLetterPrefix + entry.topicName;
+    if (!this.topics.has(deadLetterTopic)) {
+      this.createTopic(deadLetterTopic);
+    }
+
+    // Several subscribers may dead-letter the same message, so skip deduplication
+    this.publish(deadLetterTopic, {
+      id: entry.message.id,
+      payload: entry.message.payload,
+      headers: entry.message.headers,
+      content_type: entry.message.content_type,
+      dead_letter: {
+        topic: entry.topicName,
+        offset: entry.message.offset,
+        client_id: clientId,
+        reason,
+        attempts: entry.attempts
+      }
+    }, { dedup: false });
+
+    this.totalDeadLettered++;
+    this.emit('messageDeadLettered', clientId, entry.topicName, entry.message, reason);
+  }
+
+  /**
+   * Look up a client's subscriber record for a topic name or pattern
+   * @param {string} name - Topic name or pattern
+   * @param {string} clientId - Unique client identifier
+   * @returns {Object|null} - Subscriber record or null if not subscribed
+   */
+  getSubscriber(name, clientId) {
+    const subscription = isPattern(name) ? this.patternSubscriptions.get(name) : this.topics.get(name);
+    return subscription ? subscription.subscribers.get(clientId) || null : null;
+  }
+
+  /**
+   * Record that a client is subscribed to a topic or pattern
+   * @param {string} clientId - Unique client identifier
+   * @param {string} name - Topic name or pattern
+   */
+  trackClientTopic(clientId, name) {
+    if (!this.clientTopics.has(clientId)) {
+      this.clientTopics.set(clientId, new Set());
+    }
+    this.clientTopics.get(clientId).add(name);
+  }
+
+  /**
+   * Forget a client's subscription, dropping its queue once it has none left
+   * @param {string} clientId - Unique client identifier
+   * @param {string} name - Topic name or pattern
+   */
+  untrackClientTopic(clientId, name) {
+    const clientTopics = this.clientTopics.get(clientId);
     if (clientTopics) {
-      clientTopics.delete(topicName);
+      clientTopics.delete(name);
       if (clientTopics.size === 0) {
         this.clientTopics.delete(clientId);
         // Clean up subscriber queue when client has no more topics
-        this.subscriberQueues.delete(clientId);
+        const queue = this.subscriberQueues.get(clientId);
+        if (queue) {
+          queue.stop();
+          this.subscriberQueues.delete(clientId);
+        }
+      }
+    }
+  }
+
+  /**
+   * Resolve every subscriber that should receive a message published to a topic
+   * Exact subscribers take precedence; a client matched by several
+   * subscriptions still receives the message only once. Ungrouped subscribers
+   * all receive the message, while each consumer group contributes one member.
+   * Subscriptions whose filter rejects the message are skipped.
+   * @param {string} topicName - Name of the topic
+   * @param {Object} topic - Topic state
+   * @param {Object} message - Message being delivered
+   * @returns {Map} - clientId -> { subscriber, subscription } (subscription is the pattern or null)
+   */
+  getRecipients(topicName, topic, message) {
+    const recipients = new Map();
+    const groups = new Map(); // group -> [clientId, { subscriber, subscription }][]
+
+    const add = (clientId, subscriber, subscription) => {
+      if (recipients.has(clientId) || !this.matchesFilter(subscriber, message)) {
+        return;
+      }
+      if (!subscriber.group) {
+        recipients.set(clientId, { subscriber, subscription });
+        return;
+      }
+      if (!groups.has(subscriber.group)) {
+        groups.set(subscriber.group, []);
+      }
+      const members = groups.get(subscriber.group);
+      if (!members.some(([memberId]) => memberId === clientId)) {
+        members.push([clientId, { subscriber, subscription }]);
+      }
+    };
+
+    for (const [clientId, subscriber] of topic.subscribers) {
+      add(clientId, subscriber, null);
+    }
+
+    for (const [pattern, subscription] of this.patternSubscriptions) {
+      if (!matchTopic(pattern, topicName)) {
+        continue;
+      }
+      for (const [clientId, subscriber] of subscription.subscribers) {
+        add(clientId, subscriber, pattern);
+      }
+    }
+
+    for (const [group, members] of groups) {
+      // A client already receiving the message through another subscription needs no second copy
+      let candidates = members.filter(([clientId]) => !recipients.has(clientId));
+
+      // Prefer connected members over ones whose session is waiting for a reconnect
+      const connected = candidates.filter(([clientId]) => !this.isSuspended(clientId));
+      if (connected.length > 0) {
+        candidates = connected;
+      }
+
+      if (candidates.length > 0) {
+        const [clientId, recipient] = this.pickGroupMember(topicName, group, candidates);
+        recipients.set(clientId, recipient);
+      }
+    }
+
+    return recipients;
+  }
+
+  /**
+   * Choose the group member that receives the next message
+   * @param {string} topicName - Name of the topic
+   * @param {string} group - Consumer group name
+   * @param {Array} members - [clientId, recipient] pairs in subscription order
+   * @returns {Array} - The chosen [clientId, recipient] pair
+   */
+  pickGroupMember(topicName, group, members) {
+    const cursorKey = `${topicName}/${group}`;
+    const cursor = this.groupCursors.get(cursorKey) || 0;
+    this.groupCursors.set(cursorKey, cursor + 1);
+
+    // Start from the round-robin position so ties rotate between members
+    const start = cursor % members.length;
+    let chosen = members[start];
+
+    if (this.groupStrategy === 'least_loaded') {
+      let lowest = Infinity;
+      for (let i = 0; i < members.length; i++) {
+        const member = members[(start + i) % members.length];
+        const queue = this.subscriberQueues.get(member[0]);
+        const depth = queue ? queue.queue.length : 0;
+        if (depth < lowest) {
+          lowest = depth;
+          chosen = member;
+        }
+      }
+    }
+
+    return chosen;
+  }
+
+  /**
+   * Hand unacknowledged group deliveries of a departing member to another member
+   * Deliveries outside a consumer group are dropped with their subscription
+   * @param {Array} entries - Pending deliveries released from the ack tracker
+   */
+  reassignPending(entries) {
+    for (const entry of entries) {
+      const topic = this.topics.get(entry.topicName);
+      if (!entry.group || !topic) {
+        continue;
+      }
+
+      const recipient = Array.from(this.getRecipients(entry.topicName, topic, entry.message))
+        .find(([, { subscriber }]) => subscriber.group === entry.group);
+      if (!recipient) {
+        continue;
+      }
+
+      const [clientId, { subscriber, subscription }] = recipient;
+      const frame = {
+        type: 'event',
+        topic: entry.topicName,
+        message: entry.message,
+        redelivered: true,
+        ts: new Date().toISOString()
+      };
+      if (subscription) {
+        frame.subscription = subscription;
+      }
+
+      this.dispatch(clientId, entry.topicName, subscription || entry.topicName, subscriber, frame);
+      this.totalRedelivered++;
+    }
+  }
+
+  /**
+   * Unsubscribe a client from a topic
+   * @param {string} topicName - Name of the topic
+   * @param {string} clientId - Unique client identifier
+   * @returns {boolean} - True if unsubscribed, false if not found
+   */
+  unsubscribe(topicName, clientId) {
+    if (isPattern(topicName)) {
+      return this.unsubscribePattern(topicName, clientId);
+    }
+
+    const topic = this.topics.get(topicName);
+    if (!topic || !topic.subscribers.has(clientId)) {
+      return false;
+    }
+
+    topic.subscribers.delete(clientId);
+    this.reassignPending(this.ackTracker.release(clientId, topicName));
+    
+    // Clean up client topic mapping
+    this.untrackClientTopic(clientId, topicName);
+
+    this.emit('clientUnsubscribed', topicName, clientId);
+    return true;
+  }
+
+  /**
+   * Publish a message to a topic
+   * A message whose id was already published to the topic within the dedup
+   * window is not stored or delivered again; the result has duplicate: true
+   * and the offset of the original.
+   * @param {string} topicName - Name of the topic
+   * @param {Object} message - Message object with id and payload
+   * @param {Object} options - { dedup: false } to skip the duplicate check
+   * @returns {Object} - Publish result
+   */
+  publish(topicName, message, options = {}) {
+    const topic = this.topics.get(topicName);
+    if (!topic) {
+      if (this.pendingRequests.has(topicName)) {
+        return this.reply(topicName, message);
+      }
+      if (this.hasInbox(topicName)) {
+        return this.forwardReply(topicName, message);
+      }
+      return { success: false, error: 'TOPIC_NOT_FOUND' };
+    }
+
+    // Validate message
+    const invalidReason = this.validateMessage(message);
+    if (invalidReason) {
+      return { success: false, error: 'INVALID_MESSAGE', reason: invalidReason };
+    }
+
+    const sizeReason = this.checkMessageSize(topicName, message);
+    if (sizeReason) {
+      return { success: false, error: 'MESSAGE_TOO_LARGE', reason: sizeReason };
+    }
+
+    const keyReason = this.checkMessageKey(topicName, message);
+    if (keyReason) {
+      return { success: false, error: 'INVALID_MESSAGE', reason: keyReason };
+    }
+
+    const violation = this.checkMessageSchema(topicName, message);
+    if (violation) {
+      return {
+        success: false,
+        error: 'SCHEMA_VIOLATION',
+        reason: violation.reason,
+        path: violation.path,
+        schemaVersion: violation.version
+      };
+    }
+
+    if (options.dedup !== false) {
+      const original = this.findRecentId(topic, message.id);
+      if (original) {
+        this.totalDuplicates++;
+        this.emit('messageDuplicate', topicName, message, original.offset);
+        return {
+          success: true,
+          duplicate: true,
+          offset: original.offset,
+          subscribers: 0,
+          deliveryResults: []
+        };
+      }
+    }
+
+    if (isBinary(message) && !message.content_type) {
+      message.content_type = BINARY_CONTENT_TYPE;
+    }
+
+    // Add timestamp if not present
+    if (!message.ts) {
+      message.ts = Date.now();
+    }
+
+    // The TTL runs from now; expires_at is always set by the server
+    const ttlMs = message.ttl_ms !== undefined ? message.ttl_ms : topic.settings.ttlMs;
+    if (ttlMs) {
+      message.expires_at = Date.now() + ttlMs;
+    } else {
+      delete message.expires_at;
+    }
+
+    // Store before anything is delivered so acked messages survive a restart;
+    // the backend stamps the per-topic offset subscribers resume from.
+    // Compacted topics replace the key's previous message instead of
+    // keeping the newest max_messages
+    try {
+      this.storage.append(topicName, message, {
+        maxMessages: topic.settings.maxMessages || this.maxMessagesPerTopic,
+        compact: !!topic.settings.compact
+      });
+    } catch (error) {
+      this.emit('persistenceError', topicName, error, 'message');
+      return { success: false, error: 'PERSISTENCE_ERROR' };
+    }
+
+    this.rememberMessageId(topic, message);
+    if (topic.settings.compact) {
+      this.purgeTombstones(topicName);
+    }
+
+    // Keep the latest value (per key) for new subscribers; a tombstone clears it
+    if (topic.settings.retain) {
+      const key = retainKey(topic.settings.retain, message);
+      topic.retained.delete(key);
+      if (!(topic.settings.compact && isTombstone(message))) {
+        topic.retained.set(key, message);
+      }
+      this.persistRetained(topicName, topic);
+    }
+
+    // Fan-out to all exact and pattern subscribers, then to other cluster nodes with interest
+    const deliveryResults = this.fanOut(topicName, topic, message);
+    const forwarded = this.cluster ? this.cluster.forward(topicName, message) : 0;
+
+    this.emit('messagePublished', topicName, message, deliveryResults);
+    return { 
+      success: true, 
+      offset: message.offset,
+      subscribers: deliveryResults.length,
+      forwarded,
+      deliveryResults 
+    };
+  }
+
+  /**
+   * Queue a message for every local subscriber it matches
+   * @param {string} topicName - Topic the message was published to
+   * @param {Object} topic - Topic state (only its subscribers are used)
+   * @param {Object} message - Message to deliver
+   * @param {string} originNode - Cluster node the message was published on, if not this one
+   * @returns {Array} - One delivery result per recipient
+   */
+  fanOut(topicName, topic, message, originNode) {
+    const publishedAt = performance.now();
+    const recipients = this.getRecipients(topicName, topic, message);
+    const deliveryResults = [];
+    for (const [clientId, { subscriber, subscription }] of recipients) {
+      try {
+        // Create the message to send
+        const messageToSend = {
+          type: 'event',
+          topic: topicName,
+          message: message,
+          ts: new Date().toISOString(),
+          [PUBLISHED_AT]: publishedAt
+        };
+        if (subscription) {
+          messageToSend.subscription = subscription;
+        }
+        if (originNode) {
+          messageToSend.origin_node = originNode;
+        }
+
+        // Add message to subscriber's bounded queue; the pump sends it
+        // right away unless the socket is backed up
+        const queueResult = this.dispatch(clientId, topicName, subscription || topicName, subscriber, messageToSend);
+
+        if (queueResult.error) {
+          deliveryResults.push({ 
+            clientId, 
+            success: false, 
+            error: queueResult.error 
+          });
+        } else if (queueResult.success) {
+          deliveryResults.push({ 
+            clientId, 
+            success: true,
+            action: queueResult.action,
+            group: subscriber.group || undefined,
+            queued: queueResult.queueSize,
+            droppedCount: queueResult.droppedCount
+          });
+        } else {
+          // Queue policy triggered (e.g., disconnect)
+          deliveryResults.push({ 
+            clientId, 
+            success: false, 
+            action: queueResult.action,
+            reason: queueResult.reason,
+            droppedCount: queueResult.droppedCount
+          });
+        }
+      } catch (error) {
+        deliveryResults.push({ 
+          clientId, 
+          success: false, 
+          error: error.message 
+        });
+      }
+    }
+
+    return deliveryResults;
+  }
+
+  /**
+   * Deliver a message forwarded by another cluster node
+   * The message was stored and numbered on its origin node; here it only goes
+   * to live subscribers (and to a pending request waiting on the inbox), so the
+   * topic need not exist locally for pattern subscribers to receive it
+   * @param {string} topicName - Topic the message was published to
+   * @param {Object} message - Forwarded message
+   * @param {string} originNode - Node the message was published on
+   * @returns {Object} - { success, subscribers, deliveryResults }
+   */
+  deliverRemote(topicName, message, originNode) {
+    if (this.pendingRequests.has(topicName)) {
+      return this.reply(topicName, message);
+    }
+    if (isExpired(message)) {
+      return { success: true, subscribers: 0, deliveryResults: [] };
+    }
+
+    const topic = this.topics.get(topicName) || { subscribers: new Map() };
+    const deliveryResults = this.fanOut(topicName, topic, message, originNode);
+    this.emit('remoteMessageDelivered', topicName, message, originNode, deliveryResults);
+    return { success: true, subscribers: deliveryResults.length, deliveryResults };
+  }
+
+  /**
+   * Drop a compacted topic's tombstones once tombstoneRetention has passed
+   * @param {string} topicName - Name of the topic
+   * @param {number} now - Current time in epoch ms
+   */
+  purgeTombstones(topicName, now = Date.now()) {
+    const cutoff = now - this.tombstoneRetention;
+    this.storage.removeMessages(topicName, message => isTombstone(message) && message.ts < cutoff);
+  }
+
+  /**
+   * Look up a message id in a topic's dedup window
+   * @param {Object} topic - Topic state
+   * @param {string} messageId - Message id
+   * @returns {Object|null} - { offset, ts } of the original publish, or null
+   */
+  findRecentId(topic, messageId) {
+    this.pruneRecentIds(topic);
+    return topic.recentIds.get(messageId) || null;
+  }
+
+  /**
+   * Add a published message to its topic's dedup window
+   * @param {Object} topic - Topic state
+   * @param {Object} message - Published message (with offset)
+   * @param {number} seenAt - When the message was published (defaults to now)
+   */
+  rememberMessageId(topic, message, seenAt = Date.now()) {
+    if (this.dedupWindowSize <= 0) {
+      return;
+    }
+
+    // Re-inserting keeps the Map ordered oldest first
+    topic.recentIds.delete(message.id);
+    topic.recentIds.set(message.id, { offset: message.offset, ts: seenAt });
+    this.pruneRecentIds(topic);
+  }
+
+  /**
+   * Forget ids that fell out of the dedup window by count or age
+   * @param {Object} topic - Topic state
+   */
+  pruneRecentIds(topic) {
+    const cutoff = this.dedupWindowMs > 0 ? Date.now() - this.dedupWindowMs : null;
+
+    for (const [messageId, seen] of topic.recentIds) {
+      const overflow = topic.recentIds.size > this.dedupWindowSize;
+      const expired = cutoff !== null && seen.ts < cutoff;
+      if (!overflow && !expired) {
+        break;
+      }
+      topic.recentIds.delete(messageId);
+    }
+  }
+
+  /**
+   * Hold a message and publish it to a topic later
+   * The message is validated and checked against the dedup window now, and
+   * goes through publish() as usual once it is due. A message id that is
+   * already scheduled on the topic is reported as a duplicate.
+   * @param {string} topicName - Name of the topic
+   * @param {Object} message - Message object with id and payload
+   * @param {Object} schedule - { deliverAt } (epoch ms or ISO 8601) or { delayMs }
+   * @returns {Object} - { success, scheduleId, deliverAt } or an error
+   */
+  schedulePublish(topicName, message, schedule = {}) {
+    // A reply settles its request right away, so there is nothing to hold
+    if (this.isInbox(topicName)) {
+      return { success: false, error: 'INVALID_SCHEDULE', reason: 'Replies to a request inbox cannot be delayed' };
+    }
+
+    const topic = this.topics.get(topicName);
+    if (!topic) {
+      return { success: false, error: 'TOPIC_NOT_FOUND' };
+    }
+
+    const invalidReason = this.validateMessage(message);
+    if (invalidReason) {
+      return { success: false, error: 'INVALID_MESSAGE', reason: invalidReason };
+    }
+
+    const sizeReason = this.checkMessageSize(topicName, message);
+    if (sizeReason) {
+      return { success: false, error: 'MESSAGE_TOO_LARGE', reason: sizeReason };
+    }
+
+    const keyReason = this.checkMessageKey(topicName, message);
+    if (keyReason) {
+      return { success: false, error: 'INVALID_MESSAGE', reason: keyReason };
+    }
+
+    const violation = this.checkMessageSchema(topicName, message);
+    if (violation) {
+      return {
+        success: false,
+        error: 'SCHEMA_VIOLATION',
+        reason: violation.reason,
+        path: violation.path,
+        schemaVersion: violation.version
+      };
+    }
+
+    const resolved = this.resolveDeliverAt(schedule);
+    if (resolved.error) {
+      return { success: false, error: 'INVALID_SCHEDULE', reason: resolved.error };
+    }
+
+    if (this.dedupWindowSize > 0) {
+      const original = this.findRecentId(topic, message.id);
+      const pending = original ? null : this.scheduler.find(topicName, message.id);
+      if (original || pending) {
+        this.totalDuplicates++;
+        this.emit('messageDuplicate', topicName, message, original ? original.offset : null);
+        return original
+          ? { success: true, duplicate: true, offset: original.offset }
+          : { success: true, duplicate: true, scheduleId: pending.scheduleId, deliverAt: pending.deliverAt };
+      }
+    }
+
+    if (this.scheduler.entries.size >= this.maxScheduledMessages) {
+      return { success: false, error: 'SCHEDULE_FULL' };
+    }
+
+    const entry = this.scheduler.schedule(topicName, message, resolved.deliverAt);
+    this.emit('messageScheduled', topicName, message, entry.scheduleId, entry.deliverAt);
+    return { success: true, scheduleId: entry.scheduleId, deliverAt: entry.deliverAt };
+  }
+
+  /**
+   * Turn a requested delivery time into epoch ms
+   * Times in the past are delivered right away
+   * @param {Object} schedule - { deliverAt } or { delayMs }
+   * @returns {Object} - { deliverAt } or { error }
+   */
+  resolveDeliverAt(schedule = {}) {
+    const { deliverAt, delayMs } = schedule;
+    const now = Date.now();
+    let time;
+
+    if (deliverAt !== undefined && delayMs !== undefined) {
+      return { error: 'Give either deliver_at or delay_ms, not both' };
+    }
+
+    if (delayMs !== undefined) {
+      if (!Number.isInteger(delayMs) || delayMs < 0) {
+        return { error: 'delay_ms must be a non-negative integer' };
+      }
+      time = now + delayMs;
+    } else if (typeof deliverAt === 'number' && Number.isFinite(deliverAt)) {
+      time = deliverAt;
+    } else if (typeof deliverAt === 'string' && !Number.isNaN(Date.parse(deliverAt))) {
+      time = Date.parse(deliverAt);
+    } else {
+      return { error: 'deliver_at must be an ISO 8601 timestamp or epoch milliseconds' };
+    }
+
+    if (time - now > this.maxScheduleDelay) {
+      return { error: `Delivery time must be within ${this.maxScheduleDelay} ms` };
+    }
+
+    return { deliverAt: Math.max(time, now) };
+  }
+
+  /**
+   * Publish a scheduled message whose delivery time has come
+   * @param {Object} entry - Scheduled entry
+   */
+  releaseScheduled(entry) {
+    const result = this.publish(entry.topicName, entry.message);
+    this.emit('scheduledMessageReleased', entry.topicName, entry.message, entry.scheduleId, result);
+  }
+
+  /**
+   * List a topic's scheduled messages in delivery order
+   * @param {string} topicName - Name of the topic
+   * @returns {Array|null} - Pending entries or null if the topic doesn't exist
+   */
+  getScheduled(topicName) {
+    if (!this.topics.has(topicName)) {
+      return null;
+    }
+    return this.scheduler.list(topicName);
+  }
+
+  /**
+   * Cancel a scheduled message before it is published
+   * @param {string} topicName - Name of the topic
+   * @param {string} scheduleId - Schedule identifier
+   * @returns {Object|null} - The cancelled entry or null if not scheduled on the topic
+   */
+  cancelScheduled(topicName, scheduleId) {
+    const entry = this.scheduler.get(scheduleId);
+    if (!entry || entry.topicName !== topicName) {
+      return null;
+    }
+
+    this.scheduler.cancel(scheduleId);
+    this.emit('scheduledMessageCancelled', topicName, entry.message, scheduleId);
+    return entry;
+  }
+
+  /**
+   * Get a topic's live retained values, dropping expired ones
+   * @param {Object} topic - Topic state
+   * @returns {Array} - Retained messages, oldest publish first
+   */
+  listRetained(topic) {
+    const now = Date.now();
+    for (const [key, message] of topic.retained) {
+      if (isExpired(message, now)) {
+        topic.retained.delete(key);
       }
     }
+    return Array.from(topic.retained.values());
+  }
 
-    this.emit('clientUnsubscribed', topicName, clientId);
-    return true;
+  /**
+   * List the values a retained topic hands to new subscribers
+   * @param {string} topicName - Name of the topic
+   * @returns {Array|null} - Retained messages or null if the topic doesn't exist
+   */
+  getRetained(topicName) {
+    const topic = this.topics.get(topicName);
+    if (!topic) {
+      return null;
+    }
+    return this.listRetained(topic);
   }
 
   /**
-   * Publish a message to a topic
+   * Clear retained values so new subscribers no longer receive them
+   * Messages stay in the replay buffer and the log
    * @param {string} topicName - Name of the topic
-   * @param {Object} message - Message object with id and payload
-   * @returns {Object} - Publish result
+   * @param {string} key - Key to clear ('per_key' topics); clears every value if omitted
+   * @returns {number|null} - Number of values cleared, or null if the topic doesn't exist
    */
-  publish(topicName, message) {
+  clearRetained(topicName, key) {
     const topic = this.topics.get(topicName);
     if (!topic) {
+      return null;
+    }
+
+    let cleared;
+    if (key === undefined) {
+      cleared = topic.retained.size;
+      topic.retained.clear();
+    } else {
+      cleared = topic.retained.delete(key) ? 1 : 0;
+    }
+
+    if (cleared > 0) {
+      this.persistRetained(topicName, topic);
+      this.emit('retainedCleared', topicName, key, cleared);
+    }
+    return cleared;
+  }
+
+  /**
+   * Store a topic's retained values in the durable log
+   * The message itself is already in the log, so a failure is only reported
+   * @param {string} topicName - Name of the topic
+   * @param {Object} topic - Topic state
+   */
+  persistRetained(topicName, topic) {
+    try {
+      this.storage.writeRetained(topicName, Array.from(topic.retained.values()));
+    } catch (error) {
+      this.emit('persistenceError', topicName, error, 'retained');
+    }
+  }
+
+  /**
+   * Publish a request and wait for the first reply to its inbox
+   * The message is stamped with reply_to (a unique inbox) and correlation_id;
+   * responders answer by publishing to reply_to. Requests are not deduplicated.
+   * onReply is called exactly once, with { success, reply } or with an error of
+   * REQUEST_TIMEOUT or REQUEST_CANCELLED.
+   * @param {string} topicName - Topic to publish the request to
+   * @param {Object} message - Request message
+   * @param {Object} options - { timeoutMs, owner, onReply } where owner identifies
+   *   the requester so its requests can be cancelled together
+   * @returns {Object} - { success, correlationId, replyTo, timeoutMs } or an error
+   */
+  request(topicName, message, options = {}) {
+    if (!this.topics.has(topicName)) {
       return { success: false, error: 'TOPIC_NOT_FOUND' };
     }
 
-    // Validate message
-    if (!message.id || !message.payload) {
-      return { success: false, error: 'INVALID_MESSAGE' };
+    const timeoutMs = options.timeoutMs !== undefined && options.timeoutMs !== null
+      ? options.timeoutMs
+      : this.requestTimeout;
+    if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+      return { success: false, error: 'INVALID_MESSAGE', reason: 'timeout_ms must be a positive integer' };
     }
 
-    // Add timestamp if not present
+    const correlationId = uuidv4();
+    const replyTo = INBOX_PREFIX + correlationId;
+    if (message && typeof message === 'object') {
+      message.reply_to = replyTo;
+      message.correlation_id = correlationId;
+    }
+
+    // Register the inbox first so no reply can arrive before it exists
+    const pending = {
+      topicName,
+      correlationId,
+      owner: options.owner,
+      onReply: options.onReply || (() => {}),
+      timer: null
+    };
+    this.pendingRequests.set(replyTo, pending);
+    this.emit('requestSent', topicName, correlationId, replyTo);
+
+    // Responders may be subscribed here or on another cluster node
+    const result = this.publish(topicName, message, { dedup: false });
+    if (!result.success || (result.subscribers === 0 && !result.forwarded)) {
+      this.pendingRequests.delete(replyTo);
+      this.emit('requestSettled', topicName, correlationId, replyTo);
+      return result.success ? { success: false, error: 'NO_RESPONDERS' } : result;
+    }
+
+    const timeout = Math.min(timeoutMs, this.maxRequestTimeout);
+    pending.timer = setTimeout(() => {
+      this.totalRequestTimeouts++;
+      this.emit('requestTimeout', topicName, correlationId, timeout);
+      this.settleRequest(replyTo, { success: false, error: 'REQUEST_TIMEOUT' });
+    }, timeout);
+    if (pending.timer.unref) {
+      pending.timer.unref();
+    }
+
+    this.totalRequests++;
+    return {
+      success: true,
+      correlationId,
+      replyTo,
+      timeoutMs: timeout,
+      offset: result.offset,
+      subscribers: result.subscribers
+    };
+  }
+
+  /**
+   * Hand a reply to the request waiting on an inbox
+   * Only the first reply is accepted; the inbox is gone afterwards
+   * @param {string} replyTo - Inbox of the request
+   * @param {Object} message - Reply message
+   * @returns {Object} - Publish result
+   */
+  reply(replyTo, message) {
+    const invalidReason = this.validateMessage(message);
+    if (invalidReason) {
+      return { success: false, error: 'INVALID_MESSAGE', reason: invalidReason };
+    }
+
+    const pending = this.pendingRequests.get(replyTo);
+    if (message.correlation_id === undefined) {
+      message.correlation_id = pending.correlationId;
+    }
     if (!message.ts) {
       message.ts = Date.now();
     }
 
-    // Store message in ring buffer
-    topic.messages.push(message);
-    if (topic.messages.length > this.maxMessagesPerTopic) {
-      topic.messages.shift(); // Remove oldest message
+    this.totalReplies++;
+    this.emit('requestReplied', pending.topicName, pending.correlationId, message);
+    this.settleRequest(replyTo, { success: true, reply: message });
+    return { success: true, subscribers: 1, deliveryResults: [{ success: true, action: 'replied' }] };
+  }
+
+  /**
+   * Finish a pending request and notify its requester
+   * @param {string} replyTo - Inbox of the request
+   * @param {Object} outcome - { success, reply } or { success: false, error }
+   * @returns {boolean} - True if the request was still pending
+   */
+  settleRequest(replyTo, outcome) {
+    const pending = this.pendingRequests.get(replyTo);
+    if (!pending) {
+      return false;
     }
 
-    // Fan-out to all subscribers using bounded queues
-    const deliveryResults = [];
-    for (const [clientId, ws] of topic.subscribers) {
-      try {
-        // Get or create subscriber queue
-        const subscriberQueue = this.subscriberQueues.get(clientId);
-        if (!subscriberQueue) {
-          deliveryResults.push({ 
-            clientId, 
-            success: false, 
-            error: 'SUBSCRIBER_QUEUE_NOT_FOUND' 
-          });
-          continue;
-        }
+    this.pendingRequests.delete(replyTo);
+    clearTimeout(pending.timer);
+    this.emit('requestSettled', pending.topicName, pending.correlationId, replyTo);
+    pending.onReply({ ...outcome, correlationId: pending.correlationId });
+    return true;
+  }
 
-        // Create the message to send
-        const messageToSend = {
-          type: 'event',
-          topic: topicName,
-          message: message,
-          ts: new Date().toISOString()
-        };
+  /**
+   * Send a reply to the cluster node whose request is waiting on the inbox
+   * @param {string} replyTo - Inbox of a request made on another node
+   * @param {Object} message - Reply message
+   * @returns {Object} - Publish result
+   */
+  forwardReply(replyTo, message) {
+    const invalidReason = this.validateMessage(message);
+    if (invalidReason) {
+      return { success: false, error: 'INVALID_MESSAGE', reason: invalidReason };
+    }
+    if (!message.ts) {
+      message.ts = Date.now();
+    }
 
-        // Add message to subscriber's bounded queue
-        const queueResult = subscriberQueue.add(messageToSend, ws);
-        
-        if (queueResult.success) {
-          // Message was added to queue successfully
-          if (queueResult.action === 'dropped_oldest') {
-            // Log that an old message was dropped
-            this.emit('messageDropped', clientId, topicName, queueResult.droppedMessage);
-          }
-          
-          // Try to send the message immediately
-          const sendResult = this.sendToClient(ws, messageToSend);
-          deliveryResults.push({ 
-            clientId, 
-            success: sendResult,
-            action: queueResult.action,
-            droppedCount: queueResult.droppedCount
-          });
-        } else {
-          // Queue policy triggered (e.g., disconnect)
-          deliveryResults.push({ 
-            clientId, 
-            success: false, 
-            action: queueResult.action,
-            reason: queueResult.reason,
-            droppedCount: queueResult.droppedCount
-          });
-        }
-      } catch (error) {
-        deliveryResults.push({ 
-          clientId, 
-          success: false, 
-          error: error.message 
-        });
+    const forwarded = this.cluster.forward(replyTo, message);
+    return forwarded > 0
+      ? { success: true, subscribers: 0, forwarded, deliveryResults: [{ success: true, action: 'forwarded' }] }
+      : { success: false, error: 'TOPIC_NOT_FOUND' };
+  }
+
+  /**
+   * Check whether a reply can be published to an inbox, here or on another node
+   * @param {string} name - Inbox name
+   * @returns {boolean} - True if a request is waiting on it
+   */
+  hasInbox(name) {
+    return this.pendingRequests.has(name) ||
+      (this.isInbox(name) && !!this.cluster && this.cluster.hasInterest(name));
+  }
+
+  /**
+   * Connect the engine to a cluster so publishes reach subscribers on other nodes
+   * @param {Object} cluster - ClusterNode with forward(topicName, message) and hasInterest(name)
+   */
+  attachCluster(cluster) {
+    this.cluster = cluster;
+  }
+
+  /**
+   * Cancel every pending request of a requester, e.g. when it disconnects
+   * @param {*} owner - Owner passed to request()
+   * @returns {number} - Number of requests cancelled
+   */
+  cancelRequests(owner) {
+    let cancelled = 0;
+    for (const [replyTo, pending] of Array.from(this.pendingRequests)) {
+      if (pending.owner === owner && this.settleRequest(replyTo, { success: false, error: 'REQUEST_CANCELLED' })) {
+        cancelled++;
       }
     }
+    return cancelled;
+  }
 
-    this.emit('messagePublished', topicName, message, deliveryResults);
-    return { 
-      success: true, 
-      subscribers: topic.subscribers.size,
-      deliveryResults 
-    };
+  /**
+   * Check whether a name is a request inbox rather than a topic
+   * Inbox names are unguessable, so anyone holding one may reply to it
+   * @param {string} name - Topic name
+   * @returns {boolean} - True for names in the inbox namespace
+   */
+  isInbox(name) {
+    return typeof name === 'string' && name.startsWith(INBOX_PREFIX);
   }
 
   /**
    * Send message to a specific client
-   * Note: Backpressure is now handled by SubscriberQueue
+   * Note: Backpressure is handled by SubscriberQueue, which only calls this
+   * while the socket is below its high water mark
    * @param {WebSocket} ws - WebSocket connection
    * @param {Object} message - Message to send
    * @returns {boolean} - True if sent successfully
@@ -375,14 +2235,70 @@ class PubSubEngine extends EventEmitter {
         return false;
       }
 
-      // Send message directly (backpressure handled by queue)
-      ws.send(JSON.stringify(message));
+      // Send message directly (backpressure handled by queue); binary
+      // payloads go out as binary frames
+      ws.send(encodeFrame(message));
       return true;
     } catch (error) {
       return false;
     }
   }
 
+  /**
+   * Check a message's required fields, headers, content type and TTL
+   * The payload may be any JSON value (including empty ones) or a Buffer
+   * @param {Object} message - Message to validate
+   * @returns {string|null} - Reason the message is invalid, or null if valid
+   */
+  validateMessage(message) {
+    if (!message || typeof message !== 'object') {
+      return 'Message must be an object';
+    }
+
+    if (!message.id) {
+      return 'Message must have an id';
+    }
+
+    if (message.payload === undefined) {
+      return 'Message must have a payload';
+    }
+
+    if (message.headers !== undefined) {
+      const headers = message.headers;
+      if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+        return 'headers must be an object';
+      }
+
+      const entries = Object.entries(headers);
+      if (entries.length > MAX_HEADERS) {
+        return `headers must not have more than ${MAX_HEADERS} entries`;
+      }
+      if (entries.some(([, value]) => typeof value !== 'string')) {
+        return 'header values must be strings';
+      }
+    }
+
+    if (message.content_type !== undefined &&
+        (typeof message.content_type !== 'string' || message.content_type.length === 0)) {
+      return 'content_type must be a non-empty string';
+    }
+
+    if (message.ttl_ms !== undefined && (!Number.isInteger(message.ttl_ms) || message.ttl_ms <= 0)) {
+      return 'ttl_ms must be a positive integer';
+    }
+
+    // Replay ordering, tombstone purge and log retention compare ts values
+    if (message.ts !== undefined && (!Number.isFinite(message.ts) || message.ts < 0)) {
+      return 'ts must be a time in epoch milliseconds';
+    }
+
+    if (message.key !== undefined && (typeof message.key !== 'string' || message.key.length === 0)) {
+      return 'key must be a non-empty string';
+    }
+
+    return null;
+  }
+
   /**
    * Get topic information
    * @param {string} topicName - Name of the topic
@@ -394,14 +2310,80 @@ class PubSubEngine extends EventEmitter {
       return null;
     }
 
+    const offsets = this.storage.getOffsets(topicName);
     return {
       name: topicName,
       subscribers: topic.subscribers.size,
-      messages: topic.messages.length,
+      messages: this.storage.getMessages(topicName).length,
+      earliestOffset: offsets.earliest,
+      nextOffset: offsets.next,
+      scheduled: this.scheduler.list(topicName).length,
+      settings: this.resolveTopicSettings(topic),
+      schemaVersion: topic.schemas.length > 0 ? topic.schemas[topic.schemas.length - 1].version : null,
+      retained: this.listRetained(topic).length,
+      expired: topic.expiredCount,
+      groups: this.getGroups(topic),
       createdAt: topic.createdAt
     };
   }
 
+  /**
+   * Page through a topic's retained messages, skipping expired ones
+   * @param {string} topicName - Name of the topic
+   * @param {Object} options - { limit, before, after } where before/after are exclusive offsets
+   * @returns {Object|null} - { messages, hasMore } or null if the topic doesn't exist
+   */
+  getMessages(topicName, options = {}) {
+    const topic = this.topics.get(topicName);
+    if (!topic) {
+      return null;
+    }
+
+    const stored = this.storage.getMessages(topicName);
+    const limit = options.limit || stored.length;
+    const now = Date.now();
+    const matching = stored.filter(message =>
+      !isExpired(message, now) &&
+      (options.before === undefined || message.offset < options.before) &&
+      (options.after === undefined || message.offset > options.after)
+    );
+
+    // Page forward from 'after'; otherwise return the newest matches
+    const messages = options.after !== undefined
+      ? matching.slice(0, limit)
+      : matching.slice(-limit);
+
+    return {
+      messages,
+      hasMore: matching.length > messages.length
+    };
+  }
+
+  /**
+   * List the consumer groups subscribed to a topic and their members
+   * @param {Object} topic - Topic state
+   * @returns {Array} - [{ name, members: [{ clientId, queueSize }] }]
+   */
+  getGroups(topic) {
+    const groups = new Map();
+
+    for (const [clientId, subscriber] of topic.subscribers) {
+      if (!subscriber.group) {
+        continue;
+      }
+      if (!groups.has(subscriber.group)) {
+        groups.set(subscriber.group, []);
+      }
+      const queue = this.subscriberQueues.get(clientId);
+      groups.get(subscriber.group).push({
+        clientId,
+        queueSize: queue ? queue.queue.length : 0
+      });
+    }
+
+    return Array.from(groups, ([name, members]) => ({ name, members }));
+  }
+
   /**
    * Get all topics
    * @returns {Array} - Array of topic information
@@ -412,7 +2394,7 @@ class PubSubEngine extends EventEmitter {
       topics.push({
         name: topicName,
         subscribers: topic.subscribers.size,
-        messages: topic.messages.length,
+        messages: this.storage.getMessages(topicName).length,
         createdAt: topic.createdAt
       });
     }
@@ -426,29 +2408,104 @@ class PubSubEngine extends EventEmitter {
   getStats() {
     const stats = {
       topics: {},
+      patterns: {},
       totalSubscribers: 0,
       totalMessages: 0,
+      totalExpired: this.totalExpired,
       queues: {
         totalQueues: this.subscriberQueues.size,
+        totalQueuedMessages: 0,
         totalDroppedMessages: 0,
+        blockedQueues: 0,
         queueStats: {}
       }
     };
 
     for (const [topicName, topic] of this.topics) {
+      const messages = this.storage.getMessages(topicName).length;
       stats.topics[topicName] = {
-        messages: topic.messages.length,
-        subscribers: topic.subscribers.size
+        messages,
+        subscribers: topic.subscribers.size,
+        retained: topic.retained.size,
+        expired: topic.expiredCount,
+        schemaVersion: topic.schemas.length > 0 ? topic.schemas[topic.schemas.length - 1].version : null
       };
       stats.totalSubscribers += topic.subscribers.size;
-      stats.totalMessages += topic.messages.length;
+      stats.totalMessages += messages;
+    }
+
+    for (const [pattern, subscription] of this.patternSubscriptions) {
+      stats.patterns[pattern] = {
+        subscribers: subscription.subscribers.size
+      };
+      stats.totalSubscribers += subscription.subscribers.size;
+    }
+
+    stats.acks = {
+      ...this.ackTracker.getStats(),
+      totalRedelivered: this.totalRedelivered,
+      totalDeadLettered: this.totalDeadLettered
+    };
+
+    stats.dedup = {
+      windowSize: this.dedupWindowSize,
+      windowMs: this.dedupWindowMs,
+      totalDuplicates: this.totalDuplicates
+    };
+
+    stats.schemas = {
+      topics: Array.from(this.topics.values()).filter(topic => topic.schemas.length > 0).length,
+      totalViolations: this.totalSchemaViolations
+    };
+
+    stats.scheduled = {
+      ...this.scheduler.getStats(),
+      maxPending: this.maxScheduledMessages,
+      maxDelay: this.maxScheduleDelay
+    };
+
+    stats.requests = {
+      pending: this.pendingRequests.size,
+      totalRequests: this.totalRequests,
+      totalReplies: this.totalReplies,
+      totalTimeouts: this.totalRequestTimeouts,
+      defaultTimeout: this.requestTimeout,
+      maxTimeout: this.maxRequestTimeout
+    };
+
+    const sessions = this.storage.listSessions();
+    stats.sessions = {
+      suspended: sessions.length,
+      gracePeriod: this.sessionGracePeriod,
+      clients: {}
+    };
+    for (const [clientId, session] of sessions) {
+      stats.sessions.clients[clientId] = {
+        suspendedAt: session.suspendedAt,
+        expiresAt: session.expiresAt
+      };
+    }
+
+    // Durable log sizes keep their own section, as before storage was pluggable
+    const { log, ...storage } = this.storage.getStats();
+    stats.storage = storage;
+    if (log) {
+      stats.persistence = log;
+    }
+
+    if (this.cluster) {
+      stats.cluster = this.cluster.getStats();
     }
 
     // Add queue statistics
     for (const [clientId, queue] of this.subscriberQueues) {
       const queueStats = queue.getStats();
       stats.queues.queueStats[clientId] = queueStats;
+      stats.queues.totalQueuedMessages += queueStats.queueSize;
       stats.queues.totalDroppedMessages += queueStats.droppedCount;
+      if (queueStats.blocked) {
+        stats.queues.blockedQueues++;
+      }
     }
 
     return stats;
@@ -472,7 +2529,8 @@ class PubSubEngine extends EventEmitter {
       clientId,
       topics: Array.from(topics),
       topicCount: topics.size,
-      queue: queueStats
+      queue: queueStats,
+      suspended: this.isSuspended(clientId)
     };
   }
 
@@ -495,6 +2553,108 @@ class PubSubEngine extends EventEmitter {
     return true;
   }
 
+  /**
+   * Detach a client's session instead of unsubscribing it
+   * Subscriptions stay in place and new messages keep accumulating in the
+   * client's bounded queue until it reconnects or the grace period runs out
+   * @param {string} clientId - Client identifier
+   * @param {number} gracePeriod - How long to keep the session, in ms
+   * @returns {boolean} - True if the client had subscriptions to keep
+   */
+  suspendClient(clientId, gracePeriod = this.sessionGracePeriod) {
+    if (!this.clientTopics.has(clientId)) {
+      return false;
+    }
+
+    this.clearSession(clientId);
+
+    const now = Date.now();
+    this.storage.saveSession(clientId, { suspendedAt: now, expiresAt: now + gracePeriod });
+
+    const timer = setTimeout(() => this.expireSession(clientId), gracePeriod);
+    if (timer.unref) {
+      timer.unref();
+    }
+    this.sessionTimers.set(clientId, timer);
+
+    this.emit('sessionSuspended', clientId, gracePeriod);
+    return true;
+  }
+
+  /**
+   * Reattach a detached session to a new connection
+   * Restores every subscription onto the new socket and delivers what was
+   * buffered while the client was away
+   * @param {string} clientId - Client identifier
+   * @param {WebSocket} ws - New WebSocket connection
+   * @returns {Object|null} - { topics, queued } or null if there is no session
+   */
+  resumeClient(clientId, ws) {
+    if (!this.isSuspended(clientId)) {
+      return null;
+    }
+
+    this.clearSession(clientId);
+
+    const topics = Array.from(this.clientTopics.get(clientId) || []);
+    for (const name of topics) {
+      const subscriber = this.getSubscriber(name, clientId);
+      if (subscriber) {
+        subscriber.ws = ws;
+      }
+    }
+
+    const queue = this.subscriberQueues.get(clientId);
+    const queued = queue ? queue.queue.length : 0;
+
+    // Deliveries that were sent but never acked may have been lost with the old socket
+    const stillQueued = new Set(queue ? queue.queue.map(frame => frame.delivery_tag) : []);
+    const deliveries = this.ackTracker.pending.get(clientId);
+    if (deliveries) {
+      for (const entry of Array.from(deliveries.values())) {
+        if (!stillQueued.has(entry.deliveryTag)) {
+          this.redeliver(clientId, entry, 'resume');
+        }
+      }
+    }
+
+    if (queue) {
+      queue.attach(ws);
+    }
+
+    this.emit('sessionResumed', clientId, topics);
+    return { topics, queued };
+  }
+
+  /**
+   * Drop a session whose grace period ran out
+   * @param {string} clientId - Client identifier
+   */
+  expireSession(clientId) {
+    this.clearSession(clientId);
+    this.disconnectClient(clientId);
+    this.emit('sessionExpired', clientId);
+  }
+
+  /**
+   * Cancel a session's expiry timer and forget it
+   * @param {string} clientId - Client identifier
+   */
+  clearSession(clientId) {
+    clearTimeout(this.sessionTimers.get(clientId));
+    this.sessionTimers.delete(clientId);
+    this.storage.deleteSession(clientId);
+  }
+
+  /**
+   * Check whether a client's session is detached and waiting for a reconnect
+   * @param {string} clientId - Client identifier
+   * @returns {boolean} - True if suspended
+   */
+  isSuspended(clientId) {
+    return this.storage.getSession(clientId) !== null;
+  }
+
   /**
    * Start heartbeat system
    */
@@ -519,16 +2679,42 @@ class PubSubEngine extends EventEmitter {
    */
   async shutdown() {
     this.stopHeartbeat();
+
+    // Scheduled messages only live in memory; report the ones never published
+    const unreleased = this.scheduler.clear();
+    if (unreleased.length > 0) {
+      this.emit('scheduledMessagesDiscarded', unreleased);
+    }
+
+    for (const [clientId] of this.storage.listSessions()) {
+      this.clearSession(clientId);
+    }
+
+    // Requesters still waiting will not get a reply
+    for (const replyTo of Array.from(this.pendingRequests.keys())) {
+      this.settleRequest(replyTo, { success: false, error: 'REQUEST_CANCELLED' });
+    }
     
     // Disconnect all clients
     for (const [clientId] of this.clientTopics) {
       this.disconnectClient(clientId);
     }
 
+    // Stop redelivery timers and any delivery pumps still waiting on a socket
+    this.ackTracker.clear();
+    for (const queue of this.subscriberQueues.values()) {
+      queue.stop();
+    }
+    this.subscriberQueues.clear();
+
     // Clear all topics
     this.topics.clear();
+    this.groupCursors.clear();
+    this.patternSubscriptions.clear();
     this.clientTopics.clear();
 
+    this.storage.close();
+
     this.emit('shutdown');
   }
 }
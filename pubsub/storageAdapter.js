@@ -0,0 +1,198 @@
+/**
+ * Storage Adapter
+ *
+ * The interface between the engine and wherever topics, messages, offsets and
+ * sessions are kept. The engine holds only routing state (subscribers, queues,
+ * compiled filters and schemas) and goes through its adapter for the rest, so
+ * a backend can be swapped without touching delivery.
+ *
+ * Methods are synchronous because a message is stored before it is
+ * delivered. A method that throws makes the engine reject the operation with
+ * PERSISTENCE_ERROR. MemoryStorage is the default backend and FileStorage adds
+ * a durable segment log; a custom backend extends one of them or this class
+ * and is passed to the engine as options.storage.
+ */
+
+class StorageAdapter {
+  /**
+   * @param {string} backend - Name reported in stats, e.g. 'memory'
+   */
+  constructor(backend) {
+    this.backend = backend;
+    this.durable = false; // true when stored data survives a restart
+  }
+
+  /**
+   * Read back every stored topic when the engine starts
+   * @param {number} maxMessages - Replay window per topic unless its settings override it
+   * @returns {Array} - [{ topicName, messages, nextOffset, settings, retained, schemas, createdAt }]
+   */
+  load(maxMessages) {
+    throw notImplemented(this, 'load');
+  }
+
+  /**
+   * Start storing a topic
+   * @param {string} topicName - Name of the topic
+   * @param {Object} settings - Setting overrides
+   * @param {number} createdAt - Creation time in epoch ms
+   */
+  createTopic(topicName, settings, createdAt) {
+    throw notImplemented(this, 'createTopic');
+  }
+
+  /**
+   * Forget a topic and everything stored for it
+   * @param {string} topicName - Name of the topic
+   */
+  deleteTopic(topicName) {
+    throw notImplemented(this, 'deleteTopic');
+  }
+
+  /**
+   * Store a topic's setting overrides
+   * @param {string} topicName - Name of the topic
+   * @param {Object} settings - Setting overrides
+   */
+  writeSettings(topicName, settings) {
+    throw notImplemented(this, 'writeSettings');
+  }
+
+  /**
+   * Store a topic's registered payload schemas
+   * @param {string} topicName - Name of the topic
+   * @param {Array} versions - [{ version, schema, compatibility, registeredAt }]
+   */
+  writeSchemas(topicName, versions) {
+    throw notImplemented(this, 'writeSchemas');
+  }
+
+  /**
+   * Store a retained topic's current values
+   * @param {string} topicName - Name of the topic
+   * @param {Array} messages - Retained messages
+   */
+  writeRetained(topicName, messages) {
+    throw notImplemented(this, 'writeRetained');
+  }
+
+  /**
+   * Store a published message, stamping the next offset on it
+   * Compacted topics keep only the latest message per key; other topics keep
+   * the newest maxMessages
+   * @param {string} topicName - Name of the topic
+   * @param {Object} message - Message to store
+   * @param {Object} limits - { maxMessages, compact }
+   * @returns {number} - Offset of the stored message
+   */
+  append(topicName, message, limits) {
+    throw notImplemented(this, 'append');
+  }
+
+  /**
+   * Get the messages held for replay, oldest first
+   * The returned array belongs to the adapter and must not be modified
+   * @param {string} topicName - Name of the topic
+   * @returns {Array} - Messages
+   */
+  getMessages(topicName) {
+    throw notImplemented(this, 'getMessages');
+  }
+
+  /**
+   * Get every stored message at or after an offset
+   * @param {string} topicName - Name of the topic
+   * @param {number} fromOffset - First offset to return
+   * @returns {Array|null} - Messages, or null if the offset is no longer stored
+   */
+  readFrom(topicName, fromOffset) {
+    throw notImplemented(this, 'readFrom');
+  }
+
+  /**
+   * Get the range of offsets held for replay
+   * @param {string} topicName - Name of the topic
+   * @returns {Object} - { earliest, next }; earliest equals next when nothing is held
+   */
+  getOffsets(topicName) {
+    throw notImplemented(this, 'getOffsets');
+  }
+
+  /**
+   * Drop the oldest messages beyond a new replay window
+   * @param {string} topicName - Name of the topic
+   * @param {number} maxMessages - Messages to keep
+   */
+  trimMessages(topicName, maxMessages) {
+    throw notImplemented(this, 'trimMessages');
+  }
+
+  /**
+   * Drop held messages that match a predicate, e.g. expired tombstones
+   * @param {string} topicName - Name of the topic
+   * @param {Function} predicate - (message) => true to drop it
+   * @returns {number} - Number of messages dropped
+   */
+  removeMessages(topicName, predicate) {
+    throw notImplemented(this, 'removeMessages');
+  }
+
+  /**
+   * Store a detached session
+   * @param {string} clientId - Client identifier
+   * @param {Object} session - { suspendedAt, expiresAt }
+   */
+  saveSession(clientId, session) {
+    throw notImplemented(this, 'saveSession');
+  }
+
+  /**
+   * Look up a detached session
+   * @param {string} clientId - Client identifier
+   * @returns {Object|null} - { suspendedAt, expiresAt } or null
+   */
+  getSession(clientId) {
+    throw notImplemented(this, 'getSession');
+  }
+
+  /**
+   * Forget a detached session
+   * @param {string} clientId - Client identifier
+   */
+  deleteSession(clientId) {
+    throw notImplemented(this, 'deleteSession');
+  }
+
+  /**
+   * List detached sessions
+   * @returns {Array} - [[clientId, { suspendedAt, expiresAt }]]
+   */
+  listSessions() {
+    throw notImplemented(this, 'listSessions');
+  }
+
+  /**
+   * Get storage statistics
+   * @returns {Object} - { backend, durable, ... }
+   */
+  getStats() {
+    return { backend: this.backend, durable: this.durable };
+  }
+
+  /**
+   * Release files or connections held by the backend
+   */
+  close() {}
+}
+
+/**
+ * Build the error thrown by interface methods a backend left out
+ * @param {StorageAdapter} adapter - Adapter that was called
+ * @param {string} method - Method name
+ * @returns {Error} - Error to throw
+ */
+function notImplemented(adapter, method) {
+  return new Error(`${adapter.constructor.name} does not implement ${method}()`);
+}
+
+module.exports = StorageAdapter;
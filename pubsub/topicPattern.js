@@ -0,0 +1,153 @@
+/**
+ * Topic Pattern Matching
+ *
+ * Topics are hierarchical, with levels separated by '.' (e.g. 'orders.us.east').
+ * Subscriptions may use NATS/MQTT-style wildcards:
+ * - '*' matches exactly one level ('orders.*' matches 'orders.us' but not 'orders.us.east')
+ * - '>' matches one or more trailing levels and must be the last token ('orders.>')
+ */
+
+const TOKEN_SEPARATOR = '.';
+const SINGLE_LEVEL_WILDCARD = '*';
+const MULTI_LEVEL_WILDCARD = '>';
+
+/**
+ * Check whether a subscription name contains wildcard tokens
+ * @param {string} name - Topic name or pattern
+ * @returns {boolean} - True if the name is a pattern
+ */
+function isPattern(name) {
+  if (typeof name !== 'string') {
+    return false;
+  }
+
+  return name.split(TOKEN_SEPARATOR).some(token =>
+    token === SINGLE_LEVEL_WILDCARD || token === MULTI_LEVEL_WILDCARD
+  );
+}
+
+/**
+ * Validate a concrete topic name
+ * Names need at least one character per level and no wildcard levels, which
+ * also rules out '.' and '..'
+ * @param {string} name - Topic name
+ * @returns {boolean} - True if the name may be used for a topic
+ */
+function isValidTopicName(name) {
+  if (typeof name !== 'string' || name.length === 0 || isPattern(name)) {
+    return false;
+  }
+
+  return name.split(TOKEN_SEPARATOR).every(token => token.length > 0);
+}
+
+/**
+ * Validate a subscription pattern
+ * @param {string} pattern - Pattern to validate
+ * @returns {boolean} - True if the pattern is well-formed
+ */
+function isValidPattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.length === 0) {
+    return false;
+  }
+
+  const tokens = pattern.split(TOKEN_SEPARATOR);
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    // Empty levels ('orders..us') are never valid
+    if (token.length === 0) {
+      return false;
+    }
+
+    // '>' is only allowed as the final token
+    if (token === MULTI_LEVEL_WILDCARD && i !== tokens.length - 1) {
+      return false;
+    }
+
+    // Wildcards must occupy a whole level ('ord*' is not a wildcard)
+    if (token !== SINGLE_LEVEL_WILDCARD && token !== MULTI_LEVEL_WILDCARD &&
+        (token.includes(SINGLE_LEVEL_WILDCARD) || token.includes(MULTI_LEVEL_WILDCARD))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Check whether a concrete topic name matches a pattern
+ * @param {string} pattern - Subscription pattern
+ * @param {string} topicName - Concrete topic name
+ * @returns {boolean} - True if the topic matches
+ */
+function matchTopic(pattern, topicName) {
+  const patternTokens = pattern.split(TOKEN_SEPARATOR);
+  const topicTokens = topicName.split(TOKEN_SEPARATOR);
+
+  for (let i = 0; i < patternTokens.length; i++) {
+    const token = patternTokens[i];
+
+    if (token === MULTI_LEVEL_WILDCARD) {
+      // '>' needs at least one remaining level
+      return topicTokens.length > i;
+    }
+
+    if (i >= topicTokens.length) {
+      return false;
+    }
+
+    if (token !== SINGLE_LEVEL_WILDCARD && token !== topicTokens[i]) {
+      return false;
+    }
+  }
+
+  return patternTokens.length === topicTokens.length;
+}
+
+/**
+ * Check whether every topic matched by one pattern is also matched by another
+ * Used to decide if a permission granted on a pattern covers a subscription pattern
+ * @param {string} pattern - Granting pattern (e.g. 'orders.>')
+ * @param {string} subject - Topic name or subscription pattern to check
+ * @returns {boolean} - True if pattern covers subject
+ */
+function coversPattern(pattern, subject) {
+  const patternTokens = pattern.split(TOKEN_SEPARATOR);
+  const subjectTokens = subject.split(TOKEN_SEPARATOR);
+
+  for (let i = 0; i < patternTokens.length; i++) {
+    const token = patternTokens[i];
+
+    if (token === MULTI_LEVEL_WILDCARD) {
+      return subjectTokens.length > i;
+    }
+
+    if (i >= subjectTokens.length) {
+      return false;
+    }
+
+    const subjectToken = subjectTokens[i];
+    if (token === SINGLE_LEVEL_WILDCARD) {
+      // '*' cannot cover an open-ended '>'
+      if (subjectToken === MULTI_LEVEL_WILDCARD) {
+        return false;
+      }
+      continue;
+    }
+
+    if (token !== subjectToken) {
+      return false;
+    }
+  }
+
+  return patternTokens.length === subjectTokens.length;
+}
+
+module.exports = {
+  isPattern,
+  isValidTopicName,
+  isValidPattern,
+  matchTopic,
+  coversPattern
+};
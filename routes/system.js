@@ -7,13 +7,18 @@ const express = require('express');
  * - GET /health - Health check
  * - GET /stats - System statistics
  * - GET /info - System information
+ * - GET /metrics - Prometheus metrics
  */
 
 class SystemRoutes {
-  constructor(pubsubEngine, wsHandler, logger) {
+  constructor(pubsubEngine, wsHandler, logger, metrics = null, rateLimiter = null, eventStreams = null, longPoll = null) {
     this.pubsubEngine = pubsubEngine;
     this.wsHandler = wsHandler;
     this.logger = logger;
+    this.metrics = metrics;
+    this.rateLimiter = rateLimiter;
+    this.eventStreams = eventStreams;
+    this.longPoll = longPoll;
     this.router = express.Router();
     this.startTime = Date.now();
     
@@ -29,12 +34,16 @@ class SystemRoutes {
     
     // System information
     this.router.get('/info', this.getInfo.bind(this));
+
+    // Prometheus scrape endpoint
+    this.router.get('/metrics', this.getMetrics.bind(this));
   }
 
   /**
    * GET /health
    * Health check endpoint
    * Returns: { "uptime_sec": 123, "topics": 2, "subscribers": 4 }
+   * (subscribers include WebSocket, Server-Sent Events and long-poll subscriptions)
    */
   async getHealth(req, res) {
     try {
@@ -81,14 +90,32 @@ class SystemRoutes {
           platform: process.platform
         },
         topics: pubsubStats.topics,
+        patterns: pubsubStats.patterns,
         total_subscribers: pubsubStats.totalSubscribers,
         total_messages: pubsubStats.totalMessages,
+        total_expired: pubsubStats.totalExpired,
         websocket: {
           total_clients: wsStats.totalClients || 0,
           connection_counter: wsStats.connectionCounter || 0,
           active_connections: wsStats.totalClients || 0
         },
+        event_streams: this.eventStreams
+          ? this.eventStreams.getStats()
+          : { activeStreams: 0, totalStreams: 0, topics: {} },
+        poll_consumers: this.longPoll
+          ? this.longPoll.getStats()
+          : { activeConsumers: 0, waitingFetches: 0, totalConsumers: 0, topics: {} },
         queues: pubsubStats.queues, // Include queue statistics
+        acks: pubsubStats.acks,
+        dedup: pubsubStats.dedup,
+        schemas: pubsubStats.schemas,
+        scheduled: pubsubStats.scheduled,
+        requests: pubsubStats.requests,
+        sessions: pubsubStats.sessions,
+        rate_limits: this.rateLimiter ? this.rateLimiter.getStats() : { enabled: false },
+        cluster: pubsubStats.cluster || { enabled: false },
+        storage: pubsubStats.storage,
+        persistence: pubsubStats.persistence || { enabled: false },
         ts: new Date().toISOString()
       };
 
@@ -107,6 +134,36 @@ class SystemRoutes {
     }
   }
 
+  /**
+   * GET /metrics
+   * Prometheus text exposition of counters, gauges and latency histograms
+   */
+  async getMetrics(req, res) {
+    if (!this.metrics) {
+      return res.status(404).json({
+        error: 'NOT_FOUND',
+        message: 'Metrics are not enabled',
+        ts: new Date().toISOString()
+      });
+    }
+
+    try {
+      res.set('Content-Type', this.metrics.contentType);
+      res.send(this.metrics.render());
+    } catch (error) {
+      this.logger.error('Error rendering metrics', {
+        error: error.message,
+        stack: error.stack
+      });
+
+      res.status(500).json({
+        error: 'INTERNAL',
+        message: 'Failed to render metrics',
+        ts: new Date().toISOString()
+      });
+    }
+  }
+
   /**
    * GET /info
    * System information endpoint
@@ -125,16 +182,48 @@ class SystemRoutes {
           'Topic-based message routing',
           'Fan-out delivery',
           'Topic isolation',
+          'Wildcard subscriptions',
           'Message replay support',
           'Backpressure handling',
+          'At-least-once delivery with acks',
+          'Consumer groups',
+          'Subscription filters',
+          'Publisher deduplication',
+          'Delayed and scheduled publishing',
+          'Message TTL',
+          'Per-topic settings',
+          'Payload schemas',
+          'Retained topics',
+          'Log-compacted topics',
+          'Request/reply',
+          'Persistent sessions',
+          'Rate limiting',
+          'Pluggable storage backends',
+          'Clustering',
+          'Prometheus metrics',
           'WebSocket protocol',
+          'Server-Sent Events',
+          'HTTP long-polling',
           'REST API management'
         ],
         configuration: {
           max_messages_per_topic: this.pubsubEngine.maxMessagesPerTopic,
           max_queue_size: this.pubsubEngine.maxQueueSize,
           backpressure_policy: this.pubsubEngine.backpressurePolicy,
-          heartbeat_interval_ms: this.pubsubEngine.heartbeatInterval
+          drain_high_water_mark: this.pubsubEngine.drainHighWaterMark,
+          ack_timeout_ms: this.pubsubEngine.ackTimeout,
+          max_delivery_attempts: this.pubsubEngine.maxDeliveryAttempts,
+          group_strategy: this.pubsubEngine.groupStrategy,
+          session_grace_period_ms: this.pubsubEngine.sessionGracePeriod,
+          dedup_window_size: this.pubsubEngine.dedupWindowSize,
+          dedup_window_ms: this.pubsubEngine.dedupWindowMs,
+          max_schedule_delay_ms: this.pubsubEngine.maxScheduleDelay,
+          max_scheduled_messages: this.pubsubEngine.maxScheduledMessages,
+          tombstone_retention_ms: this.pubsubEngine.tombstoneRetention,
+          request_timeout_ms: this.pubsubEngine.requestTimeout,
+          max_request_timeout_ms: this.pubsubEngine.maxRequestTimeout,
+          heartbeat_interval_ms: this.pubsubEngine.heartbeatInterval,
+          storage_backend: this.pubsubEngine.storage.backend
         },
         status: {
           uptime_sec: uptime,
@@ -147,16 +236,24 @@ class SystemRoutes {
         endpoints: {
           rest: {
             topics: '/topics',
+            messages: '/topics/:name/messages',
+            events: '/topics/:name/events',
+            consumers: '/topics/:name/consumers',
+            scheduled: '/topics/:name/scheduled',
+            retained: '/topics/:name/retained',
+            schemas: '/topics/:name/schemas',
+            requests: '/topics/:name/requests',
             health: '/health',
             stats: '/stats',
-            info: '/info'
+            info: '/info',
+            metrics: '/metrics'
           },
           websocket: '/ws'
         },
         protocol: {
           websocket: {
-            message_types: ['subscribe', 'unsubscribe', 'publish', 'ping'],
-            response_types: ['ack', 'event', 'error', 'pong', 'info']
+            message_types: ['subscribe', 'unsubscribe', 'publish', 'request', 'ack', 'nack', 'ping'],
+            response_types: ['ack', 'event', 'reply', 'error', 'pong', 'info']
           }
         },
         ts: new Date().toISOString()
@@ -1,5 +1,7 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
+const { isPattern, isValidTopicName } = require('../pubsub/topicPattern');
+const { toJSONMessage, fromJSONMessage } = require('../pubsub/messageCodec');
 
 /**
  * Topic Management REST API Routes
@@ -7,14 +9,101 @@ const { v4: uuidv4 } = require('uuid');
  * Endpoints:
  * - POST /topics - Create a new topic
  * - DELETE /topics/:name - Delete a topic
+ * - PATCH /topics/:name - Change a topic's settings
  * - GET /topics - List all topics
  * - GET /topics/:name - Get topic details
+ * - POST /topics/:name/messages - Publish one message or a batch
+ * - GET /topics/:name/messages - Page through retained messages
+ * - GET /topics/:name/events - Stream events as Server-Sent Events
+ * - POST /topics/:name/consumers - Register a long-poll consumer
+ * - GET /topics/:name/consumers/:id/messages - Wait for a long-poll consumer's next messages
+ * - POST /topics/:name/consumers/:id/ack - Acknowledge a long-poll consumer's messages
+ * - DELETE /topics/:name/consumers/:id - Remove a long-poll consumer
+ * - GET /topics/:name/scheduled - List messages waiting for their delivery time
+ * - DELETE /topics/:name/scheduled/:id - Cancel a scheduled message
+ * - POST /topics/:name/schemas - Register a new payload schema version
+ * - GET /topics/:name/schemas - List a topic's schema versions
+ * - GET /topics/:name/schemas/:version - Get one schema version (or 'latest')
  */
 
+const MAX_BATCH_SIZE = 1000;
+const DEFAULT_PAGE_SIZE = 50;
+
+// Topic settings accepted by POST /topics and PATCH /topics/:name
+const SETTING_FIELDS = {
+  max_messages: 'maxMessages',
+  backpressure_policy: 'backpressurePolicy',
+  max_subscribers: 'maxSubscribers',
+  max_message_bytes: 'maxMessageBytes',
+  ttl_ms: 'ttlMs',
+  retain: 'retain',
+  compact: 'compact'
+};
+
+/**
+ * Pick the topic settings out of a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Settings under their engine names
+ */
+function parseSettings(body) {
+  const settings = {};
+  for (const [field, name] of Object.entries(SETTING_FIELDS)) {
+    if (body[field] !== undefined) {
+      settings[name] = body[field];
+    }
+  }
+  return settings;
+}
+
+/**
+ * Format effective topic settings for responses
+ * @param {Object} settings - Settings under their engine names
+ * @returns {Object} - Settings under their API field names
+ */
+function formatSettings(settings) {
+  const formatted = {};
+  for (const [field, name] of Object.entries(SETTING_FIELDS)) {
+    formatted[field] = settings[name];
+  }
+  return formatted;
+}
+
+/**
+ * Format a registered schema version for responses
+ * @param {Object} entry - Schema version from the engine
+ * @returns {Object} - JSON-safe entry
+ */
+function formatSchema(entry) {
+  return {
+    version: entry.version,
+    compatibility: entry.compatibility,
+    schema: entry.schema,
+    registered_at: new Date(entry.registeredAt).toISOString()
+  };
+}
+
+/**
+ * Format a scheduled entry for responses
+ * @param {Object} entry - Scheduled entry from the engine
+ * @returns {Object} - JSON-safe entry
+ */
+function formatScheduled(entry) {
+  return {
+    schedule_id: entry.scheduleId,
+    message: toJSONMessage(entry.message),
+    deliver_at: new Date(entry.deliverAt).toISOString(),
+    scheduled_at: new Date(entry.scheduledAt).toISOString()
+  };
+}
+
 class TopicRoutes {
-  constructor(pubsubEngine, logger) {
+  constructor(pubsubEngine, logger, authenticator = null, rateLimiter = null, eventStreams = null, longPoll = null) {
     this.pubsubEngine = pubsubEngine;
     this.logger = logger;
+    this.authenticator = authenticator;
+    this.rateLimiter = rateLimiter;
+    this.eventStreams = eventStreams;
+    this.longPoll = longPoll;
     this.router = express.Router();
     
     this.setupRoutes();
@@ -26,17 +115,140 @@ class TopicRoutes {
     
     // Delete a topic
     this.router.delete('/:name', this.deleteTopic.bind(this));
+
+    // Change a topic's settings
+    this.router.patch('/:name', this.updateTopic.bind(this));
     
     // List all topics
     this.router.get('/', this.listTopics.bind(this));
     
     // Get topic details
     this.router.get('/:name', this.getTopic.bind(this));
+
+    // Publish messages
+    this.router.post('/:name/messages', this.publishMessages.bind(this));
+
+    // Page through stored messages
+    this.router.get('/:name/messages', this.getMessages.bind(this));
+
+    // Stream events to consumers that cannot use WebSockets
+    this.router.get('/:name/events', this.streamEvents.bind(this));
+
+    // Long-poll consumers for clients that can only make plain HTTP requests
+    this.router.post('/:name/consumers', this.registerConsumer.bind(this));
+    this.router.get('/:name/consumers/:consumerId/messages', this.fetchConsumer.bind(this));
+    this.router.post('/:name/consumers/:consumerId/ack', this.ackConsumer.bind(this));
+    this.router.delete('/:name/consumers/:consumerId', this.deleteConsumer.bind(this));
+
+    // Publish a request and wait for its reply
+    this.router.post('/:name/requests', this.sendRequest.bind(this));
+
+    // Inspect and clear the values of a retained topic
+    this.router.get('/:name/retained', this.getRetained.bind(this));
+    this.router.delete('/:name/retained', this.clearRetained.bind(this));
+    this.router.delete('/:name/retained/:key', this.clearRetained.bind(this));
+
+    // Register and read payload schemas
+    this.router.post('/:name/schemas', this.registerSchema.bind(this));
+    this.router.get('/:name/schemas', this.listSchemas.bind(this));
+    this.router.get('/:name/schemas/:version', this.getSchema.bind(this));
+
+    // Inspect and cancel delayed publishes
+    this.router.get('/:name/scheduled', this.listScheduled.bind(this));
+    this.router.delete('/:name/scheduled/:scheduleId', this.cancelScheduled.bind(this));
+  }
+
+  /**
+   * Check the authenticated identity's permission on a topic
+   * @param {Object} req - Express request (req.identity set by the auth middleware)
+   * @param {string} permission - 'publish', 'subscribe' or 'admin'
+   * @param {string} topicName - Name of the topic
+   * @returns {boolean} - True if allowed (always when auth is not configured)
+   */
+  isAuthorized(req, permission, topicName) {
+    if (!this.authenticator) {
+      return true;
+    }
+    return this.authenticator.authorize(req.identity, permission, topicName);
+  }
+
+  /**
+   * Schemas are readable by anyone who may publish to or subscribe to the topic
+   * @param {Object} req - Express request
+   * @param {string} topicName - Name of the topic
+   * @returns {boolean} - True if allowed
+   */
+  canReadSchemas(req, topicName) {
+    return this.isAuthorized(req, 'publish', topicName) || this.isAuthorized(req, 'subscribe', topicName);
+  }
+
+  /**
+   * Charge a publish against the caller's rate limits
+   * REST callers are counted by their identity's client_id, or their IP when
+   * they have none; replies to request inboxes skip the topic limit
+   * @param {Object} req - Express request
+   * @param {string} topicName - Name of the topic
+   * @param {number} cost - Number of messages being published
+   * @returns {Object} - { allowed } or the limiter's refusal
+   */
+  takeRateLimit(req, topicName, cost) {
+    if (!this.rateLimiter) {
+      return { allowed: true };
+    }
+
+    const identity = req.identity;
+    return this.rateLimiter.take({
+      client: (identity && identity.clientId) || req.ip,
+      apiKey: identity && identity.type === 'api_key' ? identity.principal : undefined,
+      topic: this.pubsubEngine.isInbox(topicName) ? undefined : topicName
+    }, cost);
+  }
+
+  /**
+   * Send a 429 response with the time to wait before retrying
+   * @param {Object} res - Express response
+   * @param {Object} result - Refusal from the rate limiter
+   */
+  rateLimited(res, result) {
+    res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+    return res.status(429).json({
+      error: 'RATE_LIMITED',
+      message: result.reason,
+      retry_after_ms: result.retryAfterMs
+    });
+  }
+
+  /**
+   * Send a 422 response for a payload that fails the topic's schema
+   * @param {Object} res - Express response
+   * @param {Object} violation - { reason, path, version } from the engine
+   * @param {number} index - Position of the message in a batch, if any
+   */
+  schemaViolation(res, violation, index) {
+    return res.status(422).json({
+      error: 'SCHEMA_VIOLATION',
+      message: index !== undefined ? `Message at index ${index}: ${violation.reason}` : violation.reason,
+      path: violation.path,
+      schema_version: violation.version
+    });
+  }
+
+  /**
+   * Send a 403 response
+   * @param {Object} res - Express response
+   * @param {string} message - Error message
+   */
+  forbidden(res, message) {
+    return res.status(403).json({
+      error: 'FORBIDDEN',
+      message
+    });
   }
 
   /**
    * POST /topics
-   * Create a new topic
+   * Create a new topic, optionally overriding its settings
+   * ({ name, max_messages, backpressure_policy, max_subscribers, max_message_bytes, ttl_ms, retain, compact })
    */
   async createTopic(req, res) {
     try {
@@ -53,6 +265,43 @@ class TopicRoutes {
       // Sanitize topic name
       const topicName = name.trim();
 
+      // Wildcard tokens are reserved for subscriptions
+      if (isPattern(topicName)) {
+        return res.status(400).json({
+          error: 'BAD_REQUEST',
+          message: "Topic name must not contain wildcard levels ('*' or '>')"
+        });
+      }
+
+      // Every level needs a name; this also rules out '.' and '..'
+      if (!isValidTopicName(topicName)) {
+        return res.status(400).json({
+          error: 'BAD_REQUEST',
+          message: "Topic name must not have empty levels (leading, trailing or repeated '.')"
+        });
+      }
+
+      // Request inboxes live in their own namespace
+      if (this.pubsubEngine.isInbox(topicName)) {
+        return res.status(400).json({
+          error: 'BAD_REQUEST',
+          message: "Topic names starting with '_INBOX.' are reserved for request replies"
+        });
+      }
+
+      const settings = parseSettings(req.body);
+      const invalidReason = this.pubsubEngine.validateTopicSettings(settings);
+      if (invalidReason) {
+        return res.status(400).json({
+          error: 'BAD_REQUEST',
+          message: invalidReason
+        });
+      }
+
+      if (!this.isAuthorized(req, 'admin', topicName)) {
+        return this.forbidden(res, `Not allowed to create topic '${topicName}'`);
+      }
+
       // Check if topic already exists
       if (this.pubsubEngine.topics.has(topicName)) {
         return res.status(409).json({
@@ -62,17 +311,19 @@ class TopicRoutes {
       }
 
       // Create the topic
-      const created = this.pubsubEngine.createTopic(topicName);
+      const created = this.pubsubEngine.createTopic(topicName, settings);
       
       if (created) {
         this.logger.info(`Topic created: ${topicName}`, {
           topic: topicName,
+          settings,
           ip: req.ip
         });
 
         res.status(201).json({
           status: 'created',
           topic: topicName,
+          settings: formatSettings(this.pubsubEngine.getTopic(topicName).settings),
           ts: new Date().toISOString()
         });
       } else {
@@ -113,6 +364,10 @@ class TopicRoutes {
 
       const topicName = name.trim();
 
+      if (!this.isAuthorized(req, 'admin', topicName)) {
+        return this.forbidden(res, `Not allowed to delete topic '${topicName}'`);
+      }
+
       // Check if topic exists
       if (!this.pubsubEngine.topics.has(topicName)) {
         return res.status(404).json({
@@ -162,13 +417,97 @@ class TopicRoutes {
     }
   }
 
+  /**
+   * PATCH /topics/:name
+   * Change some of a topic's settings; null resets a setting to the server default
+   */
+  async updateTopic(req, res) {
+    try {
+      const topicName = req.params.name.trim();
+
+      if (!this.isAuthorized(req, 'admin', topicName)) {
+        return this.forbidden(res, `Not allowed to update topic '${topicName}'`);
+      }
+
+      const body = req.body;
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return res.status(400).json({
+          error: 'BAD_REQUEST',
+          message: 'Request body must be an object of topic settings'
+        });
+      }
+
+      const unknown = Object.keys(body).filter(field => !Object.prototype.hasOwnProperty.call(SETTING_FIELDS, field));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: 'BAD_REQUEST',
+          message: `Unknown topic settings: ${unknown.join(', ')}`
+        });
+      }
+
+      const changes = parseSettings(body);
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({
+          error: 'BAD_REQUEST',
+          message: `Give at least one of: ${Object.keys(SETTING_FIELDS).join(', ')}`
+        });
+      }
+
+      const result = this.pubsubEngine.updateTopicSettings(topicName, changes);
+      if (!result.success) {
+        if (result.error === 'TOPIC_NOT_FOUND') {
+          return res.status(404).json({
+            error: 'TOPIC_NOT_FOUND',
+            message: `Topic '${topicName}' not found`
+          });
+        }
+        if (result.error === 'INVALID_SETTINGS') {
+          return res.status(400).json({
+            error: 'BAD_REQUEST',
+            message: result.reason
+          });
+        }
+        return res.status(500).json({
+          error: result.error,
+          message: `Failed to update topic '${topicName}'`
+        });
+      }
+
+      this.logger.info(`Topic updated: ${topicName}`, {
+        topic: topicName,
+        changes,
+        ip: req.ip
+      });
+
+      res.json({
+        status: 'updated',
+        topic: topicName,
+        settings: formatSettings(result.settings),
+        ts: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error('Error updating topic', {
+        error: error.message,
+        stack: error.stack,
+        params: req.params,
+        body: req.body
+      });
+
+      res.status(500).json({
+        error: 'INTERNAL',
+        message: 'Internal server error'
+      });
+    }
+  }
+
   /**
    * GET /topics
-   * List all topics with subscriber counts
+   * List the topics the caller may subscribe to, with subscriber counts
    */
   async listTopics(req, res) {
     try {
-      const topics = this.pubsubEngine.getAllTopics();
+      const topics = this.pubsubEngine.getAllTopics()
+        .filter(topic => this.isAuthorized(req, 'subscribe', topic.name));
       
       // Format response
       const response = {
@@ -214,6 +553,10 @@ class TopicRoutes {
 
       const topicName = name.trim();
 
+      if (!this.isAuthorized(req, 'subscribe', topicName)) {
+        return this.forbidden(res, `Not allowed to read topic '${topicName}'`);
+      }
+
       // Get topic information
       const topic = this.pubsubEngine.getTopic(topicName);
       
@@ -229,6 +572,20 @@ class TopicRoutes {
           name: topic.name,
           subscribers: topic.subscribers,
           messages: topic.messages,
+          earliest_offset: topic.earliestOffset,
+          next_offset: topic.nextOffset,
+          scheduled: topic.scheduled,
+          settings: formatSettings(topic.settings),
+          schema_version: topic.schemaVersion,
+          retained: topic.retained,
+          expired: topic.expired,
+          groups: topic.groups.map(group => ({
+            name: group.name,
+            members: group.members.map(member => ({
+              client_id: member.clientId,
+              queue_size: member.queueSize
+            }))
+          })),
           created_at: new Date(topic.createdAt).toISOString()
         },
         ts: new Date().toISOString()
@@ -247,6 +604,1144 @@ class TopicRoutes {
     }
   }
 
+  /**
+   * POST /topics/:name/messages
+   * Publish a single message ({ id, key, payload, headers, content_type }) or a batch
+   * ({ messages: [...] } or an array). Binary payloads are sent base64-encoded
+   * with "encoding": "base64". ?delay_ms=<ms> or ?deliver_at=<ISO 8601 or epoch
+   * ms> holds the whole request until that time.
+   */
+  async publishMessages(req, res) {
+    try {
+      const topicName = req.params.name.trim();
+      const isInbox = this.pubsubEngine.isInbox(topicName);
+
+      // Replies to a request inbox need no grant; the inbox name is the capability
+      if (!isInbox && !this.isAuthorized(req, 'publish', topicName)) {
+        return this.forbidden(res, `Not allowed to publish to topic '${topicName}'`);
+      }
+
+      if (!this.pubsubEngine.topics.has(topicName) && !(isInbox && this.pubsubEngine.hasInbox(topicName))) {
+        return res.status(404).json({
+          error: 'TOPIC_NOT_FOUND',
+          message: `Topic '${topicName}' not found`
+        });
+      }
+
+      const body = req.body;
+      const isBatch = Array.isArray(body) || Array.isArray(body && body.messages);
+      const messages = isBatch ? (Array.isArray(body) ? body : body.messages) : [body];
+
+      if (messages.length === 0 || messages.length > MAX_BATCH_SIZE) {
+        return res.status(400).json({
+          error: 'BAD_REQUEST',
+          message: `A batch must contain between 1 and ${MAX_BATCH_SIZE} messages`
+        });
+      }
+
+      // One delivery time for the whole request
+      let schedule = null;
+      if (req.query.deliver_at !== undefined || req.query.delay_ms !== undefined) {
+        if (isInbox) {
+          return res.status(400).json({
+            error: 'BAD_REQUEST',
+            message: 'Replies to a request inbox cannot be delayed'
+          });
+        }
+
+        const deliverAt = req.query.deliver_at;
+        const resolved = this.pubsubEngine.resolveDeliverAt({
+          deliverAt: /^\d+$/.test(deliverAt) ? Number(deliverAt) : deliverAt,
+          delayMs: req.query.delay_ms !== undefined ? Number(req.query.delay_ms) : undefined
+        });
+        if (resolved.error) {
+          return res.status(400).json({
+            error: 'BAD_REQUEST',
+            message: resolved.error
+          });
+        }
+        schedule = { deliverAt: resolved.deliverAt };
+      }
+
+      // Validate the whole batch before publishing any of it
+      const toPublish = [];
+      for (let i = 0; i < messages.length; i++) {
+        const message = messages[i] && typeof messages[i] === 'object'
+          ? fromJSONMessage({ ...messages[i], id: messages[i].id || uuidv4() })
+          : messages[i];
+
+        const reason = this.pubsubEngine.validateMessage(message) ||
+          this.pubsubEngine.checkMessageKey(topicName, message);
+        if (reason) {
+          return res.status(400).json({
+            error: 'BAD_REQUEST',
+            message: isBatch ? `Message at index ${i}: ${reason}` : reason
+          });
+        }
+
+        const sizeReason = this.pubsubEngine.checkMessageSize(topicName, message);
+        if (sizeReason) {
+          return res.status(413).json({
+            error: 'MESSAGE_TOO_LARGE',
+            message: isBatch ? `Message at index ${i}: ${sizeReason}` : sizeReason
+          });
+        }
+
+        const violation = this.pubsubEngine.checkMessageSchema(topicName, message);
+        if (violation) {
+          return this.schemaViolation(res, violation, isBatch ? i : undefined);
+        }
+        toPublish.push(message);
+      }
+
+      const limit = this.takeRateLimit(req, topicName, toPublish.length);
+      if (!limit.allowed) {
+        return this.rateLimited(res, limit);
+      }
+
+      const results = toPublish.map(message => {
+        const result = schedule
+          ? this.pubsubEngine.schedulePublish(topicName, message, schedule)
+          : this.pubsubEngine.publish(topicName, message);
+        if (!result.success) {
+          return { id: message.id, status: 'error', error: result.error };
+        }
+
+        if (result.scheduleId) {
+          return {
+            id: message.id,
+            status: result.duplicate ? 'duplicate' : 'scheduled',
+            schedule_id: result.scheduleId,
+            deliver_at: new Date(result.deliverAt).toISOString()
+          };
+        }
+        if (result.duplicate) {
+          return { id: message.id, status: 'duplicate', offset: result.offset };
+        }
+
+        return {
+          id: message.id,
+          status: 'ok',
+          offset: result.offset,
+          subscribers: result.subscribers,
+          delivered: result.deliveryResults.filter(r => r.success).length,
+          failed: result.deliveryResults.filter(r => !r.success).length
+        };
+      });
+
+      const published = results.filter(result => result.status === 'ok').length;
+      const scheduled = results.filter(result => result.status === 'scheduled').length;
+      const duplicates = results.filter(result => result.status === 'duplicate').length;
+      const failed = results.length - published - scheduled - duplicates;
+
+      this.logger.info(`Messages published via REST: ${topicName}`, {
+        topic: topicName,
+        published,
+        scheduled,
+        duplicates,
+        failed,
+        ip: req.ip
+      });
+
+      if (!isBatch) {
+        const [result] = results;
+        if (result.status === 'duplicate') {
+          return res.status(200).json({
+            ...result,
+            topic: topicName,
+            ts: new Date().toISOString()
+          });
+        }
+        if (result.status === 'error') {
+          if (result.error === 'SCHEDULE_FULL') {
+            return res.status(503).json({
+              error: 'SCHEDULE_FULL',
+              message: 'Too many messages are already scheduled'
+            });
+          }
+          return res.status(result.error === 'INVALID_MESSAGE' ? 400 : 500).json({
+            error: result.error === 'INVALID_MESSAGE' ? 'BAD_REQUEST' : result.error,
+            message: `Failed to publish to topic '${topicName}'`
+          });
+        }
+        return res.status(schedule ? 202 : 201).json({
+          ...result,
+          topic: topicName,
+          ts: new Date().toISOString()
+        });
+      }
+
+      // 207 tells the caller to inspect the per-message results
+      res.status(failed > 0 ? 207 : (schedule ? 202 : 201)).json({
+        status: failed === 0 ? 'ok' : 'partial',
+        topic: topicName,
+        published,
+        scheduled,
+        duplicates,
+        failed,
+        results,
+        ts: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error('Error publishing messages', {
+        error: error.message,
+        stack: error.stack,
+        params: req.params
+      });
+
+      res.status(500).json({
+        error: 'INTERNAL',
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * GET /topics/:name/messages?limit=50&before=<offset>&after=<offset>
+   * Page through the ring buffer, oldest first within a page
+   */
+  async getMessages(req, res) {
+    try {
+      const topicName = req.params.name.trim();
+
+      if (!this.isAuthorized(req, 'subscribe', topicName)) {
+        return this.forbidden(res, `Not allowed to read topic '${topicName}'`);
+      }
+
+      const options = { limit: DEFAULT_PAGE_SIZE };
+      for (const field of ['limit', 'before', 'after']) {
+        if (req.query[field] === undefined) {
+          continue;
+        }
+
+        const value = Number(req.query[field]);
+        const min = field === 'limit' ? 1 : 0;
+        if (!Number.isInteger(value) || value < min) {
+          return res.status(400).json({
+            error: 'BAD_REQUEST',
+            message: `${field} must be an integer >= ${min}`
+          });
+        }
+        options[field] = value;
+      }
+
+      const page = this.pubsubEngine.getMessages(topicName, options);
+      if (!page) {
+        return res.status(404).json({
+          error: 'TOPIC_NOT_FOUND',
+          message: `Topic '${topicName}' not found`
+        });
+      }
+
+      const topic = this.pubsubEngine.getTopic(topicName);
+      res.json({
+        topic: topicName,
+        messages: page.messages.map(toJSONMessage),
+        count: page.messages.length,
+        has_more: page.hasMore,
+        earliest_offset: topic.earliestOffset,
+        next_offset: topic.nextOffset,
+        ts: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error('Error getting messages', {
+        error: error.message,
+        stack: error.stack,
+        params: req.params
+      });
+
+      res.status(500).json({
+        error: 'INTERNAL',
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * GET /topics/:name/events
+   * Stream the topic's events as Server-Sent Events. ?last_n=N replays like a
+   * WebSocket subscribe; a Last-Event-ID header (or ?last_event_id= for
+   * clients that cannot set headers) resumes after that offset
+   */
+  async streamEvents(req, res) {
+    try {
+      const topicName = req.params.name.trim();
+
+      if (!this.eventStreams) {
+        return res.status(404).json({
+          error: 'NOT_FOUND',
+          message: 'Event streams are not enabled'
+        });
+      }
+
+      if (isPattern(topicName)) {
+        return res.status(400).json({
+          error: 'BAD_REQUEST',
+          message: 'Event streams subscribe to a single topic, not a pattern'
+        });
+      }
+
+      if (!this.isAuthorized(req, 'subscribe', topicName)) {
+        return this.forbidden(res, `Not allowed to subscribe to topic '${topicName}'`);
+      }
+
+      const options = {};
+      const positions = {
+        last_n: req.query.last_n,
+        last_event_id: req.get('Last-Event-ID') !== undefined ? req.get('Last-Event-ID') : req.query.last_event_id
+      };
+      for (const [field, raw] of Object.entries(positions)) {
+        if (raw === undefined) {
+          continue;
+        }
+
+        const value = Number(raw);
+        if (raw === '' || !Number.isInteger(value) || value < 0) {
+          return res.status(400).json({
+            error: 'BAD_REQUEST',
+            message: `${field} must be a non-negative integer`
+          });
+        }
+        options[field === 'last_n' ? 'lastN' : 'lastEventId'] = value;
+      }
+
+      const result = this.eventStreams.open(req, res, topicName, options);
+      if (result.success) {
+        return;
+      }
+
+      if (result.error === 'TOPIC_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'TOPIC_NOT_FOUND',
+          message: `Topic '${topicName}' not found`
+        });
+      }
+      if (result.error === 'TOPIC_FULL') {
+        return res.status(409).json({
+          error: 'TOPIC_FULL',
+          message: `Topic '${topicName}' already has its maximum of ${result.maxSubscribers} subscribers`
+        });
+      }
+
+      res.status(500).json({
+        error: result.error,
+        message: `Failed to subscribe to topic '${topicName}'`
+      });
+    } catch (error) {
+      this.logger.error('Error opening event stream', {
+        error: error.message,
+        stack: error.stack,
+        params: req.params
+      });
+
+      if (!res.headersSent) {
+        res.status(500).json({
+          error: 'INTERNAL',
+          message: 'Internal server error'
+        });
+      }
+    }
+  }
+
+  /**
+   * POST /topics/:name/consumers
+   * Register a long-poll consumer. The body may set last_n or from_offset to
+   * replay stored messages, a consumer group and a filter, as for a WebSocket
+   * subscribe
+   */
+  async registerConsumer(req, res) {
+    try {
+      const topicName = req.params.name.trim();
+
+      if (!this.longPoll) {
+        return res.status(404).json({
+          error: 'NOT_FOUND',
+          message: 'Long-poll consumers are not enabled'
+        });
+      }
+
+      if (isPattern(topicName)) {
+        return res.status(400).json({
+          error: 'BAD_REQUEST',
+          message: 'Long-poll consumers subscribe to a single topic, not a pattern'
+        });
+      }
+
+      if (!this.isAuthorized(req, 'subscribe', topicName)) {
+        return this.forbidden(res, `Not allowed to subscribe to topic '${topicName}'`);
+      }
+
+      const body = req.body && typeof req.body === 'object' ? req.body : {};
+      const { last_n, from_offset, group, filter } = body;
+      if (last_n !== undefined && from_offset !== undefined) {
+        return res.status(400).json({
+          error: 'BAD_REQUEST',
+          message: 'Only one of last_n and from_offset may be given'
+        });
+      }
+      for (const [field, value] of Object.entries({ last_n, from_offset })) {
+        if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+          return res.status(400).json({
+            error: 'BAD_REQUEST',
+            message: `${field} must be a non-negative integer`
+          });
+        }
+      }
+      if (group !== undefined && (typeof group !== 'string' || group.trim().length === 0)) {
+        return res.status(400).json({
+          error: 'BAD_REQUEST',
+          message: 'group must be a non-empty string'
+        });
+      }
+
+      const result = this.longPoll.register(req, topicName, {
+        lastN: last_n,
+        fromOffset: from_offset,
+        group: group && group.trim(),
+        filter
+      });
+
+      if (result.success) {
+        return res.status(201).json({
+          status: 'registered',
+          topic: topicName,
+          consumer_id: result.consumerId,
+          next_offset: result.nextOffset,
+          ts: new Date().toISOString()
+        });
+      }
+
+      if (result.error === 'TOPIC_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'TOPIC_NOT_FOUND',
+          message: `Topic '${topicName}' not found`
+        });
+      }
+      if (result.error === 'TOPIC_FULL') {
+        return res.status(409).json({
+          error: 'TOPIC_FULL',
+          message: `Topic '${topicName}' already has its maximum of ${result.maxSubscribers} subscribers`
+        });
+      }
+      if (result.error === 'INVALID_FILTER') {
+        return res.status(400).json({
+          error: 'BAD_REQUEST',
+          message: `Invalid filter: ${result.reason}`
+        });
+      }
+      if (result.error === 'OFFSET_OUT_OF_RANGE') {
+        return res.status(400).json({
+          error: 'OFFSET_OUT_OF_RANGE',
+          message: `Offset ${from_offset} is not available for topic '${topicName}'`,
+          earliest_offset: result.earliestOffset,
+          next_offset: result.nextOffset
+        });
+      }
+
+      res.status(500).json({
+        error: 'INTERNAL',
+        message: `Failed to subscribe to topic '${topicName}'`
+      });
+    } catch (error) {
+      this.logger.error('Error registering consumer', {
+        error: error.message,
+        stack: error.stack,
+        params: req.params
+      });
+
+      res.status(500).json({
+        error: 'INTERNAL',
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Look up the long-poll consumer named in the URL, responding with an error
+   * if it does not exist on this topic or the caller may not use it
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Object|null} - Consumer state, or null once an error was sent
+   */
+  findConsumer(req, res) {
+    const topicName = req.params.name.trim();
+    const { consumerId } = req.params;
+
+    if (!this.isAuthorized(req, 'subscribe', topicName)) {
+      this.forbidden(res, `Not allowed to subscribe to topic '${topicName}'`);
+      return null;
+    }
+
+    const consumer = this.longPoll && this.longPoll.getConsumer(consumerId);
+    if (!consumer || consumer.topicName !== topicName) {
+      res.status(404).json({
+        error: 'NOT_FOUND',
+        message: `No consumer '${consumerId}' on topic '${topicName}'`
+      });
+      return null;
+    }
+    return consumer;
+  }
+
+  /**
+   * Respond with a failed long-poll fetch or ack
+   * @param {Object} res - Express response
+   * @param {Object} result - Failure from the long-poll handler
+   * @param {Object} req - Express request
+   */
+  consumerFailed(res, result, req) {
+    const { consumerId } = req.params;
+
+    if (result.error === 'INVALID_CURSOR') {
+      return res.status(400).json({
+        error: 'BAD_REQUEST',
+        message: `cursor is past the last message handed out (${result.lastCursor})`
+      });
+    }
+    if (result.error === 'CONSUMER_CLOSED') {
+      return res.status(410).json({
+        error: 'CONSUMER_CLOSED',
+        message: `Consumer '${consumerId}' was closed: ${result.reason}`,
+        code: result.code,
+        reason: result.reason
+      });
+    }
+
+    res.status(404).json({
+      error: 'NOT_FOUND',
+      message: `No consumer '${consumerId}' on topic '${req.params.name.trim()}'`
+    });
+  }
+
+  /**
+   * GET /topics/:name/consumers/:id/messages?timeout_ms=<ms>&limit=<n>&cursor=<cursor>
+   * Wait up to timeout_ms for messages. cursor acknowledges the previous
+   * batch; unacknowledged messages are returned again
+   */
+  async fetchConsumer(req, res) {
+    try {
+      const consumer = this.findConsumer(req, res);
+      if (!consumer) {
+        return;
+      }
+
+      const options = { owner: req };
+      const fields = { limit: ['limit', 1], timeout_ms: ['timeoutMs', 0], cursor: ['cursor', 0] };
+      for (const [field, [option, min]] of Object.entries(fields)) {
+        if (req.query[field] === undefined) {
+          continue;
+        }
+
+        const value = Number(req.query[field]);
+        if (req.query[field] === '' || !Number.isInteger(value) || value < min || (field === 'limit' && value > MAX_BATCH_SIZE)) {
+          return res.status(400).json({
+            error: 'BAD_REQUEST',
+            message: field === 'limit'
+              ? `limit must be an integer between 1 and ${MAX_BATCH_SIZE}`
+              : `${field} must be a non-negative integer`
+          });
+        }
+        options[option] = value;
+      }
+
+      res.on('close', () => this.longPoll.cancelFetch(consumer.consumerId, req));
+      const result = await this.longPoll.fetch(consumer.consumerId, options);
+      if (!result.success) {
+        return this.consumerFailed(res, result, req);
+      }
+
+      if (!res.writableEnded && !res.destroyed) {
+        res.json({
+          consumer_id: consumer.consumerId,
+          topic: consumer.topicName,
+          messages: result.messages,
+          count: result.messages.length,
+          cursor: result.cursor,
+          redelivered: result.redelivered,
+          ts: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      this.logger.error('Error fetching consumer messages', {
+        error: error.message,
+        stack: error.stack,
+        params: req.params
+      });
+
+      if (!res.headersSent) {
+        res.status(500).json({
+          error: 'INTERNAL',
+          message: 'Internal server error'
+        });
+      }
+    }
+  }
+
+  /**
+   * POST /topics/:name/consumers/:id/ack
+   * Acknowledge every message up to and including { "cursor": N }
+   */
+  async ackConsumer(req, res) {
+    try {
+      const consumer = this.findConsumer(req, res);
+      if (!consumer) {
+        return;
+      }
+
+      const cursor = req.body && req.body.cursor;
+      if (!Number.isInteger(cursor) || cursor < 0) {
+        return res.status(400).json({
+          error: 'BAD_REQUEST',
+          message: 'cursor must be a non-negative integer'
+        });
+      }
+
+      const result = this.longPoll.ack(consumer.consumerId, cursor);
+      if (!result.success) {
+        return this.consumerFailed(res, result, req);
+      }
+
+      res.json({
+        status: 'acknowledged',
+        consumer_id: consumer.consumerId,
+        topic: consumer.topicName,
+        cursor: result.cursor,
+        acknowledged: result.acknowledged,
+        pending: result.pending,
+        ts: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error('Error acknowledging consumer messages', {
+        error: error.message,
+        stack: error.stack,
+        params: req.params
+      });
+
+      res.status(500).json({
+        error: 'INTERNAL',
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * DELETE /topics/:name/consumers/:id
+   * Unsubscribe a long-poll consumer; unacknowledged messages are dropped
+   */
+  async deleteConsumer(req, res) {
+    try {
+      const consumer = this.findConsumer(req, res);
+      if (!consumer) {
+        return;
+      }
+
+      const pending = consumer.pending.length;
+      this.longPoll.remove(consumer.consumerId);
+
+      res.json({
+        status: 'deleted',
+        consumer_id: consumer.consumerId,
+        topic: consumer.topicName,
+        messages_dropped: pending,
+        ts: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error('Error deleting consumer', {
+        error: error.message,
+        stack: error.stack,
+        params: req.params
+      });
+
+      res.status(500).json({
+        error: 'INTERNAL',
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * GET /topics/:name/scheduled
+   * List the topic's scheduled messages in delivery order
+   */
+  async listScheduled(req, res) {
+    try {
+      const topicName = req.params.name.trim();
+
+      if (!this.isAuthorized(req, 'publish', topicName)) {
+        return this.forbidden(res, `Not allowed to view scheduled messages of topic '${topicName}'`);
+      }
+
+      const entries = this.pubsubEngine.getScheduled(topicName);
+      if (!entries) {
+        return res.status(404).json({
+          error: 'TOPIC_NOT_FOUND',
+          message: `Topic '${topicName}' not found`
+        });
+      }
+
+      res.json({
+        topic: topicName,
+        scheduled: entries.map(formatScheduled),
+        count: entries.length,
+        ts: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error('Error listing scheduled messages', {
+        error: error.message,
+        stack: error.stack,
+        params: req.params
+      });
+
+      res.status(500).json({
+        error: 'INTERNAL',
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * DELETE /topics/:name/scheduled/:scheduleId
+   * Cancel a scheduled message before it is published
+   */
+  async cancelScheduled(req, res) {
+    try {
+      const topicName = req.params.name.trim();
+      const { scheduleId } = req.params;
+
+      if (!this.isAuthorized(req, 'publish', topicName)) {
+        return this.forbidden(res, `Not allowed to cancel scheduled messages of topic '${topicName}'`);
+      }
+
+      if (!this.pubsubEngine.topics.has(topicName)) {
+        return res.status(404).json({
+          error: 'TOPIC_NOT_FOUND',
+          message: `Topic '${topicName}' not found`
+        });
+      }
+
+      const entry = this.pubsubEngine.cancelScheduled(topicName, scheduleId);
+      if (!entry) {
+        return res.status(404).json({
+          error: 'NOT_FOUND',
+          message: `No scheduled message '${scheduleId}' on topic '${topicName}'`
+        });
+      }
+
+      this.logger.info(`Scheduled message cancelled: ${topicName}`, {
+        topic: topicName,
+        scheduleId,
+        messageId: entry.message.id,
+        ip: req.ip
+      });
+
+      res.json({
+        status: 'cancelled',
+        topic: topicName,
+        ...formatScheduled(entry),
+        ts: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error('Error cancelling scheduled message', {
+        error: error.message,
+        stack: error.stack,
+        params: req.params
+      });
+
+      res.status(500).json({
+        error: 'INTERNAL',
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * POST /topics/:name/requests?timeout_ms=<ms>
+   * Publish one message as a request and respond with the first reply, or
+   * 504 once the timeout passes. Responders answer by publishing to the
+   * request's reply_to.
+   */
+  async sendRequest(req, res) {
+    try {
+      const topicName = req.params.name.trim();
+
+      if (!this.isAuthorized(req, 'publish', topicName)) {
+        return this.forbidden(res, `Not allowed to publish to topic '${topicName}'`);
+      }
+
+      if (!this.pubsubEngine.topics.has(topicName)) {
+        return res.status(404).json({
+          error: 'TOPIC_NOT_FOUND',
+          message: `Topic '${topicName}' not found`
+        });
+      }
+
+      let timeoutMs;
+      if (req.query.timeout_ms !== undefined) {
+        if (!/^\d+$/.test(req.query.timeout_ms) || Number(req.query.timeout_ms) === 0) {
+          return res.status(400).json({
+            error: 'BAD_REQUEST',
+            message: 'timeout_ms must be a positive integer'
+          });
+        }
+        timeoutMs = Number(req.query.timeout_ms);
+      }
+
+      const body = req.body;
+      const message = body && typeof body === 'object' && !Array.isArray(body)
+        ? fromJSONMessage({ ...body, id: body.id || uuidv4() })
+        : body;
+
+      const reason = this.pubsubEngine.validateMessage(message) ||
+        this.pubsubEngine.checkMessageKey(topicName, message);
+      if (reason) {
+        return res.status(400).json({
+          error: 'BAD_REQUEST',
+          message: reason
+        });
+      }
+
+      const sizeReason = this.pubsubEngine.checkMessageSize(topicName, message);
+      if (sizeReason) {
+        return res.status(413).json({
+          error: 'MESSAGE_TOO_LARGE',
+          message: sizeReason
+        });
+      }
+
+      const violation = this.pubsubEngine.checkMessageSchema(topicName, message);
+      if (violation) {
+        return this.schemaViolation(res, violation);
+      }
+
+      const limit = this.takeRateLimit(req, topicName, 1);
+      if (!limit.allowed) {
+        return this.rateLimited(res, limit);
+      }
+
+      // The engine calls back exactly once, unless the request fails right away
+      const outcome = await new Promise(resolve => {
+        const result = this.pubsubEngine.request(topicName, message, {
+          timeoutMs,
+          owner: req,
+          onReply: resolve
+        });
+        if (!result.success) {
+          resolve(result);
+        } else {
+          res.on('close', () => this.pubsubEngine.cancelRequests(req));
+        }
+      });
+
+      if (outcome.success) {
+        return res.json({
+          status: 'replied',
+          topic: topicName,
+          correlation_id: outcome.correlationId,
+          reply: toJSONMessage(outcome.reply),
+          ts: new Date().toISOString()
+        });
+      }
+
+      const failures = {
+        REQUEST_TIMEOUT: [504, `No reply to request on topic '${topicName}'`],
+        NO_RESPONDERS: [503, `No subscribers to answer requests on topic '${topicName}'`],
+        REQUEST_CANCELLED: [503, `Request on topic '${topicName}' was cancelled`],
+        TOPIC_NOT_FOUND: [404, `Topic '${topicName}' not found`]
+      };
+      const [status, text] = failures[outcome.error] || [500, 'Failed to send request'];
+      res.status(status).json({
+        error: status === 500 ? 'INTERNAL' : outcome.error,
+        message: text,
+        correlation_id: outcome.correlationId
+      });
+    } catch (error) {
+      this.logger.error('Error sending request', {
+        error: error.message,
+        stack: error.stack,
+        params: req.params
+      });
+
+      res.status(500).json({
+        error: 'INTERNAL',
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * GET /topics/:name/retained
+   * List the values a retained topic sends to new subscribers
+   */
+  async getRetained(req, res) {
+    try {
+      const topicName = req.params.name.trim();
+
+      if (!this.isAuthorized(req, 'subscribe', topicName)) {
+        return this.forbidden(res, `Not allowed to read topic '${topicName}'`);
+      }
+
+      const messages = this.pubsubEngine.getRetained(topicName);
+      if (!messages) {
+        return res.status(404).json({
+          error: 'TOPIC_NOT_FOUND',
+          message: `Topic '${topicName}' not found`
+        });
+      }
+
+      res.json({
+        topic: topicName,
+        retain: this.pubsubEngine.getTopic(topicName).settings.retain,
+        messages: messages.map(toJSONMessage),
+        count: messages.length,
+        ts: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error('Error listing retained messages', {
+        error: error.message,
+        stack: error.stack,
+        params: req.params
+      });
+
+      res.status(500).json({
+        error: 'INTERNAL',
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * DELETE /topics/:name/retained[/:key]
+   * Clear every retained value of a topic, or only the one for a key
+   */
+  async clearRetained(req, res) {
+    try {
+      const topicName = req.params.name.trim();
+      const { key } = req.params;
+
+      if (!this.isAuthorized(req, 'publish', topicName)) {
+        return this.forbidden(res, `Not allowed to clear retained messages of topic '${topicName}'`);
+      }
+
+      const cleared = this.pubsubEngine.clearRetained(topicName, key);
+      if (cleared === null) {
+        return res.status(404).json({
+          error: 'TOPIC_NOT_FOUND',
+          message: `Topic '${topicName}' not found`
+        });
+      }
+
+      if (key !== undefined && cleared === 0) {
+        return res.status(404).json({
+          error: 'NOT_FOUND',
+          message: `No retained message for key '${key}' on topic '${topicName}'`
+        });
+      }
+
+      this.logger.info(`Retained messages cleared: ${topicName}`, {
+        topic: topicName,
+        key,
+        cleared,
+        ip: req.ip
+      });
+
+      res.json({
+        status: 'cleared',
+        topic: topicName,
+        key,
+        cleared,
+        ts: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error('Error clearing retained messages', {
+        error: error.message,
+        stack: error.stack,
+        params: req.params
+      });
+
+      res.status(500).json({
+        error: 'INTERNAL',
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * POST /topics/:name/schemas
+   * Register a JSON Schema for the topic's payloads. Body: { schema, compatibility }
+   * where compatibility ('backward' by default) is checked against the latest version
+   */
+  async registerSchema(req, res) {
+    try {
+      const topicName = req.params.name.trim();
+
+      if (!this.isAuthorized(req, 'admin', topicName)) {
+        return this.forbidden(res, `Not allowed to register schemas for topic '${topicName}'`);
+      }
+
+      const body = req.body;
+      if (!body || typeof body !== 'object' || Array.isArray(body) || body.schema === undefined) {
+        return res.status(400).json({
+          error: 'BAD_REQUEST',
+          message: 'Request body must be an object with a schema'
+        });
+      }
+
+      const result = this.pubsubEngine.registerSchema(topicName, body.schema, {
+        compatibility: body.compatibility
+      });
+      if (!result.success) {
+        if (result.error === 'TOPIC_NOT_FOUND') {
+          return res.status(404).json({
+            error: 'TOPIC_NOT_FOUND',
+            message: `Topic '${topicName}' not found`
+          });
+        }
+        if (result.error === 'INVALID_SCHEMA') {
+          return res.status(400).json({
+            error: 'INVALID_SCHEMA',
+            message: result.reason
+          });
+        }
+        if (result.error === 'INCOMPATIBLE_SCHEMA') {
+          return res.status(409).json({
+            error: 'INCOMPATIBLE_SCHEMA',
+            message: result.reason,
+            problems: result.problems
+          });
+        }
+        return res.status(500).json({
+          error: result.error,
+          message: `Failed to register schema for topic '${topicName}'`
+        });
+      }
+
+      if (!result.unchanged) {
+        this.logger.info(`Schema registered: ${topicName}`, {
+          topic: topicName,
+          version: result.version,
+          compatibility: result.compatibility,
+          ip: req.ip
+        });
+      }
+
+      res.status(result.unchanged ? 200 : 201).json({
+        status: result.unchanged ? 'unchanged' : 'registered',
+        topic: topicName,
+        version: result.version,
+        compatibility: result.compatibility,
+        ts: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error('Error registering schema', {
+        error: error.message,
+        stack: error.stack,
+        params: req.params
+      });
+
+      res.status(500).json({
+        error: 'INTERNAL',
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * GET /topics/:name/schemas
+   * List every registered schema version, oldest first
+   */
+  async listSchemas(req, res) {
+    try {
+      const topicName = req.params.name.trim();
+
+      if (!this.canReadSchemas(req, topicName)) {
+        return this.forbidden(res, `Not allowed to read topic '${topicName}'`);
+      }
+
+      const schemas = this.pubsubEngine.getSchemas(topicName);
+      if (!schemas) {
+        return res.status(404).json({
+          error: 'TOPIC_NOT_FOUND',
+          message: `Topic '${topicName}' not found`
+        });
+      }
+
+      res.json({
+        topic: topicName,
+        latest: schemas.length > 0 ? schemas[schemas.length - 1].version : null,
+        versions: schemas.map(formatSchema),
+        ts: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error('Error listing schemas', {
+        error: error.message,
+        stack: error.stack,
+        params: req.params
+      });
+
+      res.status(500).json({
+        error: 'INTERNAL',
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * GET /topics/:name/schemas/:version
+   * Get one schema version; 'latest' names the one publishes are checked against
+   */
+  async getSchema(req, res) {
+    try {
+      const topicName = req.params.name.trim();
+      const { version } = req.params;
+
+      if (!this.canReadSchemas(req, topicName)) {
+        return this.forbidden(res, `Not allowed to read topic '${topicName}'`);
+      }
+
+      if (version !== 'latest' && !/^\d+$/.test(version)) {
+        return res.status(400).json({
+          error: 'BAD_REQUEST',
+          message: "version must be a positive integer or 'latest'"
+        });
+      }
+
+      const schemas = this.pubsubEngine.getSchemas(topicName);
+      if (!schemas) {
+        return res.status(404).json({
+          error: 'TOPIC_NOT_FOUND',
+          message: `Topic '${topicName}' not found`
+        });
+      }
+
+      const entry = version === 'latest'
+        ? schemas[schemas.length - 1]
+        : schemas.find(candidate => candidate.version === Number(version));
+      if (!entry) {
+        return res.status(404).json({
+          error: 'NOT_FOUND',
+          message: `Topic '${topicName}' has no schema version ${version}`
+        });
+      }
+
+      res.json({
+        topic: topicName,
+        ...formatSchema(entry),
+        ts: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error('Error getting schema', {
+        error: error.message,
+        stack: error.stack,
+        params: req.params
+      });
+
+      res.status(500).json({
+        error: 'INTERNAL',
+        message: 'Internal server error'
+      });
+    }
+  }
+
   /**
    * Get the Express router
    */
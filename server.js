@@ -8,7 +8,23 @@ const PubSubEngine = require('./pubsub/pubsub');
 const WebSocketHandler = require('./ws/websocket');
 const TopicRoutes = require('./routes/topics');
 const SystemRoutes = require('./routes/system');
-const { defaultLogger } = require('./utils/logger');
+const Authenticator = require('./utils/auth');
+const RateLimiter = require('./utils/rateLimiter');
+const ClusterNode = require('./cluster/clusterNode');
+const EventStreamHandler = require('./sse/eventStream');
+const LongPollHandler = require('./poll/longPoll');
+const MetricsCollector = require('./utils/metrics');
+const { defaultLogger, redactUrl } = require('./utils/logger');
+const config = require('./config/default');
+
+// Log lines for the storage writes that can emit persistenceError
+const PERSISTENCE_ERROR_MESSAGES = {
+  topic: 'Failed to create topic in storage',
+  message: 'Failed to append message to log',
+  settings: 'Failed to write topic settings',
+  schemas: 'Failed to write topic schemas',
+  retained: 'Failed to write retained values'
+};
 
 /**
  * Main Server Application
@@ -29,7 +45,26 @@ class PubSubServer {
       maxMessagesPerTopic: options.maxMessagesPerTopic || 100,
       maxQueueSize: options.maxQueueSize || 1000,
       backpressurePolicy: options.backpressurePolicy || 'drop_oldest',
+      drainHighWaterMark: options.drainHighWaterMark || 256 * 1024,
+      drainRetryInterval: options.drainRetryInterval || 10,
+      ackTimeout: options.ackTimeout || 30000,
+      maxDeliveryAttempts: options.maxDeliveryAttempts || 5,
+      groupStrategy: options.groupStrategy || 'round_robin',
+      sessionGracePeriod: options.sessionGracePeriod || 30000,
+      dedupWindowSize: options.dedupWindowSize !== undefined ? options.dedupWindowSize : 1000,
+      dedupWindowMs: options.dedupWindowMs !== undefined ? options.dedupWindowMs : 120000,
+      maxScheduleDelay: options.maxScheduleDelay || 7 * 24 * 60 * 60 * 1000,
+      maxScheduledMessages: options.maxScheduledMessages || 10000,
+      tombstoneRetention: options.tombstoneRetention || 24 * 60 * 60 * 1000,
+      requestTimeout: options.requestTimeout || 5000,
+      maxRequestTimeout: options.maxRequestTimeout || 60000,
       heartbeatInterval: options.heartbeatInterval || 30000,
+      storage: options.storage || config.storage,
+      persistence: options.persistence || config.persistence,
+      auth: options.auth || config.security.auth,
+      rateLimit: options.rateLimit || config.security.rateLimit,
+      cluster: options.cluster || config.cluster,
+      polling: options.polling || config.polling,
       ...options
     };
 
@@ -39,6 +74,12 @@ class PubSubServer {
     this.wss = null;
     this.pubsubEngine = null;
     this.wsHandler = null;
+    this.eventStreams = null;
+    this.longPoll = null;
+    this.authenticator = null;
+    this.rateLimiter = null;
+    this.cluster = null;
+    this.metrics = null;
     this.isShuttingDown = false;
   }
 
@@ -54,9 +95,63 @@ class PubSubServer {
         maxMessagesPerTopic: this.options.maxMessagesPerTopic,
         maxQueueSize: this.options.maxQueueSize,
         backpressurePolicy: this.options.backpressurePolicy,
-        heartbeatInterval: this.options.heartbeatInterval
+        drainHighWaterMark: this.options.drainHighWaterMark,
+        drainRetryInterval: this.options.drainRetryInterval,
+        ackTimeout: this.options.ackTimeout,
+        maxDeliveryAttempts: this.options.maxDeliveryAttempts,
+        groupStrategy: this.options.groupStrategy,
+        sessionGracePeriod: this.options.sessionGracePeriod,
+        dedupWindowSize: this.options.dedupWindowSize,
+        dedupWindowMs: this.options.dedupWindowMs,
+        maxScheduleDelay: this.options.maxScheduleDelay,
+        maxScheduledMessages: this.options.maxScheduledMessages,
+        tombstoneRetention: this.options.tombstoneRetention,
+        requestTimeout: this.options.requestTimeout,
+        maxRequestTimeout: this.options.maxRequestTimeout,
+        heartbeatInterval: this.options.heartbeatInterval,
+        storage: this.options.storage,
+        persistence: this.options.persistence
       });
 
+      const storage = this.pubsubEngine.storage;
+      this.logger.info('Storage backend ready', {
+        backend: storage.backend,
+        durable: storage.durable,
+        restoredTopics: this.pubsubEngine.topics.size
+      });
+
+      // Authentication is only enforced when enabled in config
+      if (this.options.auth && this.options.auth.enabled) {
+        this.authenticator = new Authenticator(this.options.auth);
+        this.logger.info('Authentication enabled', {
+          apiKeys: this.authenticator.apiKeys.size,
+          jwt: !!this.authenticator.jwt.secret
+        });
+      }
+
+      // Publishes are only rate limited when enabled in config
+      if (this.options.rateLimit && this.options.rateLimit.enabled) {
+        this.rateLimiter = new RateLimiter(this.options.rateLimit);
+        this.logger.info('Rate limiting enabled', this.rateLimiter.getStats().limits);
+      }
+
+      // Other nodes are only linked when clustering is enabled in config
+      if (this.options.cluster && this.options.cluster.enabled) {
+        // Peers publish without ACL checks, so with auth on they must share a secret
+        if (this.authenticator && !this.options.cluster.secret) {
+          throw new Error('CLUSTER_SECRET is required when authentication is enabled');
+        }
+        this.cluster = new ClusterNode(this.pubsubEngine, this.logger, this.options.cluster);
+      }
+
+      // Create WebSocket handler before the routes that report on it
+      this.wsHandler = new WebSocketHandler(this.pubsubEngine, this.logger, this.authenticator, this.rateLimiter);
+      this.eventStreams = new EventStreamHandler(this.pubsubEngine, this.logger);
+      this.longPoll = new LongPollHandler(this.pubsubEngine, this.logger, this.options.polling);
+
+      // Start counting engine events
+      this.metrics = new MetricsCollector(this.pubsubEngine, this.wsHandler);
+
       // Create Express app
       this.app = express();
       this.setupExpress();
@@ -70,9 +165,6 @@ class PubSubServer {
         path: '/ws'
       });
 
-      // Create WebSocket handler
-      this.wsHandler = new WebSocketHandler(this.pubsubEngine, this.logger);
-
       // Set up WebSocket server
       this.setupWebSocket();
 
@@ -113,11 +205,18 @@ class PubSubServer {
       next();
     });
 
-    // Health check endpoint is handled by SystemRoutes
+    // Health check endpoint is handled by SystemRoutes and stays public; only
+    // event streams, opened by EventSource, may pass credentials as ?token=
+    if (this.authenticator) {
+      this.app.use(this.authenticator.middleware({
+        exclude: ['/health'],
+        allowQuery: req => req.method === 'GET' && /^\/topics\/[^/]+\/events$/.test(req.path)
+      }));
+    }
 
     // API routes
-    const topicRoutes = new TopicRoutes(this.pubsubEngine, this.logger);
-    const systemRoutes = new SystemRoutes(this.pubsubEngine, this.wsHandler, this.logger);
+    const topicRoutes = new TopicRoutes(this.pubsubEngine, this.logger, this.authenticator, this.rateLimiter, this.eventStreams, this.longPoll);
+    const systemRoutes = new SystemRoutes(this.pubsubEngine, this.wsHandler, this.logger, this.metrics, this.rateLimiter, this.eventStreams, this.longPoll);
 
     this.app.use('/topics', topicRoutes.getRouter());
     this.app.use('/', systemRoutes.getRouter());
@@ -136,7 +235,7 @@ class PubSubServer {
       this.logger.error('Unhandled error', {
         error: error.message,
         stack: error.stack,
-        url: req.url,
+        url: redactUrl(req.url),
         method: req.method
       });
 
@@ -184,6 +283,34 @@ class PubSubServer {
       this.logger.logPubSubEvent('topic deleted', topicName);
     });
 
+    this.pubsubEngine.on('topicUpdated', (topicName, settings) => {
+      this.logger.logPubSubEvent('topic updated', topicName, { settings });
+    });
+
+    this.pubsubEngine.on('requestTimeout', (topicName, correlationId, timeoutMs) => {
+      this.logger.logPubSubEvent('request timed out', topicName, { correlationId, timeoutMs });
+    });
+
+    this.pubsubEngine.on('retainedCleared', (topicName, key, cleared) => {
+      this.logger.logPubSubEvent('retained messages cleared', topicName, { key, cleared });
+    });
+
+    this.pubsubEngine.on('schemaRegistered', (topicName, version, compatibility) => {
+      this.logger.logPubSubEvent('schema registered', topicName, { version, compatibility });
+    });
+
+    this.pubsubEngine.on('remoteMessageDelivered', (topicName, message, originNode, deliveryResults) => {
+      this.logger.logPubSubEvent('remote message delivered', topicName, {
+        messageId: message.id,
+        originNode,
+        subscribers: deliveryResults.length
+      });
+    });
+
+    this.pubsubEngine.on('schemaViolation', (topicName, message, path, version) => {
+      this.logger.logPubSubEvent('schema violation', topicName, { messageId: message.id, path, version });
+    });
+
     this.pubsubEngine.on('clientSubscribed', (topicName, clientId) => {
       this.logger.logPubSubEvent('client subscribed', topicName, { clientId });
     });
@@ -208,6 +335,58 @@ class PubSubServer {
       });
     });
 
+    this.pubsubEngine.on('messageRedelivered', (clientId, topicName, message, reason, attempt) => {
+      this.logger.logPubSubEvent('message redelivered', topicName, {
+        clientId,
+        messageId: message.id,
+        reason,
+        attempt
+      });
+    });
+
+    this.pubsubEngine.on('messageDeadLettered', (clientId, topicName, message, reason) => {
+      this.logger.logPubSubEvent('message dead-lettered', topicName, {
+        clientId,
+        messageId: message.id,
+        reason
+      });
+    });
+
+    this.pubsubEngine.on('scheduledMessageReleased', (topicName, message, scheduleId, result) => {
+      if (!result.success) {
+        this.logger.warn('Failed to publish scheduled message', {
+          topic: topicName,
+          messageId: message.id,
+          scheduleId,
+          error: result.error
+        });
+      }
+    });
+
+    this.pubsubEngine.on('scheduledMessagesDiscarded', (entries) => {
+      this.logger.warn('Scheduled messages discarded at shutdown', {
+        count: entries.length,
+        messages: entries.map(entry => ({
+          topic: entry.topicName,
+          messageId: entry.message.id,
+          scheduleId: entry.scheduleId,
+          deliverAt: new Date(entry.deliverAt).toISOString()
+        }))
+      });
+    });
+
+    this.pubsubEngine.on('sessionExpired', (clientId) => {
+      this.logger.info('Session expired', { clientId });
+    });
+
+    this.pubsubEngine.on('persistenceError', (topicName, error, operation) => {
+      this.logger.error(PERSISTENCE_ERROR_MESSAGES[operation] || 'Failed to write topic data to storage', {
+        topic: topicName,
+        operation,
+        error: error.message
+      });
+    });
+
     // Heartbeat events
     this.pubsubEngine.on('heartbeat', () => {
       // Send heartbeat to all WebSocket clients
@@ -247,6 +426,21 @@ class PubSubServer {
           await this.wsHandler.shutdown();
         }
 
+        // End event streams, which would otherwise keep the HTTP server open
+        if (this.eventStreams) {
+          this.eventStreams.shutdown();
+        }
+
+        // Answer waiting long-poll fetches
+        if (this.longPoll) {
+          this.longPoll.shutdown();
+        }
+
+        // Leave the cluster before the engine stops delivering
+        if (this.cluster) {
+          await this.cluster.stop();
+        }
+
         // Shutdown Pub/Sub engine
         if (this.pubsubEngine) {
           await this.pubsubEngine.shutdown();
@@ -312,7 +506,8 @@ class PubSubServer {
           websocket: `ws://${this.options.host}:${this.options.port}/ws`,
           health: `http://${this.options.host}:${this.options.port}/health`,
           topics: `http://${this.options.host}:${this.options.port}/topics`,
-          stats: `http://${this.options.host}:${this.options.port}/stats`
+          stats: `http://${this.options.host}:${this.options.port}/stats`,
+          metrics: `http://${this.options.host}:${this.options.port}/metrics`
         });
       });
 
@@ -323,6 +518,10 @@ class PubSubServer {
         });
       });
 
+      if (this.cluster) {
+        await this.cluster.start();
+      }
+
     } catch (error) {
       this.logger.error('Failed to start server', {
         error: error.message,
@@ -342,9 +541,21 @@ class PubSubServer {
 
     this.logger.info('Stopping server...');
     
+    if (this.eventStreams) {
+      this.eventStreams.shutdown();
+    }
+
+    if (this.longPoll) {
+      this.longPoll.shutdown();
+    }
+
     if (this.server) {
       this.server.close();
     }
+
+    if (this.cluster) {
+      await this.cluster.stop();
+    }
   }
 }
 
@@ -0,0 +1,225 @@
+const { v4: uuidv4 } = require('uuid');
+const { decodeBinaryFrame, toJSONMessage } = require('../pubsub/messageCodec');
+
+/**
+ * Server-Sent Events Handler
+ *
+ * Streams a topic's events over plain HTTP for consumers that cannot open a
+ * WebSocket. Each stream subscribes to the engine like a WebSocket client,
+ * through a socket stand-in that turns event frames into SSE records:
+ *
+ *   id: 42
+ *   data: {"type":"event","topic":"orders","message":{...},"ts":"..."}
+ *
+ * The id is the message offset, so a reconnecting EventSource that sends
+ * Last-Event-ID resumes right after the last event it saw. Events forwarded
+ * from another cluster node carry no id, since their offsets belong to that
+ * node. Comment lines are sent while the stream is idle so proxies keep the
+ * connection open.
+ */
+
+/**
+ * Socket stand-in handed to the engine for an event stream
+ * Records written before start() are held back, so the stream can still be
+ * refused with an ordinary JSON error if the subscription fails
+ */
+class EventStreamSocket {
+  constructor(res) {
+    this.res = res;
+    this.readyState = 1; // OPEN, as for a WebSocket
+    this.pending = [];
+  }
+
+  get bufferedAmount() {
+    return this.pending ? 0 : this.res.writableLength;
+  }
+
+  /**
+   * Write an event frame encoded by the engine as an SSE record
+   * @param {string|Buffer} data - JSON text, or a binary frame for Buffer payloads
+   */
+  send(data) {
+    let frame;
+    let json;
+    if (Buffer.isBuffer(data)) {
+      frame = decodeBinaryFrame(data);
+      json = JSON.stringify({ ...frame, message: toJSONMessage(frame.message) });
+    } else {
+      frame = JSON.parse(data);
+      json = data;
+    }
+
+    const hasOffset = frame.message && Number.isInteger(frame.message.offset) && !frame.origin_node;
+    this.write((hasOffset ? `id: ${frame.message.offset}\n` : '') + `data: ${json}\n\n`);
+  }
+
+  /**
+   * Write a named event, e.g. 'gap' or 'close'
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  sendEvent(event, data) {
+    this.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Write raw SSE text, holding it back until the stream has started
+   * @param {string} text - SSE record or comment
+   */
+  write(text) {
+    if (this.pending) {
+      this.pending.push(text);
+    } else if (this.readyState === 1) {
+      this.res.write(text);
+    }
+  }
+
+  /**
+   * Send the response headers and everything written so far
+   */
+  start() {
+    this.res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+
+    const pending = this.pending;
+    this.pending = null;
+    this.res.write(pending.join('') || ': connected\n\n');
+  }
+
+  /**
+   * End the stream; called by the engine when the topic is deleted or the
+   * subscriber is too slow
+   * @param {number} code - WebSocket-style close code
+   * @param {string} reason - Reason for closing
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState !== 1) {
+      return;
+    }
+
+    this.sendEvent('close', { code, reason });
+    this.readyState = 2; // CLOSING
+    if (this.pending) {
+      this.start();
+    }
+    this.res.end();
+  }
+}
+
+class EventStreamHandler {
+  constructor(pubsubEngine, logger, options = {}) {
+    this.pubsubEngine = pubsubEngine;
+    this.logger = logger;
+    this.keepAliveInterval = options.keepAliveInterval || 15000; // ms between comment lines
+    this.streams = new Map(); // streamId -> { topicName, socket, keepAlive, openedAt }
+    this.totalStreams = 0;
+  }
+
+  /**
+   * Subscribe a response to a topic and keep it open as an event stream
+   * With lastEventId the stream resumes after that offset; if the offset is no
+   * longer stored it resumes from the earliest one and first sends a 'gap' event
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string} topicName - Name of the topic
+   * @param {Object} options - { lastN, lastEventId }
+   * @returns {Object} - { success, streamId }, or the engine's error with nothing written
+   */
+  open(req, res, topicName, options = {}) {
+    const streamId = `sse-${uuidv4()}`;
+    const socket = new EventStreamSocket(res);
+
+    let result;
+    if (options.lastEventId !== undefined) {
+      const fromOffset = options.lastEventId + 1;
+      result = this.pubsubEngine.subscribe(topicName, streamId, socket, 0, { fromOffset });
+      if (result.error === 'OFFSET_OUT_OF_RANGE') {
+        socket.sendEvent('gap', {
+          topic: topicName,
+          requested_offset: fromOffset,
+          earliest_offset: result.earliestOffset
+        });
+        result = this.pubsubEngine.subscribe(topicName, streamId, socket, 0, { fromOffset: result.earliestOffset });
+      }
+    } else {
+      result = this.pubsubEngine.subscribe(topicName, streamId, socket, options.lastN || 0);
+    }
+
+    if (!result.success) {
+      return result;
+    }
+
+    const keepAlive = setInterval(() => socket.write(': keepalive\n\n'), this.keepAliveInterval);
+    if (keepAlive.unref) {
+      keepAlive.unref();
+    }
+
+    this.streams.set(streamId, { topicName, socket, keepAlive, openedAt: Date.now() });
+    this.totalStreams++;
+    res.on('close', () => this.close(streamId));
+    socket.start();
+
+    this.logger.info('Event stream opened', {
+      streamId,
+      topic: topicName,
+      ip: req.ip,
+      lastN: options.lastN,
+      lastEventId: options.lastEventId
+    });
+    return { success: true, streamId };
+  }
+
+  /**
+   * Unsubscribe a stream whose connection closed
+   * @param {string} streamId - Stream identifier
+   */
+  close(streamId) {
+    const stream = this.streams.get(streamId);
+    if (!stream) {
+      return;
+    }
+
+    clearInterval(stream.keepAlive);
+    this.streams.delete(streamId);
+    stream.socket.readyState = 3; // CLOSED
+    this.pubsubEngine.unsubscribe(stream.topicName, streamId);
+
+    this.logger.info('Event stream closed', {
+      streamId,
+      topic: stream.topicName,
+      durationMs: Date.now() - stream.openedAt
+    });
+  }
+
+  /**
+   * Get event stream statistics
+   * @returns {Object} - Event stream statistics
+   */
+  getStats() {
+    const topics = {};
+    for (const { topicName } of this.streams.values()) {
+      topics[topicName] = (topics[topicName] || 0) + 1;
+    }
+
+    return {
+      activeStreams: this.streams.size,
+      totalStreams: this.totalStreams,
+      topics
+    };
+  }
+
+  /**
+   * End every open stream
+   */
+  shutdown() {
+    for (const { socket } of Array.from(this.streams.values())) {
+      socket.close(1001, 'Server shutting down');
+    }
+  }
+}
+
+module.exports = EventStreamHandler;
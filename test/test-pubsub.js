@@ -1,4 +1,22 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const net = require('net');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
 const PubSubEngine = require('../pubsub/pubsub');
+const Authenticator = require('../utils/auth');
+const { redactUrl } = require('../utils/logger');
+const RateLimiter = require('../utils/rateLimiter');
+const MetricsCollector = require('../utils/metrics');
+const ClusterNode = require('../cluster/clusterNode');
+const EventStreamHandler = require('../sse/eventStream');
+const LongPollHandler = require('../poll/longPoll');
+const TopicRoutes = require('../routes/topics');
+const StorageAdapter = require('../pubsub/storageAdapter');
+const MemoryStorage = require('../pubsub/memoryStorage');
+const { decodeBinaryFrame } = require('../pubsub/messageCodec');
 
 /**
  * Test script for Pub/Sub Engine
@@ -77,12 +95,1693 @@ async function testPubSubEngine() {
   }
 }
 
+/**
+ * Minimal stand-in for a WebSocket connection that records sent frames
+ */
+function createMockSocket() {
+  return {
+    readyState: 1,
+    bufferedAmount: 0,
+    sent: [],
+    send(data) {
+      this.sent.push(Buffer.isBuffer(data) ? decodeBinaryFrame(data) : JSON.parse(data));
+    },
+    close() {
+      this.readyState = 3;
+    }
+  };
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function testWildcardSubscriptions() {
+  console.log('🧪 Testing wildcard subscriptions...\n');
+
+  const pubsub = new PubSubEngine({ maxMessagesPerTopic: 5, heartbeatInterval: 1000 });
+
+  try {
+    pubsub.createTopic('orders.us');
+    pubsub.createTopic('orders.eu');
+    pubsub.createTopic('orders.us.east');
+
+    pubsub.publish('orders.us', { id: 'h1', payload: { n: 1 }, ts: 1 });
+    pubsub.publish('orders.eu', { id: 'h2', payload: { n: 2 }, ts: 2 });
+
+    console.log("🔍 Test 1: 'orders.*' replays merged history...");
+    const single = createMockSocket();
+    const subResult = pubsub.subscribe('orders.*', 'dashboard', single, 10);
+    assert(subResult.success, 'pattern subscribe failed');
+    assert(single.sent.map(e => e.message.id).join() === 'h1,h2', 'replay should merge history in order');
+    console.log('✅ Replayed', single.sent.length, 'messages\n');
+
+    console.log("🔍 Test 2: '*' matches exactly one level, '>' matches the rest...");
+    const multi = createMockSocket();
+    pubsub.subscribe('orders.>', 'auditor', multi);
+    pubsub.publish('orders.us.east', { id: 'm1', payload: { n: 3 } });
+    pubsub.publish('orders.us', { id: 'm2', payload: { n: 4 } });
+    assert(single.sent.filter(e => !e.replay).map(e => e.message.id).join() === 'm2', "'*' matched too deep");
+    assert(multi.sent.map(e => e.message.id).join() === 'm1,m2', "'>' missed a level");
+    console.log('✅ Pattern fan-out is correct\n');
+
+    console.log('🔍 Test 3: exact + pattern subscriber receives a message once...');
+    pubsub.subscribe('orders.us', 'auditor', multi);
+    const result = pubsub.publish('orders.us', { id: 'm3', payload: { n: 5 } });
+    assert(result.subscribers === 2, 'expected two distinct recipients');
+    assert(multi.sent.filter(e => e.message.id === 'm3').length === 1, 'duplicate delivery');
+    console.log('✅ No duplicate delivery\n');
+
+    console.log('🔍 Test 4: invalid patterns are rejected...');
+    assert(pubsub.subscribe('orders.>.us', 'bad', createMockSocket()).error === 'INVALID_PATTERN', "'>' must be last");
+    assert(pubsub.unsubscribe('orders.*', 'dashboard'), 'pattern unsubscribe failed');
+    assert(!pubsub.patternSubscriptions.has('orders.*'), 'empty pattern should be removed');
+    console.log('✅ Pattern validation and unsubscribe work\n');
+
+    console.log('🎉 Wildcard tests passed!\n');
+  } finally {
+    await pubsub.shutdown();
+  }
+}
+
+async function testDeliveryPump() {
+  console.log('🧪 Testing subscriber queue drain loop...\n');
+
+  const pubsub = new PubSubEngine({
+    maxQueueSize: 3,
+    drainHighWaterMark: 1024,
+    drainRetryInterval: 5,
+    heartbeatInterval: 1000
+  });
+
+  try {
+    pubsub.createTopic('prices');
+    const ws = createMockSocket();
+    pubsub.subscribe('prices', 'slow', ws);
+
+    console.log('🔍 Test 1: a backed-up socket holds messages in the queue...');
+    ws.bufferedAmount = 4096;
+    for (let i = 1; i <= 5; i++) {
+      pubsub.publish('prices', { id: `p${i}`, payload: { i } });
+    }
+    let queueStats = pubsub.getStats().queues.queueStats.slow;
+    assert(ws.sent.length === 0, 'nothing should be sent while blocked');
+    assert(queueStats.queueSize === 3 && queueStats.droppedCount === 2, 'queue should be bounded');
+    assert(queueStats.blocked, 'queue should report it is blocked');
+    console.log('✅ Queue size', queueStats.queueSize, 'dropped', queueStats.droppedCount, '\n');
+
+    console.log('🔍 Test 2: the queue drains once the socket frees up...');
+    ws.bufferedAmount = 0;
+    await new Promise(resolve => setTimeout(resolve, 20));
+    queueStats = pubsub.getStats().queues.queueStats.slow;
+    assert(ws.sent.map(e => e.message.id).join() === 'p3,p4,p5', 'newest messages should be delivered in order');
+    assert(queueStats.queueSize === 0 && queueStats.totalSent === 3, 'queue should be empty');
+    console.log('✅ Drained', queueStats.totalSent, 'messages\n');
+
+    console.log('🎉 Drain loop tests passed!\n');
+  } finally {
+    await pubsub.shutdown();
+  }
+}
+
+async function testMessageLog() {
+  console.log('🧪 Testing durable message log...\n');
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pubsub-log-'));
+  const persistence = { enabled: true, directory, segmentMaxBytes: 200, retentionBytes: 600 };
+
+  try {
+    console.log('🔍 Test 1: topics and history survive a restart...');
+    let pubsub = new PubSubEngine({ maxMessagesPerTopic: 3, heartbeatInterval: 1000, persistence });
+    pubsub.createTopic('orders');
+    pubsub.createTopic('empty');
+    for (let i = 1; i <= 20; i++) {
+      pubsub.publish('orders', { id: `o${i}`, payload: { i } });
+    }
+    await pubsub.shutdown();
+
+    pubsub = new PubSubEngine({ maxMessagesPerTopic: 3, heartbeatInterval: 1000, persistence });
+    const restored = pubsub.getTopic('orders');
+    assert(restored && pubsub.getTopic('empty'), 'topics should be restored');
+    assert(pubsub.getMessages('orders').messages.map(m => m.id).join() === 'o18,o19,o20', 'history should be restored');
+    console.log('✅ Restored', pubsub.topics.size, 'topics\n');
+
+    console.log('🔍 Test 2: size retention removes old segments...');
+    const logStats = pubsub.getStats().persistence.topics.orders;
+    assert(logStats.bytes <= 600 + 200, 'retention should cap the log size');
+    assert(logStats.nextIndex === 20, 'record index should continue after restart');
+    console.log('✅ Log holds', logStats.segments, 'segments,', logStats.bytes, 'bytes\n');
+
+    console.log('🔍 Test 3: deleting a topic removes its log...');
+    pubsub.deleteTopic('empty');
+    await pubsub.shutdown();
+    pubsub = new PubSubEngine({ heartbeatInterval: 1000, persistence });
+    assert(!pubsub.getTopic('empty'), 'deleted topic should stay deleted');
+    await pubsub.shutdown();
+    console.log('✅ Deleted topic not restored\n');
+
+    console.log('🔍 Test 4: topic names cannot escape the data directory...');
+    for (const name of ['bad%zz', 'not.escaped', '%2E%2E']) {
+      fs.mkdirSync(path.join(directory, name));
+    }
+    pubsub = new PubSubEngine({ heartbeatInterval: 1000, persistence });
+    assert(['.', '..', 'orders.', '.orders', 'orders..us'].every(name => !pubsub.createTopic(name)), 'dot-segment names should be rejected');
+    assert(!pubsub.getTopic('not.escaped') && !pubsub.getTopic('..') && pubsub.getTopic('orders'), 'foreign directories should be skipped');
+    assert(fs.existsSync(path.join(directory, 'bad%zz')), 'foreign directories should be left alone');
+    pubsub.createTopic('orders.us');
+    pubsub.deleteTopic('orders.us');
+    assert(fs.existsSync(directory) && !fs.existsSync(path.join(directory, 'orders%2Eus')), 'delete should only remove the topic directory');
+    await pubsub.shutdown();
+    console.log('✅ Names confined to the data directory\n');
+
+    console.log('🎉 Message log tests passed!\n');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+async function testStorageBackends() {
+  console.log('🧪 Testing storage backends...\n');
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pubsub-storage-'));
+
+  try {
+    console.log('🔍 Test 1: a custom adapter receives topics, messages and sessions...');
+    class CountingStorage extends MemoryStorage {
+      constructor() {
+        super('counting');
+        this.appended = 0;
+      }
+
+      append(topicName, message, limits) {
+        this.appended++;
+        return super.append(topicName, message, limits);
+      }
+    }
+    const storage = new CountingStorage();
+    let pubsub = new PubSubEngine({ maxMessagesPerTopic: 2, heartbeatInterval: 1000, storage });
+    pubsub.createTopic('orders');
+    for (let i = 1; i <= 3; i++) {
+      pubsub.publish('orders', { id: `o${i}`, payload: { i } });
+    }
+    assert(storage.appended === 3 && storage.getOffsets('orders').next === 3, 'publishes should go through the adapter');
+    assert(pubsub.getMessages('orders').messages.map(m => m.id).join() === 'o2,o3', 'adapter should keep the replay window');
+    pubsub.subscribe('orders', 'reader', createMockSocket());
+    pubsub.suspendClient('reader', 1000);
+    assert(storage.getSession('reader') && pubsub.getClient('reader').suspended, 'session should be stored');
+    assert(pubsub.getStats().storage.backend === 'counting', 'backend should be reported');
+    await pubsub.shutdown();
+    assert(storage.listSessions().length === 0, 'sessions should be cleared at shutdown');
+    console.log('✅ Custom adapter used\n');
+
+    console.log('🔍 Test 2: the file backend is selected by name and reads past the window...');
+    const options = {
+      maxMessagesPerTopic: 2,
+      heartbeatInterval: 1000,
+      storage: { backend: 'file' },
+      persistence: { directory }
+    };
+    pubsub = new PubSubEngine(options);
+    pubsub.createTopic('events');
+    for (let i = 0; i < 5; i++) {
+      pubsub.publish('events', { id: `e${i}`, payload: { i } });
+    }
+    await pubsub.shutdown();
+    pubsub = new PubSubEngine(options);
+    assert(pubsub.storage.durable && pubsub.getTopic('events').nextOffset === 5, 'topic should be restored');
+    const ws = createMockSocket();
+    assert(pubsub.subscribe('events', 'late', ws, 0, { fromOffset: 1 }).success, 'old offset should be read from the log');
+    assert(ws.sent.map(event => event.message.offset).join() === '1,2,3,4', 'replay should cover the log');
+    await pubsub.shutdown();
+    console.log('✅ File backend restored and replayed\n');
+
+    console.log('🔍 Test 3: unknown backends and missing methods are reported...');
+    let error = null;
+    try {
+      new PubSubEngine({ storage: { backend: 'tape' } });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.message === 'Unknown storage backend: tape', 'unknown backend should be refused');
+    error = null;
+    try {
+      new PubSubEngine({ heartbeatInterval: 1000, storage: new StorageAdapter('empty') });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.message === 'StorageAdapter does not implement load()', 'missing method should be named');
+    console.log('✅ Misconfiguration reported\n');
+
+    console.log('🔍 Test 4: write failures name the operation...');
+    class FailingStorage extends MemoryStorage {
+      append() {
+        throw new Error('disk full');
+      }
+
+      writeSettings() {
+        throw new Error('disk full');
+      }
+
+      createTopic(topicName, settings, createdAt) {
+        if (topicName === 'full') {
+          throw new Error('disk full');
+        }
+        return super.createTopic(topicName, settings, createdAt);
+      }
+    }
+    pubsub = new PubSubEngine({ heartbeatInterval: 1000, storage: new FailingStorage('failing') });
+    const failures = [];
+    pubsub.on('persistenceError', (topicName, e, operation) => failures.push(`${topicName}:${operation}`));
+    pubsub.createTopic('orders');
+    assert(pubsub.publish('orders', { id: 'o1', payload: {} }).error === 'PERSISTENCE_ERROR', 'failed append should be reported');
+    assert(pubsub.updateTopicSettings('orders', { maxMessages: 5 }).error === 'PERSISTENCE_ERROR', 'failed settings write should be reported');
+    assert(!pubsub.createTopic('full') && !pubsub.topics.has('full'), 'failed topic creation should be reported');
+    assert(failures.join() === 'orders:message,orders:settings,full:topic', 'events should carry the operation');
+    await pubsub.shutdown();
+    console.log('✅ Operations reported with persistence errors\n');
+
+    console.log('🎉 Storage backend tests passed!\n');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+async function testOffsetReplay() {
+  console.log('🧪 Testing offset-based replay...\n');
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pubsub-offsets-'));
+  const pubsub = new PubSubEngine({
+    maxMessagesPerTopic: 3,
+    heartbeatInterval: 1000,
+    persistence: { enabled: true, directory }
+  });
+
+  try {
+    pubsub.createTopic('ticks');
+    for (let i = 0; i < 6; i++) {
+      pubsub.publish('ticks', { id: `t${i}`, payload: { i }, ts: 1000 + i });
+    }
+
+    console.log('🔍 Test 1: messages carry monotonically increasing offsets...');
+    const last = pubsub.publish('ticks', { id: 't6', payload: { i: 6 }, ts: 1006 });
+    assert(last.offset === 6, 'expected offset 6');
+    assert(pubsub.getTopic('ticks').earliestOffset === 4, 'ring buffer should start at offset 4');
+    console.log('✅ Last offset', last.offset, '\n');
+
+    console.log('🔍 Test 2: resume from an offset in the ring buffer or the log...');
+    const recent = createMockSocket();
+    pubsub.subscribe('ticks', 'recent', recent, 0, { fromOffset: 5 });
+    assert(recent.sent.map(e => e.message.offset).join() === '5,6', 'ring buffer resume');
+    const old = createMockSocket();
+    pubsub.subscribe('ticks', 'old', old, 0, { fromOffset: 1 });
+    assert(old.sent.map(e => e.message.offset).join() === '1,2,3,4,5,6', 'log resume');
+    console.log('✅ Resumed from offsets 5 and 1\n');
+
+    console.log('🔍 Test 3: resume from a timestamp...');
+    const byTime = createMockSocket();
+    pubsub.subscribe('ticks', 'by-time', byTime, 0, { fromTs: 1005 });
+    assert(byTime.sent.map(e => e.message.id).join() === 't5,t6', 'timestamp resume');
+    for (const ts of ['2025-01-28T10:00:00.000Z', NaN, -1, null]) {
+      assert(pubsub.publish('ticks', { id: 'bad-ts', payload: {}, ts }).error === 'INVALID_MESSAGE', `ts ${ts} should be rejected`);
+    }
+    console.log('✅ Resumed from timestamp\n');
+
+    console.log('🔍 Test 4: evicted or future offsets are rejected...');
+    const memoryOnly = new PubSubEngine({ maxMessagesPerTopic: 3, heartbeatInterval: 1000 });
+    memoryOnly.createTopic('ticks');
+    for (let i = 0; i < 6; i++) {
+      memoryOnly.publish('ticks', { id: `t${i}`, payload: { i } });
+    }
+    const evicted = memoryOnly.subscribe('ticks', 'late', createMockSocket(), 0, { fromOffset: 0 });
+    await memoryOnly.shutdown();
+    assert(evicted.error === 'OFFSET_OUT_OF_RANGE' && evicted.earliestOffset === 3, 'evicted offset');
+    const future = pubsub.subscribe('ticks', 'future', createMockSocket(), 0, { fromOffset: 99 });
+    assert(future.error === 'OFFSET_OUT_OF_RANGE' && future.nextOffset === 7, 'future offset');
+    assert(!pubsub.topics.get('ticks').subscribers.has('future'), 'failed subscribe must not subscribe');
+    console.log('✅ Out-of-range offsets rejected\n');
+
+    console.log('🔍 Test 5: page through retained messages...');
+    const newest = pubsub.getMessages('ticks', { limit: 2 });
+    assert(newest.messages.map(m => m.offset).join() === '5,6' && newest.hasMore, 'newest page');
+    const older = pubsub.getMessages('ticks', { limit: 2, before: 5 });
+    assert(older.messages.map(m => m.offset).join() === '4' && !older.hasMore, 'page before offset');
+    const newer = pubsub.getMessages('ticks', { limit: 1, after: 4 });
+    assert(newer.messages.map(m => m.offset).join() === '5' && newer.hasMore, 'page after offset');
+    assert(pubsub.getMessages('missing') === null, 'unknown topic');
+    console.log('✅ Paged by offset\n');
+
+    console.log('🎉 Offset replay tests passed!\n');
+  } finally {
+    await pubsub.shutdown();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+async function testAckRedelivery() {
+  console.log('🧪 Testing acknowledgements and redelivery...\n');
+
+  const pubsub = new PubSubEngine({ ackTimeout: 20, maxDeliveryAttempts: 2, heartbeatInterval: 1000 });
+
+  try {
+    pubsub.createTopic('jobs');
+    const ws = createMockSocket();
+    pubsub.subscribe('jobs', 'worker', ws, 0, { ackMode: 'client' });
+
+    console.log('🔍 Test 1: events carry delivery tags and acks settle them...');
+    pubsub.publish('jobs', { id: 'j1', payload: { n: 1 } });
+    const tag = ws.sent[0].delivery_tag;
+    assert(tag === 1, 'expected delivery tag 1');
+    assert(pubsub.ack('worker', tag).success, 'ack failed');
+    assert(pubsub.ack('worker', tag).error === 'DELIVERY_TAG_NOT_FOUND', 'double ack should fail');
+    console.log('✅ Delivery tag', tag, 'acknowledged\n');
+
+    console.log('🔍 Test 2: unacked messages are redelivered, then dead-lettered...');
+    pubsub.publish('jobs', { id: 'j2', payload: { n: 2 } });
+    await new Promise(resolve => setTimeout(resolve, 70));
+    const j2 = ws.sent.filter(e => e.message.id === 'j2');
+    assert(j2.length === 2 && j2[1].redelivered && j2[1].delivery_tag === j2[0].delivery_tag, 'expected one redelivery');
+    const dlq = pubsub.getMessages('dlq.jobs');
+    assert(dlq && dlq.messages[0].dead_letter.reason === 'max_attempts', 'expected dead letter');
+    console.log('✅ Redelivered once, then moved to dlq.jobs\n');
+
+    console.log('🔍 Test 3: nack without requeue dead-letters immediately...');
+    pubsub.publish('jobs', { id: 'j3', payload: { n: 3 } });
+    const nackResult = pubsub.nack('worker', ws.sent[ws.sent.length - 1].delivery_tag, false);
+    assert(nackResult.action === 'dead_lettered', 'expected dead letter');
+    assert(pubsub.getMessages('dlq.jobs').messages[1].dead_letter.reason === 'rejected', 'expected rejected reason');
+    assert(pubsub.getStats().acks.totalPending === 0, 'nothing should be pending');
+    console.log('✅ Rejected message dead-lettered\n');
+
+    console.log('🎉 Ack tests passed!\n');
+  } finally {
+    await pubsub.shutdown();
+  }
+}
+
+async function testConsumerGroups() {
+  console.log('🧪 Testing consumer groups...\n');
+
+  const pubsub = new PubSubEngine({ ackTimeout: 1000, heartbeatInterval: 1000 });
+
+  try {
+    pubsub.createTopic('work');
+    const workerA = createMockSocket();
+    const workerB = createMockSocket();
+    const auditor = createMockSocket();
+    pubsub.subscribe('work', 'worker-a', workerA, 0, { group: 'workers', ackMode: 'client' });
+    pubsub.subscribe('work', 'worker-b', workerB, 0, { group: 'workers', ackMode: 'client' });
+    pubsub.subscribe('work', 'auditor', auditor);
+
+    console.log('🔍 Test 1: each message goes to one group member, round-robin...');
+    for (let i = 1; i <= 4; i++) {
+      pubsub.publish('work', { id: `w${i}`, payload: { i } });
+    }
+    assert(workerA.sent.map(e => e.message.id).join() === 'w1,w3', 'worker-a share');
+    assert(workerB.sent.map(e => e.message.id).join() === 'w2,w4', 'worker-b share');
+    assert(auditor.sent.length === 4, 'ungrouped subscribers keep fan-out');
+    console.log('✅ Work split evenly, fan-out preserved\n');
+
+    console.log('🔍 Test 2: topic details list groups and members...');
+    const groups = pubsub.getTopic('work').groups;
+    assert(groups.length === 1 && groups[0].members.map(m => m.clientId).join() === 'worker-a,worker-b', 'group listing');
+    console.log('✅ Groups:', JSON.stringify(groups), '\n');
+
+    console.log('🔍 Test 3: unacked work moves to another member on unsubscribe...');
+    pubsub.ack('worker-a', workerA.sent[0].delivery_tag);
+    pubsub.unsubscribe('work', 'worker-a');
+    const handedOver = workerB.sent[workerB.sent.length - 1];
+    assert(handedOver.message.id === 'w3' && handedOver.redelivered, 'w3 should move to worker-b');
+    console.log('✅ Pending delivery reassigned\n');
+
+    console.log('🎉 Consumer group tests passed!\n');
+  } finally {
+    await pubsub.shutdown();
+  }
+}
+
+async function testSessions() {
+  console.log('🧪 Testing persistent sessions...\n');
+
+  const pubsub = new PubSubEngine({ sessionGracePeriod: 30, heartbeatInterval: 1000 });
+
+  try {
+    pubsub.createTopic('alerts');
+
+    console.log('🔍 Test 1: a resumed session receives what was buffered...');
+    const first = createMockSocket();
+    pubsub.subscribe('alerts', 'phone', first);
+    first.close();
+    assert(pubsub.suspendClient('phone'), 'suspend failed');
+    pubsub.publish('alerts', { id: 'a1', payload: { n: 1 } });
+    pubsub.publish('alerts', { id: 'a2', payload: { n: 2 } });
+
+    const second = createMockSocket();
+    const resumed = pubsub.resumeClient('phone', second);
+    assert(resumed.topics.join() === 'alerts' && resumed.queued === 2, 'session should be restored');
+    assert(second.sent.map(e => e.message.id).join() === 'a1,a2', 'buffered messages should be delivered');
+    pubsub.publish('alerts', { id: 'a3', payload: { n: 3 } });
+    assert(second.sent.length === 3, 'live delivery should continue on the new socket');
+    console.log('✅ Session resumed with', resumed.queued, 'buffered messages\n');
+
+    console.log('🔍 Test 2: sessions expire after the grace period...');
+    second.close();
+    pubsub.suspendClient('phone');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert(!pubsub.getClient('phone'), 'expired session should be unsubscribed');
+    assert(pubsub.resumeClient('phone', createMockSocket()) === null, 'nothing left to resume');
+    console.log('✅ Expired session cleaned up\n');
+
+    console.log('🎉 Session tests passed!\n');
+  } finally {
+    await pubsub.shutdown();
+  }
+}
+
+function signJwt(claims, secret) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+async function testFilters() {
+  console.log('🧪 Testing subscription filters...\n');
+
+  const pubsub = new PubSubEngine({ heartbeatInterval: 1000 });
+
+  try {
+    pubsub.createTopic('orders');
+    pubsub.publish('orders', { id: 'o0', payload: { amount: 500, region: 'us' } });
+
+    console.log('🔍 Test 1: only matching events reach the socket...');
+    const big = createMockSocket();
+    const result = pubsub.subscribe('orders', 'big', big, 5, {
+      filter: {
+        'payload.amount': { $gte: 100 },
+        $or: [{ 'payload.region': { $in: ['us', 'eu'] } }, { 'headers.priority': 'high' }]
+      }
+    });
+    assert(result.success, 'filtered subscribe failed');
+    pubsub.publish('orders', { id: 'o1', payload: { amount: 50, region: 'us' } });
+    pubsub.publish('orders', { id: 'o2', payload: { amount: 150, region: 'apac' } });
+    pubsub.publish('orders', { id: 'o3', payload: { amount: 150, region: 'apac' }, headers: { priority: 'high' } });
+    pubsub.publish('orders', { id: 'o4', payload: { amount: 900, region: 'eu' } });
+    assert(big.sent.map(e => e.message.id).join() === 'o0,o3,o4', 'filter should apply to replay and live events');
+    console.log('✅ Delivered', big.sent.length, 'of 5 events\n');
+
+    console.log('🔍 Test 2: group members only compete for messages they match...');
+    pubsub.subscribe('orders', 'us-worker', createMockSocket(), 0, { group: 'w', filter: { 'payload.region': 'us' } });
+    pubsub.subscribe('orders', 'any-worker', createMockSocket(), 0, { group: 'w', filter: { $not: { 'payload.region': 'us' } } });
+    const routed = pubsub.publish('orders', { id: 'o5', payload: { amount: 1, region: 'eu' } });
+    assert(routed.deliveryResults.some(r => r.clientId === 'any-worker'), 'eu order should go to the non-us worker');
+    console.log('✅ Group routing respects filters\n');
+
+    console.log('🔍 Test 3: invalid filters are rejected at subscribe time...');
+    const bad = pubsub.subscribe('orders', 'bad', createMockSocket(), 0, { filter: { 'payload.amount': { $regex: '.*' } } });
+    assert(bad.error === 'INVALID_FILTER' && bad.reason.includes('$regex'), 'unknown operator should fail');
+    assert(pubsub.subscribe('orders', 'bad', createMockSocket(), 0, { filter: { amount: 1 } }).error === 'INVALID_FILTER', 'field root');
+    assert(pubsub.subscribe('orders.*', 'bad', createMockSocket(), 0, { filter: [] }).error === 'INVALID_FILTER', 'pattern filter');
+    assert(!pubsub.topics.get('orders').subscribers.has('bad'), 'rejected filter must not subscribe');
+    console.log('✅ Invalid filters rejected\n');
+
+    console.log('🎉 Filter tests passed!\n');
+  } finally {
+    await pubsub.shutdown();
+  }
+}
+
+async function testHeadersAndBinary() {
+  console.log('🧪 Testing headers and binary payloads...\n');
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pubsub-binary-'));
+  const options = { heartbeatInterval: 1000, persistence: { enabled: true, directory } };
+  let pubsub = new PubSubEngine(options);
+
+  try {
+    pubsub.createTopic('files');
+    const ws = createMockSocket();
+    pubsub.subscribe('files', 'reader', ws);
+
+    console.log('🔍 Test 1: headers and empty payloads are accepted...');
+    const empty = pubsub.publish('files', { id: 'f0', payload: '', headers: { trace_id: 't-1' }, content_type: 'text/plain' });
+    assert(empty.success, 'empty payload should be accepted');
+    assert(ws.sent[0].message.headers.trace_id === 't-1' && ws.sent[0].message.content_type === 'text/plain', 'headers lost');
+    assert(pubsub.publish('files', { id: 'bad', payload: 1, headers: { n: 1 } }).reason === 'header values must be strings', 'header validation');
+    console.log('✅ Headers delivered\n');
+
+    console.log('🔍 Test 2: binary payloads go out as binary frames...');
+    const bytes = Buffer.from([0, 1, 2, 254, 255]);
+    pubsub.publish('files', { id: 'f1', payload: bytes, headers: { name: 'blob.bin' } });
+    const frame = ws.sent[1];
+    assert(Buffer.isBuffer(frame.message.payload) && frame.message.payload.equals(bytes), 'binary payload should round-trip');
+    assert(frame.message.content_type === 'application/octet-stream', 'binary default content type');
+    console.log('✅ Binary frame decoded to', frame.message.payload.length, 'bytes\n');
+
+    console.log('🔍 Test 3: binary payloads and headers survive the log...');
+    await pubsub.shutdown();
+    pubsub = new PubSubEngine(options);
+    const replay = createMockSocket();
+    pubsub.subscribe('files', 'late', replay, 0, { fromOffset: 0 });
+    assert(replay.sent[0].message.headers.trace_id === 't-1', 'headers should be replayed');
+    assert(replay.sent[1].message.payload.equals(bytes), 'binary payload should be restored from the log');
+    console.log('✅ Replayed', replay.sent.length, 'messages from the log\n');
+
+    console.log('🎉 Header and binary tests passed!\n');
+  } finally {
+    await pubsub.shutdown();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+async function testDeduplication() {
+  console.log('🧪 Testing publisher deduplication...\n');
+
+  const pubsub = new PubSubEngine({ dedupWindowSize: 2, dedupWindowMs: 40, heartbeatInterval: 1000 });
+
+  try {
+    pubsub.createTopic('payments');
+    const ws = createMockSocket();
+    pubsub.subscribe('payments', 'ledger', ws);
+
+    console.log('🔍 Test 1: a retried id is acknowledged without redelivery...');
+    const first = pubsub.publish('payments', { id: 'p1', payload: { amount: 10 } });
+    const retry = pubsub.publish('payments', { id: 'p1', payload: { amount: 10 } });
+    assert(retry.success && retry.duplicate && retry.offset === first.offset, 'retry should be reported as duplicate');
+    assert(ws.sent.length === 1 && pubsub.getTopic('payments').nextOffset === 1, 'duplicate must not be stored or sent');
+    console.log('✅ Duplicate acknowledged at offset', retry.offset, '\n');
+
+    console.log('🔍 Test 2: the window is bounded by count and age...');
+    pubsub.publish('payments', { id: 'p2', payload: { amount: 20 } });
+    pubsub.publish('payments', { id: 'p3', payload: { amount: 30 } });
+    assert(!pubsub.publish('payments', { id: 'p1', payload: { amount: 10 } }).duplicate, 'p1 should have left the window');
+    assert(pubsub.publish('payments', { id: 'p3', payload: { amount: 30 } }).duplicate, 'p3 is still in the window');
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert(!pubsub.publish('payments', { id: 'p3', payload: { amount: 30 } }).duplicate, 'p3 should have expired');
+    assert(pubsub.getStats().dedup.totalDuplicates === 2, 'duplicates should be counted');
+    console.log('✅ Window bounded\n');
+
+    console.log('🎉 Deduplication tests passed!\n');
+  } finally {
+    await pubsub.shutdown();
+  }
+}
+
+async function testScheduledPublish() {
+  console.log('🧪 Testing delayed and scheduled publishing...\n');
+
+  const pubsub = new PubSubEngine({ maxScheduleDelay: 60000, heartbeatInterval: 1000 });
+
+  try {
+    pubsub.createTopic('reminders');
+    const ws = createMockSocket();
+    pubsub.subscribe('reminders', 'app', ws);
+
+    console.log('🔍 Test 1: messages are released in delivery-time order...');
+    const later = pubsub.schedulePublish('reminders', { id: 'r2', payload: 'later' }, { delayMs: 40 });
+    pubsub.schedulePublish('reminders', { id: 'r1', payload: 'sooner' }, { deliverAt: new Date(Date.now() + 20).toISOString() });
+    assert(later.success && later.scheduleId && ws.sent.length === 0, 'scheduled messages must not be sent yet');
+    assert(pubsub.schedulePublish('reminders', { id: 'r2', payload: 'later' }, { delayMs: 5 }).scheduleId === later.scheduleId,
+      'rescheduling a pending id should report the existing schedule');
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assert(ws.sent.map(frame => frame.message.id).join() === 'r1,r2', 'messages should arrive in delivery order');
+    console.log('✅ Released in order\n');
+
+    console.log('🔍 Test 2: cancel, validation and shutdown report...');
+    const cancelled = pubsub.schedulePublish('reminders', { id: 'r3', payload: 'never' }, { delayMs: 20 });
+    assert(pubsub.cancelScheduled('reminders', cancelled.scheduleId), 'pending message should be cancellable');
+    assert(!pubsub.cancelScheduled('reminders', cancelled.scheduleId), 'cancel is not repeatable');
+    assert(pubsub.schedulePublish('reminders', { id: 'r4', payload: 1 }, { delayMs: -1 }).error === 'INVALID_SCHEDULE', 'negative delay rejected');
+    assert(pubsub.schedulePublish('reminders', { id: 'r4', payload: 1 }, { delayMs: 120000 }).error === 'INVALID_SCHEDULE', 'delay beyond the limit rejected');
+
+    pubsub.schedulePublish('reminders', { id: 'r5', payload: 'pending' }, { delayMs: 30000 });
+    assert(pubsub.getScheduled('reminders').length === 1, 'one message should still be pending');
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert(ws.sent.length === 2, 'cancelled message must not be delivered');
+
+    let discarded = [];
+    pubsub.on('scheduledMessagesDiscarded', entries => { discarded = entries; });
+    await pubsub.shutdown();
+    assert(discarded.length === 1 && discarded[0].message.id === 'r5', 'shutdown should report pending messages');
+    console.log('✅ Cancelled, validated and reported\n');
+
+    console.log('🎉 Scheduled publishing tests passed!\n');
+  } finally {
+    await pubsub.shutdown();
+  }
+}
+
+async function testMessageTtl() {
+  console.log('🧪 Testing message TTL and expiry...\n');
+
+  const pubsub = new PubSubEngine({ heartbeatInterval: 1000 });
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  try {
+    pubsub.createTopic('prices', { ttlMs: 20 });
+
+    console.log('🔍 Test 1: expired messages are skipped on replay and in history...');
+    pubsub.publish('prices', { id: 'p1', payload: 100 });
+    pubsub.publish('prices', { id: 'p2', payload: 101, ttl_ms: 5000 });
+    await wait(40);
+    const late = createMockSocket();
+    pubsub.subscribe('prices', 'late', late, 5);
+    assert(late.sent.map(frame => frame.message.id).join() === 'p2', 'only the live message should be replayed');
+    assert(pubsub.getMessages('prices', { limit: 10 }).messages.length === 1, 'history should skip expired messages');
+    assert(pubsub.publish('prices', { id: 'p3', payload: 1, ttl_ms: 0 }).error === 'INVALID_MESSAGE', 'ttl_ms must be positive');
+    console.log('✅ Replay skipped expired message\n');
+
+    console.log('🔍 Test 2: queued messages that expire are dropped before sending...');
+    const slow = createMockSocket();
+    pubsub.subscribe('prices', 'slow', slow);
+    slow.bufferedAmount = Infinity;
+    pubsub.publish('prices', { id: 'p4', payload: 102 });
+    await wait(40);
+    slow.bufferedAmount = 0;
+    await wait(20);
+    assert(slow.sent.length === 0, 'expired message must not be sent');
+    assert(pubsub.getTopic('prices').expired === 1 && pubsub.getStats().totalExpired === 1, 'expiry should be counted');
+    console.log('✅ Expired message dropped from queue\n');
+
+    console.log('🔍 Test 3: expired deliveries are not redelivered...');
+    const worker = createMockSocket();
+    pubsub.subscribe('prices', 'worker', worker, 0, { ackMode: 'client' });
+    pubsub.publish('prices', { id: 'p5', payload: 103 });
+    await wait(40);
+    const tag = worker.sent[0].delivery_tag;
+    assert(pubsub.nack('worker', tag).action === 'expired', 'nack of an expired message should drop it');
+    assert(pubsub.getStats().acks.totalPending === 0, 'expired delivery should no longer be pending');
+    console.log('✅ Expired delivery released\n');
+
+    console.log('🎉 Message TTL tests passed!\n');
+  } finally {
+    await pubsub.shutdown();
+  }
+}
+
+async function testTopicSettings() {
+  console.log('🧪 Testing per-topic settings...\n');
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pubsub-settings-'));
+  const persistence = { enabled: true, directory };
+  let pubsub = new PubSubEngine({ maxMessagesPerTopic: 10, maxQueueSize: 1, heartbeatInterval: 1000, persistence });
+
+  try {
+    console.log('🔍 Test 1: limits are enforced on subscribe and publish...');
+    pubsub.createTopic('alerts', { maxMessages: 2, maxSubscribers: 1, maxMessageBytes: 16 });
+    pubsub.subscribe('alerts', 'first', createMockSocket());
+    assert(pubsub.subscribe('alerts', 'second', createMockSocket()).error === 'TOPIC_FULL', 'subscriber limit should apply');
+    assert(pubsub.publish('alerts', { id: 'big', payload: 'x'.repeat(20) }).error === 'MESSAGE_TOO_LARGE', 'size limit should apply');
+    for (let i = 1; i <= 4; i++) {
+      pubsub.publish('alerts', { id: `a${i}`, payload: i });
+    }
+    assert(pubsub.getTopic('alerts').messages === 2, 'topic retention should override the default');
+    console.log('✅ Limits enforced\n');
+
+    console.log('🔍 Test 2: backpressure policy follows the topic...');
+    pubsub.createTopic('strict', { backpressurePolicy: 'disconnect' });
+    const slow = createMockSocket();
+    slow.bufferedAmount = Infinity;
+    pubsub.subscribe('strict', 'slow', slow);
+    pubsub.publish('strict', { id: 's1', payload: 1 });
+    pubsub.publish('strict', { id: 's2', payload: 2 });
+    assert(slow.readyState === 3, 'a full queue should disconnect on a disconnect topic');
+    console.log('✅ Topic policy applied\n');
+
+    console.log('🔍 Test 3: settings can be changed and survive a restart...');
+    assert(pubsub.updateTopicSettings('alerts', { maxSubscribers: 0 }).error === 'INVALID_SETTINGS', 'bad value rejected');
+    const updated = pubsub.updateTopicSettings('alerts', { maxMessages: 1, maxSubscribers: null, ttlMs: 60000 });
+    assert(updated.success && updated.settings.maxSubscribers === null && updated.settings.ttlMs === 60000, 'settings should update');
+    assert(pubsub.getTopic('alerts').messages === 1, 'lower retention should trim the buffer');
+    await pubsub.shutdown();
+
+    pubsub = new PubSubEngine({ maxMessagesPerTopic: 10, heartbeatInterval: 1000, persistence });
+    const settings = pubsub.getTopic('alerts').settings;
+    assert(settings.maxMessages === 1 && settings.maxMessageBytes === 16 && settings.ttlMs === 60000, 'settings should be restored');
+    assert(pubsub.getTopic('strict').settings.backpressurePolicy === 'disconnect', 'policy should be restored');
+    console.log('✅ Settings updated and restored\n');
+
+    console.log('🎉 Topic settings tests passed!\n');
+  } finally {
+    await pubsub.shutdown();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+async function testRetainedTopics() {
+  console.log('🧪 Testing retained topics...\n');
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pubsub-retained-'));
+  const persistence = { enabled: true, directory };
+  let pubsub = new PubSubEngine({ maxMessagesPerTopic: 2, heartbeatInterval: 1000, persistence });
+
+  try {
+    console.log('🔍 Test 1: new subscribers get the latest value...');
+    pubsub.createTopic('config', { retain: 'last' });
+    for (let i = 1; i <= 3; i++) {
+      pubsub.publish('config', { id: `c${i}`, payload: { version: i } });
+    }
+    const first = createMockSocket();
+    pubsub.subscribe('config', 'first', first);
+    assert(first.sent.length === 1 && first.sent[0].message.payload.version === 3, 'only the latest value should be sent');
+    assert(first.sent[0].retained === true && first.sent[0].replay === true, 'frame should be marked retained');
+    const recent = createMockSocket();
+    pubsub.subscribe('config', 'recent', recent, 2);
+    assert(recent.sent.length === 2 && !recent.sent[0].retained, 'last_n should take precedence');
+    console.log('✅ Latest value sent on subscribe\n');
+
+    console.log('🔍 Test 2: per-key values outlive the replay buffer...');
+    pubsub.createTopic('presence.lobby', { retain: 'per_key' });
+    pubsub.publish('presence.lobby', { id: 'p1', key: 'alice', payload: 'online' });
+    pubsub.publish('presence.lobby', { id: 'p2', key: 'bob', payload: 'online' });
+    pubsub.publish('presence.lobby', { id: 'p3', key: 'carol', payload: 'online' });
+    pubsub.publish('presence.lobby', { id: 'p4', key: 'alice', payload: 'away' });
+    assert(pubsub.publish('presence.lobby', { id: 'p5', key: '', payload: 'x' }).error === 'INVALID_MESSAGE', 'empty key rejected');
+    const watcher = createMockSocket();
+    pubsub.subscribe('presence.*', 'watcher', watcher);
+    const state = watcher.sent.map(frame => `${frame.message.key}=${frame.message.payload}`);
+    assert(state.join(',') === 'bob=online,carol=online,alice=away', `unexpected retained state: ${state}`);
+    console.log('✅ One value per key\n');
+
+    console.log('🔍 Test 3: retained values can be cleared and survive a restart...');
+    assert(pubsub.clearRetained('presence.lobby', 'bob') === 1, 'key should be cleared');
+    assert(pubsub.clearRetained('presence.lobby', 'bob') === 0, 'cleared key is gone');
+    assert(pubsub.clearRetained('config') === 1, 'topic should be cleared');
+    assert(pubsub.clearRetained('missing') === null, 'unknown topic');
+    await pubsub.shutdown();
+
+    pubsub = new PubSubEngine({ maxMessagesPerTopic: 2, heartbeatInterval: 1000, persistence });
+    assert(pubsub.getRetained('config').length === 0, 'cleared topic should stay cleared');
+    const restored = pubsub.getRetained('presence.lobby').map(message => message.key);
+    assert(restored.join(',') === 'carol,alice', `unexpected restored keys: ${restored}`);
+    console.log('✅ Clears and values persisted\n');
+
+    console.log('🔍 Test 4: changing the retain mode rebuilds from the buffer...');
+    const updated = pubsub.updateTopicSettings('presence.lobby', { retain: 'last' });
+    assert(updated.success && updated.settings.retain === 'last', 'mode should update');
+    assert(pubsub.getRetained('presence.lobby').map(message => message.id).join(',') === 'p4', 'latest message retained');
+    pubsub.updateTopicSettings('presence.lobby', { retain: null });
+    const plain = createMockSocket();
+    pubsub.subscribe('presence.lobby', 'plain', plain);
+    assert(plain.sent.length === 0, 'nothing retained once disabled');
+    console.log('✅ Retain mode changes applied\n');
+
+    console.log('🎉 Retained topic tests passed!\n');
+  } finally {
+    await pubsub.shutdown();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+async function testCompactedTopics() {
+  console.log('🧪 Testing compacted topics...\n');
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pubsub-compacted-'));
+  const persistence = { enabled: true, directory, segmentMaxBytes: 64 };
+  const options = { maxMessagesPerTopic: 2, heartbeatInterval: 1000, tombstoneRetention: 50, persistence };
+  let pubsub = new PubSubEngine(options);
+
+  try {
+    console.log('🔍 Test 1: one message per key, with tombstones...');
+    pubsub.createTopic('accounts', { compact: true });
+    assert(pubsub.publish('accounts', { id: 'x', payload: 1 }).error === 'INVALID_MESSAGE', 'messages need a key');
+    pubsub.publish('accounts', { id: 'a1', key: 'a', payload: { balance: 1 } });
+    pubsub.publish('accounts', { id: 'b1', key: 'b', payload: { balance: 2 } });
+    pubsub.publish('accounts', { id: 'a2', key: 'a', payload: { balance: 3 } });
+    pubsub.publish('accounts', { id: 'c1', key: 'c', payload: { balance: 4 } });
+    pubsub.publish('accounts', { id: 'b2', key: 'b', payload: null });
+    assert(pubsub.getTopic('accounts').messages === 3, 'max_messages should not evict keys');
+
+    const snapshot = createMockSocket();
+    pubsub.subscribe('accounts', 'snapshot', snapshot, 100);
+    assert(snapshot.sent.map(frame => frame.message.id).join(',') === 'a2,c1', 'last_n should replay the snapshot');
+    const resumed = createMockSocket();
+    pubsub.subscribe('accounts', 'resumed', resumed, 0, { fromOffset: 0 });
+    assert(resumed.sent.map(frame => frame.message.id).join(',') === 'a2,c1,b2', 'offsets should include tombstones');
+    assert(pubsub.updateTopicSettings('accounts', { compact: false }).error === 'INVALID_SETTINGS', 'compaction is fixed');
+    console.log('✅ Topic compacted in memory\n');
+
+    console.log('🔍 Test 2: segments are compacted and restored...');
+    await new Promise(resolve => setTimeout(resolve, 60));
+    pubsub.publish('accounts', { id: 'd1', key: 'd', payload: { balance: 5 } });
+    pubsub.publish('accounts', { id: 'd2', key: 'd', payload: { balance: 6 } });
+    assert(pubsub.getMessages('accounts').messages.every(message => message.key !== 'b'), 'old tombstone should be purged');
+    await pubsub.shutdown();
+
+    pubsub = new PubSubEngine(options);
+    const restored = pubsub.getMessages('accounts').messages.map(message => message.id);
+    assert(restored.join(',') === 'a2,c1,d2', `unexpected restored messages: ${restored}`);
+    assert(pubsub.getTopic('accounts').nextOffset === 7, 'offsets should continue after a restart');
+    const records = fs.readdirSync(path.join(directory, 'accounts'))
+      .filter(file => file.endsWith('.log'))
+      .reduce((count, file) => count + fs.readFileSync(path.join(directory, 'accounts', file), 'utf8').trim().split('\n').length, 0);
+    // d1 is only superseded by the active segment, so it goes on the next roll
+    assert(records === 4, `log should hold a2, c1, d1 and d2, found ${records}`);
+    console.log('✅ Log compacted and restored\n');
+
+    console.log('🎉 Compacted topic tests passed!\n');
+  } finally {
+    await pubsub.shutdown();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+async function testRequestReply() {
+  console.log('🧪 Testing request/reply...\n');
+
+  const pubsub = new PubSubEngine({ heartbeatInterval: 1000 });
+
+  try {
+    pubsub.createTopic('rpc.add');
+    const responder = createMockSocket();
+    pubsub.subscribe('rpc.add', 'responder', responder);
+
+    console.log('🔍 Test 1: the first reply is routed to the requester...');
+    const outcomes = [];
+    const result = pubsub.request('rpc.add', { id: 'q1', payload: { a: 1, b: 2 } }, { onReply: outcome => outcomes.push(outcome) });
+    const request = responder.sent[0].message;
+    assert(result.success && request.reply_to === result.replyTo && request.correlation_id === result.correlationId,
+      'request should carry reply_to and correlation_id');
+    assert(pubsub.schedulePublish(request.reply_to, { id: 'r0', payload: 0 }, { delayMs: 1000 }).error === 'INVALID_SCHEDULE',
+      'replies should not be delayed');
+    assert(pubsub.publish(request.reply_to, { id: 'r1', payload: 3 }).success, 'reply should be accepted');
+    assert(pubsub.publish(request.reply_to, { id: 'r2', payload: 4 }).error === 'TOPIC_NOT_FOUND', 'inbox should close after the first reply');
+    assert(outcomes.length === 1 && outcomes[0].success && outcomes[0].reply.payload === 3, 'requester should get the reply');
+    assert(outcomes[0].reply.correlation_id === result.correlationId, 'reply should carry the correlation id');
+    console.log('✅ Reply routed\n');
+
+    console.log('🔍 Test 2: requests time out, fail fast or are cancelled...');
+    const timedOut = await new Promise(resolve => {
+      pubsub.request('rpc.add', { id: 'q2', payload: {} }, { timeoutMs: 20, onReply: resolve });
+    });
+    assert(timedOut.error === 'REQUEST_TIMEOUT', 'unanswered request should time out');
+    pubsub.createTopic('rpc.idle');
+    assert(pubsub.request('rpc.idle', { id: 'q3', payload: {} }).error === 'NO_RESPONDERS', 'no subscribers should fail fast');
+    const cancelled = [];
+    pubsub.request('rpc.add', { id: 'q4', payload: {} }, { owner: 'conn-1', onReply: outcome => cancelled.push(outcome) });
+    assert(pubsub.cancelRequests('conn-1') === 1 && cancelled[0].error === 'REQUEST_CANCELLED', 'owner requests should be cancelled');
+    assert(pubsub.getStats().requests.pending === 0, 'no requests should be left pending');
+    console.log('✅ Timeouts and cancellation handled\n');
+
+    console.log('🎉 Request/reply tests passed!\n');
+  } finally {
+    await pubsub.shutdown();
+  }
+}
+
+async function testSchemas() {
+  console.log('🧪 Testing topic schemas...\n');
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pubsub-schema-'));
+  const persistence = { enabled: true, directory };
+  const order = {
+    type: 'object',
+    required: ['id', 'amount'],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      amount: { type: 'number', minimum: 0 },
+      items: { type: 'array', items: { type: 'object', required: ['sku'] } }
+    }
+  };
+
+  let pubsub = new PubSubEngine({ heartbeatInterval: 1000, persistence });
+  try {
+    pubsub.createTopic('orders');
+    const subscriber = createMockSocket();
+    pubsub.subscribe('orders', 'sub', subscriber);
+
+    console.log('🔍 Test 1: publishes are checked against the schema...');
+    assert(pubsub.registerSchema('orders', order).version === 1, 'first schema should be version 1');
+    assert(pubsub.publish('orders', { id: 'm1', payload: { id: 'o1', amount: 5 } }).success, 'valid payload accepted');
+    const missing = pubsub.publish('orders', { id: 'm2', payload: { id: 'o2' } });
+    assert(missing.error === 'SCHEMA_VIOLATION' && missing.path === 'payload.amount' && missing.schemaVersion === 1,
+      'missing field should be reported by path');
+    const nested = pubsub.publish('orders', { id: 'm3', payload: { id: 'o3', amount: 1, items: [{ sku: 'a' }, {}] } });
+    assert(nested.path === 'payload.items.1.sku' && nested.reason === 'payload.items.1.sku is required',
+      'nested failure should name the array index');
+    assert(pubsub.schedulePublish('orders', { id: 'm4', payload: { id: 'o4', amount: -1 } }, { delayMs: 1000 }).error === 'SCHEMA_VIOLATION',
+      'scheduled publishes should be checked too');
+    assert(subscriber.sent.length === 1 && pubsub.getStats().schemas.totalViolations === 3,
+      'rejected messages should not be delivered and should be counted');
+    console.log('✅ Non-conforming payloads rejected\n');
+
+    console.log('🔍 Test 2: new versions must stay compatible...');
+    assert(pubsub.registerSchema('orders', { type: 'object', properties: { x: { type: 'nope' } } }).error === 'INVALID_SCHEMA',
+      'unknown type should be rejected');
+    assert(pubsub.registerSchema('orders', { $ref: '#/defs/x' }).error === 'INVALID_SCHEMA',
+      'unsupported keywords should be rejected');
+    const required = pubsub.registerSchema('orders', { ...order, required: ['id', 'amount', 'currency'] });
+    assert(required.error === 'INCOMPATIBLE_SCHEMA' && required.problems.includes('payload.currency: is now required'),
+      'adding a required field should break backward compatibility');
+    const widened = {
+      ...order,
+      properties: { ...order.properties, currency: { type: 'string' }, amount: { type: ['number', 'string'] } }
+    };
+    assert(pubsub.registerSchema('orders', widened).version === 2, 'optional field on a closed object is backward compatible');
+    assert(pubsub.registerSchema('orders', widened).unchanged, 're-registering the latest schema should be a no-op');
+    assert(pubsub.registerSchema('orders', order, { compatibility: 'backward' }).error === 'INCOMPATIBLE_SCHEMA',
+      'narrowing a type should break backward compatibility');
+    assert(pubsub.registerSchema('orders', order, { compatibility: 'forward' }).version === 3,
+      'narrowing is forward compatible');
+    assert(pubsub.getTopic('orders').schemaVersion === 3, 'topic should report its latest version');
+    console.log('✅ Compatibility checked\n');
+
+    console.log('🔍 Test 3: schemas survive a restart...');
+    await pubsub.shutdown();
+    pubsub = new PubSubEngine({ heartbeatInterval: 1000, persistence });
+    assert(pubsub.getSchemas('orders').map(entry => entry.version).join() === '1,2,3', 'versions should be restored');
+    assert(pubsub.publish('orders', { id: 'm5', payload: { id: 'o5', amount: 'ten' } }).error === 'SCHEMA_VIOLATION',
+      'restored schema should be enforced');
+    console.log('✅ Schemas restored\n');
+
+    console.log('🎉 Topic schema tests passed!\n');
+  } finally {
+    await pubsub.shutdown();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+async function testAuthentication() {
+  console.log('🧪 Testing authentication and ACLs...\n');
+
+  const auth = new Authenticator({
+    enabled: true,
+    apiKeys: 'ops-key:admin,feed-key:subscriber',
+    jwt: { secret: 'test-secret', issuer: 'tests' },
+    roles: {
+      admin: [{ pattern: '>', permissions: ['admin'] }],
+      subscriber: [{ pattern: 'public.>', permissions: ['subscribe'] }]
+    }
+  });
+
+  console.log('🔍 Test 1: API keys resolve to role ACLs...');
+  const ops = auth.authenticate('ops-key').identity;
+  const feed = auth.authenticate('feed-key').identity;
+  assert(auth.authenticate('wrong-key').error === 'UNAUTHORIZED', 'unknown key should be rejected');
+  assert(auth.authorize(ops, 'publish', 'orders.us'), 'admin implies publish');
+  assert(auth.authorize(feed, 'subscribe', 'public.*'), 'pattern inside the grant should be allowed');
+  assert(!auth.authorize(feed, 'subscribe', '>'), 'pattern wider than the grant should be denied');
+  assert(!auth.authorize(feed, 'publish', 'public.news'), 'subscriber cannot publish');
+  console.log('✅ API key ACLs enforced\n');
+
+  console.log('🔍 Test 2: JWTs are verified locally...');
+  const now = Math.floor(Date.now() / 1000);
+  const token = signJwt({
+    sub: 'orders-service',
+    iss: 'tests',
+    exp: now + 60,
+    client_id: 'orders-1',
+    acl: [{ pattern: 'orders.*', permissions: ['publish'] }]
+  }, 'test-secret');
+  const service = auth.authenticate(token).identity;
+  assert(service.principal === 'orders-service', 'sub should become the principal');
+  assert(auth.authorize(service, 'publish', 'orders.eu'), 'acl claim should grant publish');
+  assert(!auth.authorize(service, 'publish', 'orders.eu.west'), "'*' should not cover deeper levels");
+  assert(auth.canUseClientId(service, 'orders-1') && !auth.canUseClientId(service, 'other'),
+    'client_id claim should bind the identity');
+  assert(auth.authenticate(signJwt({ sub: 'x', iss: 'tests' }, 'other-secret')).error === 'UNAUTHORIZED',
+    'bad signature should be rejected');
+  assert(auth.authenticate(signJwt({ sub: 'x', iss: 'tests', exp: now - 60 }, 'test-secret')).message === 'Token expired',
+    'expired token should be rejected');
+  assert(auth.authenticate(signJwt({ sub: 'x', iss: 'elsewhere' }, 'test-secret')).error === 'UNAUTHORIZED',
+    'wrong issuer should be rejected');
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const body = encode({ sub: 'x', iss: 'tests' });
+  for (const header of [null, [], 'HS256', { alg: 'constructor' }, { alg: 'toString' }]) {
+    assert(auth.authenticate(`${encode(header)}.${body}.sig`).error === 'UNAUTHORIZED',
+      `header ${JSON.stringify(header)} should be rejected`);
+  }
+  assert(auth.authenticate(`${encode({ alg: 'HS256' })}.${encode(null)}.sig`).error === 'UNAUTHORIZED',
+    'non-object claims should be rejected');
+  const inherited = auth.authenticate(signJwt({ sub: 'x', iss: 'tests', roles: ['constructor'] }, 'test-secret')).identity;
+  assert(inherited.acl.length === 0, 'inherited names should not resolve as roles');
+  console.log('✅ JWT verification enforced\n');
+
+  console.log('🔍 Test 3: query tokens are only read where allowed...');
+  const queryRequest = { url: '/topics/orders/events?token=ops-key', headers: {} };
+  assert(auth.authenticateRequest(queryRequest).error === 'UNAUTHORIZED', 'query token should be ignored by default');
+  assert(auth.authenticateRequest(queryRequest, { allowQuery: true }).identity.principal === ops.principal,
+    'query token should be accepted when allowed');
+  assert(redactUrl('/ws?client_id=a&token=ops-key&x=1') === '/ws?client_id=a&token=[REDACTED]&x=1', 'logged URLs should hide tokens');
+  console.log('✅ Query tokens confined\n');
+
+  console.log('🔍 Test 4: topic listings follow subscribe grants...');
+  const pubsub = new PubSubEngine({ heartbeatInterval: 1000 });
+  const logger = { info() {}, warn() {}, debug() {}, error() {} };
+  const routes = new TopicRoutes(pubsub, logger, auth);
+  const call = async (handler, req) => {
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+      }
+    };
+    await handler.call(routes, { query: {}, params: {}, ...req }, res);
+    return res;
+  };
+  try {
+    pubsub.createTopic('public.news');
+    pubsub.createTopic('billing.invoices');
+    const listed = await call(routes.listTopics, { identity: feed });
+    assert(listed.body.topics.map(t => t.name).join() === 'public.news' && listed.body.total === 1, 'list should be filtered');
+    assert((await call(routes.listTopics, { identity: ops })).body.total === 2, 'admin should see every topic');
+    assert((await call(routes.getTopic, { identity: feed, params: { name: 'billing.invoices' } })).statusCode === 403,
+      'unreadable topic should be forbidden');
+    assert((await call(routes.getTopic, { identity: feed, params: { name: 'public.news' } })).body.topic.name === 'public.news',
+      'readable topic should be returned');
+  } finally {
+    await pubsub.shutdown();
+  }
+  console.log('✅ Topic listings filtered\n');
+
+  console.log('🔍 Test 5: disabled auth allows everything...');
+  assert(new Authenticator().authorize(null, 'admin', 'anything'), 'disabled auth should allow');
+  console.log('✅ Disabled auth is permissive\n');
+
+  console.log('🎉 Authentication tests passed!\n');
+}
+
+async function testRateLimiting() {
+  console.log('🧪 Testing rate limiting...\n');
+
+  const limiter = new RateLimiter({
+    enabled: true,
+    client: { rate: 10, burst: 2 },
+    apiKey: { rate: 100, burst: 100 },
+    topic: { rate: 1, burst: 3 },
+    overrides: {
+      clients: { bulk: { rate: 0 } },
+      topics: { slow: { rate: 1, burst: 1 } }
+    }
+  });
+
+  console.log('🔍 Test 1: a client bucket empties after its burst...');
+  assert(limiter.take({ client: 'c1', topic: 'orders' }).allowed, 'first publish allowed');
+  assert(limiter.take({ client: 'c1', topic: 'orders' }).allowed, 'second publish allowed');
+  const refused = limiter.take({ client: 'c1', topic: 'orders' });
+  assert(!refused.allowed && refused.scope === 'client' && refused.key === 'c1', 'client bucket should refuse');
+  assert(refused.retryAfterMs > 0 && refused.retryAfterMs <= 100, 'retry after one token at 10/s');
+  console.log('✅ Client limit enforced\n');
+
+  console.log('🔍 Test 2: topic limits span clients and are only charged when allowed...');
+  assert(limiter.take({ client: 'c2', topic: 'orders' }).allowed, 'third publish to the topic allowed');
+  const topicRefused = limiter.take({ client: 'c3', topic: 'orders' });
+  assert(!topicRefused.allowed && topicRefused.scope === 'topic', 'topic bucket should refuse');
+  assert(limiter.take({ client: 'c3', topic: 'other' }).allowed &&
+    limiter.take({ client: 'c3', topic: 'other' }).allowed,
+    'a refused publish should not charge the client');
+  console.log('✅ Topic limit enforced\n');
+
+  console.log('🔍 Test 3: overrides replace the defaults...');
+  for (let i = 0; i < 5; i++) {
+    assert(limiter.take({ client: 'bulk', topic: `t${i}` }).allowed, 'unlimited client should not be refused');
+  }
+  assert(limiter.take({ client: 'c4', topic: 'slow' }).allowed, 'first publish to slow topic allowed');
+  assert(!limiter.take({ client: 'c5', topic: 'slow' }).allowed, 'slow topic override should refuse');
+  const strict = new RateLimiter({ enabled: true, client: { rate: 1, burst: 1 }, overrides: { clients: {} } });
+  for (const name of ['constructor', 'toString', '__proto__']) {
+    assert(strict.take({ client: name }).allowed && !strict.take({ client: name }).allowed,
+      `client '${name}' should get the default limit`);
+  }
+  console.log('✅ Overrides applied\n');
+
+  console.log('🔍 Test 4: buckets refill and batches may go into debt...');
+  limiter.buckets.get('client:c1').updatedAt -= 1000;
+  assert(limiter.take({ client: 'c1' }).allowed, 'refilled bucket should allow');
+  assert(limiter.take({ client: 'c6' }, 5).allowed, 'batch larger than the burst allowed from a full bucket');
+  const debt = limiter.take({ client: 'c6' });
+  assert(!debt.allowed && debt.retryAfterMs > 300, 'bucket in debt should refuse until it refills');
+  console.log('✅ Refill and debt handled\n');
+
+  console.log('🔍 Test 5: stats and disabled limiter...');
+  const stats = limiter.getStats();
+  assert(stats.totalLimited === 4 && stats.limitedByScope.client === 2 && stats.limitedByScope.topic === 2,
+    'refusals should be counted per scope');
+  assert(stats.overrides.clients === 1 && stats.limits.apiKey.rate === 100, 'limits should be reported');
+  limiter.sweep(Date.now() + 60 * 1000);
+  assert(limiter.buckets.size === 0, 'refilled buckets should be forgotten');
+  assert(new RateLimiter({ client: { rate: 1, burst: 1 } }).take({ client: 'x' }, 10).allowed,
+    'disabled limiter should allow');
+  console.log('✅ Stats reported\n');
+
+  console.log('🎉 Rate limiting tests passed!\n');
+}
+
+/**
+ * Poll until a condition holds, for state that changes over real sockets
+ */
+async function waitFor(condition, message, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out: ${message}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+async function testClustering() {
+  console.log('🧪 Testing clustering...\n');
+
+  const logger = { info() {}, warn() {}, debug() {}, error() {} };
+  const a = new PubSubEngine({ heartbeatInterval: 1000 });
+  const b = new PubSubEngine({ heartbeatInterval: 1000 });
+  const options = { host: '127.0.0.1', port: 0, secret: 'cluster-secret', reconnectInterval: 50, maxPayload: 64 * 1024 };
+  const nodeA = new ClusterNode(a, logger, { ...options, nodeId: 'a' });
+  const nodeB = new ClusterNode(b, logger, { ...options, nodeId: 'b' });
+  const intruder = new ClusterNode(new PubSubEngine({ heartbeatInterval: 1000 }), logger, { ...options, nodeId: 'c', secret: 'wrong' });
+  const d = new PubSubEngine({ heartbeatInterval: 1000 });
+  const nodeD = new ClusterNode(d, logger, { ...options, nodeId: 'd' });
+
+  try {
+    await nodeA.start();
+    await nodeB.start();
+    const urlA = `ws://127.0.0.1:${nodeA.port}`;
+    const urlB = `ws://127.0.0.1:${nodeB.port}`;
+    for (const node of [nodeA, nodeB]) {
+      node.addPeer(urlA);
+      node.addPeer(urlB);
+    }
+    await waitFor(() => nodeA.getStats().peers[urlB]?.connected && nodeB.getStats().peers[urlA]?.connected, 'nodes should link');
+    await waitFor(() => !nodeA.getStats().peers[urlA] && !nodeB.getStats().peers[urlB], 'links to self should be dropped');
+
+    console.log('🔍 Test 1: publishes reach only nodes with subscribers...');
+    for (const engine of [a, b]) {
+      engine.createTopic('orders');
+      engine.createTopic('audit');
+    }
+    const remote = createMockSocket();
+    b.subscribe('orders', 'remote', remote);
+    await waitFor(() => nodeA.hasInterest('orders'), 'interest should propagate');
+    const published = a.publish('orders', { id: 'o1', payload: { n: 1 } });
+    assert(published.success && published.subscribers === 0 && published.forwarded === 1, 'publish should be forwarded once');
+    assert(a.publish('audit', { id: 'x1', payload: {} }).forwarded === 0, 'topics without remote subscribers should not be forwarded');
+    await waitFor(() => remote.sent.length === 1, 'remote subscriber should receive the message');
+    assert(remote.sent[0].message.id === 'o1' && remote.sent[0].origin_node === 'a', 'event should name its origin node');
+    assert(b.getTopic('orders').messages === 0, 'forwarded messages should not be stored');
+    console.log('✅ Forwarded by interest\n');
+
+    console.log('🔍 Test 2: pattern subscribers need no local topic...');
+    const watcher = createMockSocket();
+    b.subscribePattern('metrics.>', 'watcher', watcher);
+    a.createTopic('metrics.cpu');
+    await waitFor(() => nodeA.hasInterest('metrics.cpu'), 'pattern interest should propagate');
+    a.publish('metrics.cpu', { id: 'm1', payload: 0.5 });
+    await waitFor(() => watcher.sent.length === 1, 'pattern subscriber should receive the message');
+    assert(watcher.sent[0].subscription === 'metrics.>', 'event should carry the matching pattern');
+    console.log('✅ Pattern matched remotely\n');
+
+    console.log('🔍 Test 3: requests are answered from another node...');
+    a.createTopic('rpc.add');
+    b.createTopic('rpc.add');
+    const responder = createMockSocket();
+    b.subscribe('rpc.add', 'responder', responder);
+    await waitFor(() => nodeA.hasInterest('rpc.add'), 'responder interest should propagate');
+    const outcome = new Promise(resolve => {
+      a.request('rpc.add', { id: 'q1', payload: { a: 1, b: 2 } }, { timeoutMs: 2000, onReply: resolve });
+    });
+    await waitFor(() => responder.sent.length === 1, 'responder should receive the request');
+    const request = responder.sent[0].message;
+    assert(b.hasInbox(request.reply_to), 'inbox on the requesting node should be known');
+    assert(b.publish(request.reply_to, { id: 'r1', payload: 3 }).forwarded === 1, 'reply should be forwarded');
+    const reply = await outcome;
+    assert(reply.success && reply.reply.payload === 3, 'requester should get the remote reply');
+    await waitFor(() => !nodeB.hasInterest(request.reply_to), 'inbox interest should be withdrawn');
+    console.log('✅ Remote reply routed\n');
+
+    console.log('🔍 Test 4: interest is withdrawn and peers are checked...');
+    b.disconnectClient('remote');
+    await waitFor(() => !nodeA.hasInterest('orders'), 'interest should be withdrawn');
+    assert(a.publish('orders', { id: 'o2', payload: {} }).forwarded === 0, 'publish should no longer be forwarded');
+    await intruder.start();
+    intruder.addPeer(urlA);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert(!intruder.getStats().peers[urlA].connected && nodeA.inbound.size === 1, 'peer with the wrong secret should be refused');
+    const stats = a.getStats().cluster;
+    assert(stats.nodeId === 'a' && stats.totalForwarded === 3 && stats.totalReceived === 1, 'cluster stats should be reported');
+    const oversized = new WebSocket(urlA);
+    const closeCode = await new Promise(resolve => {
+      oversized.on('open', () => oversized.send('x'.repeat(128 * 1024)));
+      oversized.on('close', resolve);
+    });
+    assert(closeCode === 1009, 'frames above maxPayload should close the link');
+    assert(new ClusterNode(a, logger).host === '127.0.0.1', 'cluster port should default to loopback');
+    console.log('✅ Interest and peers maintained\n');
+
+    console.log('🔍 Test 5: a link dialed by one side carries traffic both ways...');
+    await nodeD.start();
+    nodeD.addPeer(urlA);
+    await waitFor(() => nodeA.getStats().nodes.includes('d') && nodeD.getStats().nodes.includes('a'), 'one-way peer should join');
+    d.createTopic('orders');
+    const dialer = createMockSocket();
+    const acceptor = createMockSocket();
+    d.subscribe('orders', 'dialer', dialer);
+    a.subscribe('orders', 'acceptor', acceptor);
+    await waitFor(() => nodeA.hasInterest('orders') && nodeD.hasInterest('orders'), 'interest should cross in both directions');
+    a.publish('orders', { id: 'o3', payload: {} });
+    d.publish('orders', { id: 'o4', payload: {} });
+    await waitFor(() => dialer.sent.length === 2 && acceptor.sent.length === 2, 'each side should receive the other side\'s publish');
+    assert(dialer.sent[1].message.id === 'o3' && acceptor.sent[1].message.id === 'o4', 'messages should cross the link');
+    assert(acceptor.sent[1].origin_node === 'd', 'forwarded event should name the dialer');
+    console.log('✅ One-way peering delivers both ways\n');
+
+    console.log('🔍 Test 6: malformed peer frames are dropped...');
+    const rogue = new WebSocket(urlA);
+    await new Promise(resolve => rogue.on('open', resolve));
+    rogue.send(JSON.stringify({ type: 'hello', node_id: 'rogue', secret: 'cluster-secret' }));
+    await waitFor(() => nodeA.getStats().nodes.includes('rogue'), 'rogue peer should be accepted');
+    for (const frame of [null, 5, { type: 'publish' }, { type: 'publish', topic: 5, message: {} },
+      { type: 'publish', topic: 'orders', message: 'x' }, { type: 'interest', add: [null, 5] }]) {
+      rogue.send(JSON.stringify(frame));
+    }
+    rogue.send(JSON.stringify({ type: 'publish', topic: 'orders', message: { id: 'o5', payload: {} } }));
+    await waitFor(() => acceptor.sent.length === 3, 'valid frames should still be delivered');
+    assert(acceptor.sent[2].message.id === 'o5' && rogue.readyState === WebSocket.OPEN, 'bad frames should not end the link');
+    rogue.terminate();
+    console.log('✅ Bad frames dropped\n');
+
+    console.log('🎉 Clustering tests passed!\n');
+  } finally {
+    await nodeD.stop();
+    await d.shutdown();
+    await intruder.stop();
+    await intruder.pubsubEngine.shutdown();
+    await nodeA.stop();
+    await nodeB.stop();
+    await a.shutdown();
+    await b.shutdown();
+  }
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function testClusterProcesses() {
+  console.log('🧪 Testing clustering across processes...\n');
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pubsub-cluster-'));
+  const nodes = [];
+  for (const nodeId of ['a', 'b']) {
+    nodes.push({ nodeId, port: await getFreePort(), clusterPort: await getFreePort() });
+  }
+  const peers = nodes.map(node => `ws://127.0.0.1:${node.clusterPort}`).join(',');
+  const api = (node, route, init) => fetch(`http://127.0.0.1:${node.port}${route}`, {
+    ...init,
+    headers: { 'Content-Type': 'application/json' }
+  }).then(res => res.json());
+
+  let subscriber = null;
+  try {
+    for (const node of nodes) {
+      node.process = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        cwd: workDir,
+        stdio: 'ignore',
+        env: {
+          ...process.env,
+          PORT: String(node.port),
+          HOST: '127.0.0.1',
+          CLUSTER_ENABLED: 'true',
+          CLUSTER_NODE_ID: node.nodeId,
+          CLUSTER_PORT: String(node.clusterPort),
+          CLUSTER_PEERS: peers,
+          CLUSTER_SECRET: 'cluster-secret'
+        }
+      });
+      node.exited = new Promise(resolve => node.process.once('exit', resolve));
+    }
+
+    console.log('🔍 Test 1: server processes link over their cluster ports...');
+    const [a, b] = nodes;
+    const linked = async (from, to) => {
+      try {
+        const stats = await api(from, '/stats');
+        return !!stats.cluster.peers[`ws://127.0.0.1:${to.clusterPort}`]?.connected;
+      } catch (error) {
+        return false; // not listening yet
+      }
+    };
+    const deadline = Date.now() + 10000;
+    while (!(await linked(a, b) && await linked(b, a))) {
+      assert(Date.now() < deadline, 'nodes should link');
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    console.log('✅ Processes linked\n');
+
+    console.log('🔍 Test 2: a publish on one process reaches a subscriber on the other...');
+    for (const node of nodes) {
+      await api(node, '/topics', { method: 'POST', body: JSON.stringify({ name: 'orders' }) });
+    }
+    subscriber = new WebSocket(`ws://127.0.0.1:${b.port}/ws`);
+    const events = [];
+    subscriber.on('message', data => {
+      const frame = JSON.parse(data);
+      if (frame.type === 'event') {
+        events.push(frame);
+      }
+    });
+    await new Promise((resolve, reject) => {
+      subscriber.once('open', resolve);
+      subscriber.once('error', reject);
+    });
+    subscriber.send(JSON.stringify({ type: 'subscribe', topic: 'orders', client_id: 'remote' }));
+
+    // Publish until b's interest has reached a and the message is forwarded
+    for (let attempt = 1; events.length === 0; attempt++) {
+      assert(attempt <= 100, 'subscriber on b should receive a message published on a');
+      await api(a, '/topics/orders/messages', {
+        method: 'POST',
+        body: JSON.stringify({ id: `o${attempt}`, payload: { attempt } })
+      });
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert(events[0].origin_node === 'a' && events[0].message.payload.attempt >= 1, 'event should name its origin node');
+    const stats = await api(a, '/stats');
+    assert(stats.cluster.totalForwarded >= 1, 'a should report forwarded messages');
+    console.log('✅ Delivered across processes\n');
+
+    console.log('🔍 Test 3: with auth enabled a node needs a cluster secret...');
+    const insecure = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+      cwd: workDir,
+      stdio: 'ignore',
+      env: {
+        ...process.env,
+        PORT: String(await getFreePort()),
+        HOST: '127.0.0.1',
+        AUTH_ENABLED: 'true',
+        API_KEYS: 'ops-key:admin',
+        CLUSTER_ENABLED: 'true',
+        CLUSTER_PORT: String(await getFreePort()),
+        CLUSTER_SECRET: ''
+      }
+    });
+    const exitCode = await new Promise(resolve => insecure.once('exit', resolve));
+    assert(exitCode === 1, 'node without a cluster secret should refuse to start');
+    console.log('✅ Start refused\n');
+
+    console.log('🎉 Cross-process clustering tests passed!\n');
+  } finally {
+    if (subscriber) {
+      subscriber.terminate();
+    }
+    for (const node of nodes) {
+      if (node.process && node.process.exitCode === null) {
+        node.process.kill('SIGTERM');
+        await node.exited;
+      }
+    }
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+async function testMetrics() {
+  console.log('🧪 Testing Prometheus metrics...\n');
+
+  const pubsub = new PubSubEngine({ maxQueueSize: 1, heartbeatInterval: 1000 });
+  const metrics = new MetricsCollector(pubsub);
+
+  try {
+    pubsub.createTopic('orders');
+    const fast = createMockSocket();
+    const slow = createMockSocket();
+    slow.bufferedAmount = Infinity;
+    pubsub.subscribe('orders', 'fast', fast);
+    pubsub.subscribe('orders', 'slow', slow);
+
+    console.log('🔍 Test 1: counters follow engine events...');
+    pubsub.publish('orders', { id: 'o1', payload: { n: 1 } });
+    pubsub.publish('orders', { id: 'o2', payload: { n: 2 } });
+    const body = metrics.render();
+    assert(body.includes('pubsub_messages_published_total{topic="orders"} 2'), 'publishes should be counted');
+    assert(body.includes('pubsub_messages_delivered_total{topic="orders"} 2'), 'only sent frames count as delivered');
+    assert(body.includes('pubsub_messages_dropped_total{topic="orders"} 1'), 'drops should be counted');
+    console.log('✅ Publish, delivery and drop counters updated\n');
+
+    console.log('🔍 Test 2: gauges and histograms are rendered...');
+    assert(body.includes('pubsub_topic_subscribers{topic="orders"} 2'), 'subscriber gauge missing');
+    assert(body.includes('pubsub_queue_depth{client_id="slow"} 1'), 'queue depth gauge missing');
+    assert(body.includes('pubsub_publish_to_send_seconds_bucket{topic="orders",le="+Inf"} 2'), 'latency histogram missing');
+    assert(body.includes('# TYPE pubsub_publish_to_send_seconds histogram'), 'histogram type missing');
+    console.log('✅ Exposition format rendered\n');
+
+    console.log('🔍 Test 3: deleting a topic drops its label values...');
+    pubsub.createTopic('audit');
+    pubsub.publish('audit', { id: 'a1', payload: {} });
+    pubsub.deleteTopic('orders');
+    const afterDelete = metrics.render();
+    assert(!afterDelete.includes('topic="orders"'), 'deleted topic series should be dropped');
+    assert(afterDelete.includes('pubsub_messages_published_total{topic="audit"} 1'), 'other topics should keep their series');
+    console.log('✅ Deleted topic no longer exported\n');
+
+    console.log('🎉 Metrics tests passed!\n');
+  } finally {
+    await pubsub.shutdown();
+  }
+}
+
+function createMockResponse() {
+  const handlers = {};
+  return {
+    status: null,
+    headers: null,
+    body: '',
+    ended: false,
+    writableLength: 0,
+    writeHead(status, headers) {
+      this.status = status;
+      this.headers = headers;
+    },
+    write(text) {
+      this.body += text;
+    },
+    end() {
+      this.ended = true;
+    },
+    on(event, handler) {
+      handlers[event] = handler;
+    },
+    emit(event) {
+      handlers[event]();
+    }
+  };
+}
+
+function parseEventStream(body) {
+  return body.split('\n\n').filter(record => record && !record.startsWith(':')).map(record => {
+    const fields = {};
+    for (const line of record.split('\n')) {
+      const index = line.indexOf(': ');
+      fields[line.slice(0, index)] = line.slice(index + 2);
+    }
+    return { id: fields.id, event: fields.event || 'message', data: JSON.parse(fields.data) };
+  });
+}
+
+async function testEventStreams() {
+  console.log('🧪 Testing Server-Sent Events...\n');
+
+  const logger = { info() {}, warn() {}, debug() {}, error() {} };
+  const pubsub = new PubSubEngine({ maxMessagesPerTopic: 3, heartbeatInterval: 1000 });
+  const streams = new EventStreamHandler(pubsub, logger);
+  const req = { ip: '127.0.0.1' };
+
+  try {
+    pubsub.createTopic('orders');
+    for (let i = 0; i < 5; i++) {
+      pubsub.publish('orders', { id: `o${i}`, payload: { n: i } });
+    }
+
+    console.log('🔍 Test 1: replay and live events carry offsets as ids...');
+    const res = createMockResponse();
+    const opened = streams.open(req, res, 'orders', { lastN: 2 });
+    assert(opened.success && res.status === 200, 'stream should open');
+    assert(res.headers['Content-Type'].startsWith('text/event-stream'), 'content type should be text/event-stream');
+    pubsub.publish('orders', { id: 'o5', payload: { n: 5 } });
+    await waitFor(() => parseEventStream(res.body).length === 3, 'live event should follow the replay');
+    const events = parseEventStream(res.body);
+    assert(events.map(e => e.id).join() === '3,4,5', 'ids should be message offsets');
+    assert(events[0].data.replay === true && events[2].data.message.id === 'o5', 'replay should precede live events');
+    assert(pubsub.getStats().totalSubscribers === 1, 'streams count as subscribers');
+    console.log('✅ Replayed 2 events, then streamed live\n');
+
+    console.log('🔍 Test 2: Last-Event-ID resumes, with a gap event when evicted...');
+    const resumed = createMockResponse();
+    streams.open(req, resumed, 'orders', { lastEventId: 4 });
+    const resumedEvents = parseEventStream(resumed.body);
+    assert(resumedEvents.length === 1 && resumedEvents[0].id === '5', 'resume should start after the last id');
+    const gapped = createMockResponse();
+    streams.open(req, gapped, 'orders', { lastEventId: 0 });
+    const gappedEvents = parseEventStream(gapped.body);
+    assert(gappedEvents[0].event === 'gap' && gappedEvents[0].data.earliest_offset === 3, 'gap event should report the earliest offset');
+    assert(gappedEvents.slice(1).map(e => e.id).join() === '3,4,5', 'stream should resume from the earliest offset');
+    console.log('✅ Resumed and reported gap\n');
+
+    console.log('🔍 Test 3: failures, disconnects and topic deletion...');
+    const missing = createMockResponse();
+    assert(streams.open(req, missing, 'missing').error === 'TOPIC_NOT_FOUND', 'unknown topic should fail');
+    assert(missing.status === null && missing.body === '', 'failed stream should write nothing');
+    resumed.emit('close');
+    assert(streams.getStats().activeStreams === 2 && pubsub.getStats().totalSubscribers === 2, 'disconnect should unsubscribe');
+    pubsub.deleteTopic('orders');
+    assert(res.ended && gapped.ended, 'streams should end when the topic is deleted');
+    assert(parseEventStream(res.body).pop().event === 'close', 'close event should be sent');
+    res.emit('close');
+    gapped.emit('close');
+    assert(streams.getStats().activeStreams === 0 && streams.getStats().totalStreams === 3, 'stats should track streams');
+    console.log('✅ Streams cleaned up\n');
+
+    console.log('🎉 Server-Sent Events tests passed!\n');
+  } finally {
+    streams.shutdown();
+    await pubsub.shutdown();
+  }
+}
+
+async function testLongPolling() {
+  console.log('🧪 Testing long-poll consumers...\n');
+
+  const logger = { info() {}, warn() {}, debug() {}, error() {} };
+  const pubsub = new PubSubEngine({ maxQueueSize: 3, heartbeatInterval: 1000 });
+  const polling = new LongPollHandler(pubsub, logger, { defaultTimeout: 1000 });
+  const req = { ip: '127.0.0.1' };
+
+  try {
+    pubsub.createTopic('orders');
+    pubsub.publish('orders', { id: 'o0', payload: { n: 0 } });
+    pubsub.publish('orders', { id: 'o1', payload: { n: 1 } });
+
+    console.log('🔍 Test 1: messages wait in the queue until a fetch takes them...');
+    const { consumerId } = polling.register(req, 'orders', { lastN: 2 });
+    assert(pubsub.getClient(consumerId).queue.queueSize === 2, 'replay should wait in the queue');
+    const first = await polling.fetch(consumerId, { limit: 1 });
+    assert(first.messages.length === 1 && first.messages[0].id === 'o0' && first.cursor === 1, 'fetch should respect limit');
+    const second = await polling.fetch(consumerId, { cursor: first.cursor });
+    assert(second.messages[0].id === 'o1' && second.cursor === 2, 'cursor should acknowledge the previous batch');
+
+    const waiting = polling.fetch(consumerId, { cursor: second.cursor, timeoutMs: 1000 });
+    assert(polling.getStats().waitingFetches === 1, 'fetch should wait for messages');
+    pubsub.publish('orders', { id: 'o2', payload: { n: 2 } });
+    pubsub.publish('orders', { id: 'o3', payload: { n: 3 } });
+    const live = await waiting;
+    assert(live.messages.map(m => m.id).join() === 'o2,o3' && !live.redelivered, 'messages published together should arrive together');
+    console.log('✅ Fetched 2 replayed and 2 live messages\n');
+
+    console.log('🔍 Test 2: unacknowledged messages are fetched again...');
+    const again = await polling.fetch(consumerId, { timeoutMs: 0 });
+    assert(again.redelivered && again.messages.length === 2 && again.cursor === live.cursor, 'pending batch should be returned again');
+    const aborted = polling.fetch(consumerId, { cursor: again.cursor, timeoutMs: 1000, owner: 'request-1' });
+    polling.cancelFetch(consumerId, 'request-2');
+    assert(polling.getStats().waitingFetches === 1, 'only the fetch owner may cancel it');
+    polling.cancelFetch(consumerId, 'request-1');
+    assert((await aborted).messages.length === 0, 'cancelled fetch should end empty');
+    pubsub.publish('orders', { id: 'o4', payload: { n: 4 } });
+    assert(pubsub.getClient(consumerId).queue.queueSize === 1, 'message should wait for the next fetch');
+    assert(polling.ack(consumerId, 99).error === 'INVALID_CURSOR', 'cursor past the last message should be rejected');
+    const next = await polling.fetch(consumerId, { timeoutMs: 0 });
+    assert(next.messages[0].id === 'o4' && polling.ack(consumerId, next.cursor).pending === 0, 'ack should settle the batch');
+    console.log('✅ Redelivered until acknowledged\n');
+
+    console.log('🔍 Test 3: backpressure, topic deletion and idle consumers...');
+    for (let i = 5; i < 10; i++) {
+      pubsub.publish('orders', { id: `o${i}`, payload: { n: i } });
+    }
+    assert(pubsub.getClient(consumerId).queue.droppedCount === 2, 'queue should apply the backpressure policy between fetches');
+    pubsub.deleteTopic('orders');
+    const closed = await polling.fetch(consumerId);
+    assert(closed.error === 'CONSUMER_CLOSED' && closed.reason === 'Topic deleted', 'closed consumer should report why');
+    assert((await polling.fetch(consumerId)).error === 'CONSUMER_NOT_FOUND', 'closed consumer should then be removed');
+
+    const idle = new LongPollHandler(pubsub, logger, { idleTimeout: 20 });
+    pubsub.createTopic('jobs');
+    const idleConsumer = idle.register(req, 'jobs').consumerId;
+    await waitFor(() => !idle.getConsumer(idleConsumer), 'idle consumer should be removed');
+    assert(pubsub.getStats().totalSubscribers === 0, 'removed consumers should be unsubscribed');
+    assert(polling.getStats().totalConsumers === 1 && idle.getStats().activeConsumers === 0, 'stats should track consumers');
+    console.log('✅ Consumers cleaned up\n');
+
+    console.log('🎉 Long-poll tests passed!\n');
+  } finally {
+    polling.shutdown();
+    await pubsub.shutdown();
+  }
+}
+
+async function runAll() {
+  await testPubSubEngine();
+  await testWildcardSubscriptions();
+  await testDeliveryPump();
+  await testMessageLog();
+  await testStorageBackends();
+  await testOffsetReplay();
+  await testAckRedelivery();
+  await testConsumerGroups();
+  await testSessions();
+  await testFilters();
+  await testHeadersAndBinary();
+  await testDeduplication();
+  await testScheduledPublish();
+  await testMessageTtl();
+  await testTopicSettings();
+  await testRetainedTopics();
+  await testCompactedTopics();
+  await testRequestReply();
+  await testSchemas();
+  await testAuthentication();
+  await testRateLimiting();
+  await testClustering();
+  await testClusterProcesses();
+  await testMetrics();
+  await testEventStreams();
+  await testLongPolling();
+}
+
 // Run tests if this file is executed directly
 if (require.main === module) {
-  testPubSubEngine().catch(error => {
+  runAll().catch(error => {
     console.error('❌ Test suite failed:', error);
     process.exit(1);
   });
 }
 
-module.exports = { testPubSubEngine };
+module.exports = {
+  testPubSubEngine,
+  testWildcardSubscriptions,
+  testDeliveryPump,
+  testMessageLog,
+  testStorageBackends,
+  testOffsetReplay,
+  testAckRedelivery,
+  testConsumerGroups,
+  testSessions,
+  testFilters,
+  testHeadersAndBinary,
+  testDeduplication,
+  testScheduledPublish,
+  testMessageTtl,
+  testTopicSettings,
+  testRetainedTopics,
+  testCompactedTopics,
+  testRequestReply,
+  testSchemas,
+  testAuthentication,
+  testRateLimiting,
+  testClustering,
+  testClusterProcesses,
+  testMetrics,
+  testEventStreams,
+  testLongPolling
+};
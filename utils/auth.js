@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const { coversPattern } = require('../pubsub/topicPattern');
+
+/**
+ * Authentication and Authorization
+ *
+ * Verifies the credentials presented on REST requests and on the /ws upgrade:
+ * - Static API keys from configuration
+ * - HMAC-signed JWTs (HS256/HS384/HS512) verified locally with a shared secret
+ *
+ * Each authenticated identity carries ACL rules granting 'publish',
+ * 'subscribe' and/or 'admin' on topic patterns ('orders.>', 'billing.*').
+ * Rules come from the identity's roles (mapped through config) and any rules
+ * attached directly to the API key or carried in the JWT 'acl' claim.
+ */
+
+const PERMISSIONS = ['publish', 'subscribe', 'admin'];
+
+const JWT_ALGORITHMS = {
+  HS256: 'sha256',
+  HS384: 'sha384',
+  HS512: 'sha512'
+};
+
+/**
+ * Check for a JSON object (not null, an array or a primitive)
+ * @param {*} value - Parsed JSON value
+ * @returns {boolean} - True for a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+class Authenticator {
+  constructor(options = {}) {
+    this.enabled = options.enabled === true;
+    this.roles = options.roles || {}; // role -> [{ pattern, permissions }]
+    this.jwt = options.jwt || {}; // { secret, issuer, audience, clockTolerance }
+
+    // API keys may be given as entries or as the API_KEYS string format
+    const apiKeys = typeof options.apiKeys === 'string'
+      ? parseApiKeys(options.apiKeys)
+      : options.apiKeys || [];
+
+    this.apiKeys = new Map(); // key -> { name, roles, acl, clientId }
+    for (const entry of apiKeys) {
+      this.apiKeys.set(entry.key, entry);
+    }
+  }
+
+  /**
+   * Extract the presented credential from an HTTP request
+   * Checks 'Authorization: Bearer', 'X-API-Key' and, where allowed, the 'token'
+   * query parameter (browsers cannot set headers on a WebSocket upgrade or an
+   * EventSource). Query tokens end up in URLs, so other requests must not use them
+   * @param {Object} req - HTTP request
+   * @param {Object} options - { allowQuery }
+   * @returns {string|null} - Token or null if none was presented
+   */
+  extractToken(req, options = {}) {
+    const header = req.headers['authorization'];
+    if (header && header.startsWith('Bearer ')) {
+      return header.slice('Bearer '.length).trim();
+    }
+
+    if (req.headers['x-api-key']) {
+      return req.headers['x-api-key'];
+    }
+
+    if (!options.allowQuery) {
+      return null;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('token');
+  }
+
+  /**
+   * Authenticate an HTTP request
+   * @param {Object} req - HTTP request
+   * @param {Object} options - { allowQuery } to accept the 'token' query parameter
+   * @returns {Object} - { identity } or { error, message }
+   */
+  authenticateRequest(req, options = {}) {
+    if (!this.enabled) {
+      return { identity: null };
+    }
+
+    const token = this.extractToken(req, options);
+    if (!token) {
+      return { error: 'UNAUTHORIZED', message: 'Missing credentials' };
+    }
+
+    return this.authenticate(token);
+  }
+
+  /**
+   * Resolve a token to an identity
+   * @param {string} token - API key or JWT
+   * @returns {Object} - { identity } or { error, message }
+   */
+  authenticate(token) {
+    const apiKey = this.findApiKey(token);
+    if (apiKey) {
+      return {
+        identity: {
+          principal: apiKey.name || 'api-key',
+          type: 'api_key',
+          clientId: apiKey.clientId || null,
+          acl: this.resolveAcl(apiKey.roles, apiKey.acl)
+        }
+      };
+    }
+
+    if (token.split('.').length === 3 && this.jwt.secret) {
+      const result = this.verifyJwt(token);
+      if (result.error) {
+        return result;
+      }
+
+      const claims = result.claims;
+      return {
+        identity: {
+          principal: claims.sub || 'jwt',
+          type: 'jwt',
+          clientId: claims.client_id || null,
+          acl: this.resolveAcl(claims.roles, claims.acl)
+        }
+      };
+    }
+
+    return { error: 'UNAUTHORIZED', message: 'Invalid credentials' };
+  }
+
+  /**
+   * Look up an API key in constant time per configured key
+   * @param {string} token - Presented key
+   * @returns {Object|null} - API key entry or null
+   */
+  findApiKey(token) {
+    const presented = Buffer.from(token);
+    for (const [key, entry] of this.apiKeys) {
+      const expected = Buffer.from(key);
+      if (expected.length === presented.length && crypto.timingSafeEqual(expected, presented)) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Verify an HMAC-signed JWT and its registered claims
+   * @param {string} token - Compact JWT
+   * @returns {Object} - { claims } or { error, message }
+   */
+  verifyJwt(token) {
+    const [encodedHeader, encodedPayload, signature] = token.split('.');
+
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return { error: 'UNAUTHORIZED', message: 'Malformed token' };
+    }
+    if (!isPlainObject(header) || !isPlainObject(claims)) {
+      return { error: 'UNAUTHORIZED', message: 'Malformed token' };
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(JWT_ALGORITHMS, header.alg)) {
+      return { error: 'UNAUTHORIZED', message: `Unsupported token algorithm: ${header.alg}` };
+    }
+    const algorithm = JWT_ALGORITHMS[header.alg];
+
+    const expected = crypto
+      .createHmac(algorithm, this.jwt.secret)
+      .update(`${encodedHeader}.${encodedPayload}`)
+      .digest();
+    const presented = Buffer.from(signature, 'base64url');
+    if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+      return { error: 'UNAUTHORIZED', message: 'Invalid token signature' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const tolerance = this.jwt.clockTolerance || 0;
+    if (typeof claims.exp === 'number' && now > claims.exp + tolerance) {
+      return { error: 'UNAUTHORIZED', message: 'Token expired' };
+    }
+    if (typeof claims.nbf === 'number' && now + tolerance < claims.nbf) {
+      return { error: 'UNAUTHORIZED', message: 'Token not yet valid' };
+    }
+    if (this.jwt.issuer && claims.iss !== this.jwt.issuer) {
+      return { error: 'UNAUTHORIZED', message: 'Invalid token issuer' };
+    }
+    if (this.jwt.audience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(this.jwt.audience)) {
+        return { error: 'UNAUTHORIZED', message: 'Invalid token audience' };
+      }
+    }
+
+    return { claims };
+  }
+
+  /**
+   * Combine role rules and explicit rules into one ACL
+   * @param {Array|string} roles - Role names
+   * @param {Array} acl - Explicit rules
+   * @returns {Array} - [{ pattern, permissions }]
+   */
+  resolveAcl(roles = [], acl = []) {
+    const rules = [];
+    const roleNames = typeof roles === 'string' ? [roles] : Array.isArray(roles) ? roles : [];
+
+    for (const role of roleNames) {
+      if (Object.prototype.hasOwnProperty.call(this.roles, role)) {
+        rules.push(...this.roles[role]);
+      }
+    }
+    if (Array.isArray(acl)) {
+      rules.push(...acl);
+    }
+
+    return rules.filter(rule =>
+      rule && typeof rule.pattern === 'string' && Array.isArray(rule.permissions)
+    );
+  }
+
+  /**
+   * Check whether an identity may perform an action on a topic or pattern
+   * @param {Object|null} identity - Authenticated identity (null when auth is disabled)
+   * @param {string} permission - 'publish', 'subscribe' or 'admin'
+   * @param {string} topic - Topic name or subscription pattern
+   * @returns {boolean} - True if allowed
+   */
+  authorize(identity, permission, topic) {
+    if (!this.enabled) {
+      return true;
+    }
+
+    if (!identity || !PERMISSIONS.includes(permission)) {
+      return false;
+    }
+
+    return identity.acl.some(rule =>
+      (rule.permissions.includes(permission) || rule.permissions.includes('admin')) &&
+      coversPattern(rule.pattern, topic)
+    );
+  }
+
+  /**
+   * Check whether an identity may act as a given client_id
+   * Identities bound to a client_id (API key 'clientId' or JWT 'client_id' claim)
+   * may only use that id
+   * @param {Object|null} identity - Authenticated identity
+   * @param {string} clientId - client_id presented by the client
+   * @returns {boolean} - True if allowed
+   */
+  canUseClientId(identity, clientId) {
+    if (!this.enabled || !identity || !identity.clientId) {
+      return true;
+    }
+    return identity.clientId === clientId;
+  }
+
+  /**
+   * Express middleware authenticating every request except the excluded paths
+   * @param {Object} options - { exclude: [path], allowQuery: (req) => boolean for
+   *   requests that may present the 'token' query parameter }
+   * @returns {Function} - Express middleware
+   */
+  middleware(options = {}) {
+    const exclude = new Set(options.exclude || []);
+    const allowQuery = options.allowQuery || (() => false);
+
+    return (req, res, next) => {
+      if (!this.enabled || exclude.has(req.path)) {
+        return next();
+      }
+
+      const result = this.authenticateRequest(req, { allowQuery: allowQuery(req) });
+      if (result.error) {
+        return res.status(401).json({
+          error: result.error,
+          message: result.message,
+          ts: new Date().toISOString()
+        });
+      }
+
+      req.identity = result.identity;
+      next();
+    };
+  }
+}
+
+/**
+ * Parse API keys from an environment variable
+ * Format: 'key1:role1|role2,key2:role3'
+ * @param {string} value - Raw environment value
+ * @returns {Array} - [{ key, name, roles }]
+ */
+function parseApiKeys(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const [key, roles = ''] = entry.split(':');
+      return {
+        key,
+        name: `api-key-${index + 1}`,
+        roles: roles.split('|').filter(Boolean)
+      };
+    });
+}
+
+module.exports = Authenticator;
@@ -1,5 +1,17 @@
 const winston = require('winston');
 
+// Query parameter that carries credentials and must not reach the logs
+const TOKEN_PARAM = /([?&]token=)[^&#]*/gi;
+
+/**
+ * Mask credentials passed in a URL's query string
+ * @param {string} url - Request URL
+ * @returns {string} - URL safe to log
+ */
+function redactUrl(url) {
+  return typeof url === 'string' ? url.replace(TOKEN_PARAM, '$1[REDACTED]') : url;
+}
+
 /**
  * Logger Utility
  * 
@@ -141,9 +153,10 @@ class Logger {
    * Log HTTP request
    */
   logRequest(req, res, responseTime) {
+    const url = redactUrl(req.url);
     const meta = {
       method: req.method,
-      url: req.url,
+      url,
       statusCode: res.statusCode,
       responseTime: `${responseTime}ms`,
       ip: req.ip || req.connection.remoteAddress,
@@ -152,9 +165,9 @@ class Logger {
     };
 
     if (res.statusCode >= 400) {
-      this.warn(`${req.method} ${req.url} - ${res.statusCode}`, meta);
+      this.warn(`${req.method} ${url} - ${res.statusCode}`, meta);
     } else {
-      this.info(`${req.method} ${req.url} - ${res.statusCode}`, meta);
+      this.info(`${req.method} ${url} - ${res.statusCode}`, meta);
     }
   }
 
@@ -215,5 +228,6 @@ const defaultLogger = new Logger();
 
 module.exports = {
   Logger,
-  defaultLogger
+  defaultLogger,
+  redactUrl
 };
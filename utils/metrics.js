@@ -0,0 +1,355 @@
+/**
+ * Prometheus Metrics
+ *
+ * Counters are fed by the events PubSubEngine emits; gauges are sampled from
+ * the engine and WebSocket handler when /metrics is scraped. Output follows
+ * the Prometheus text exposition format (version 0.0.4).
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Publish-to-send latency buckets in seconds (0.1ms .. 5s)
+const LATENCY_BUCKETS = [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+/**
+ * Escape a label value for the text format
+ * @param {string} value - Raw label value
+ * @returns {string} - Escaped value
+ */
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set as '{a="1",b="2"}'
+ * @param {Object} labels - Label names and values
+ * @returns {string} - Rendered labels (empty when there are none)
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Render a number the way Prometheus expects
+ * @param {number} value - Sample value
+ * @returns {string} - Formatted value
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Delete the entries of a metric's value map that carry a label value
+ * @param {Map} values - Serialized labels -> entry with a labels object
+ * @param {string} labelName - Label to match
+ * @param {string} value - Label value to drop
+ */
+function removeLabelValue(values, labelName, value) {
+  for (const [key, entry] of values) {
+    if (entry.labels[labelName] === value) {
+      values.delete(key);
+    }
+  }
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.labelNames = labelNames;
+    this.values = new Map(); // serialized labels -> { labels, value }
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object} labels - Label values
+   * @param {number} amount - Amount to add
+   */
+  inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels);
+    const entry = this.values.get(key) || { labels, value: 0 };
+    entry.value += amount;
+    this.values.set(key, entry);
+  }
+
+  /**
+   * Render the samples
+   * @returns {Array} - Sample lines
+   */
+  samples() {
+    if (this.values.size === 0 && this.labelNames.length === 0) {
+      return [`${this.name} 0`];
+    }
+    return Array.from(this.values.values(), ({ labels, value }) =>
+      `${this.name}${formatLabels(labels)} ${formatValue(value)}`
+    );
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  /**
+   * Drop every label set with the given label value
+   * @param {string} labelName - Label to match
+   * @param {string} value - Label value to drop
+   */
+  remove(labelName, value) {
+    removeLabelValue(this.values, labelName, value);
+  }
+}
+
+class Gauge extends Counter {
+  constructor(name, help, labelNames = []) {
+    super(name, help, labelNames);
+    this.type = 'gauge';
+  }
+
+  /**
+   * Set the gauge
+   * @param {Object} labels - Label values
+   * @param {number} value - New value
+   */
+  set(labels, value) {
+    this.values.set(formatLabels(labels), { labels, value });
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.values = new Map(); // serialized labels -> { labels, counts, sum, count }
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const key = formatLabels(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) {
+        entry.counts[i]++;
+      }
+    }
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Render the cumulative bucket, sum and count samples
+   * @returns {Array} - Sample lines
+   */
+  samples() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Drop every label set with the given label value
+   * @param {string} labelName - Label to match
+   * @param {string} value - Label value to drop
+   */
+  remove(labelName, value) {
+    removeLabelValue(this.values, labelName, value);
+  }
+}
+
+/**
+ * Metrics Collector
+ *
+ * Subscribes to engine events on construction, so it should be created right
+ * after the engine to avoid missing early events.
+ */
+class MetricsCollector {
+  constructor(pubsubEngine, wsHandler = null) {
+    this.pubsubEngine = pubsubEngine;
+    this.wsHandler = wsHandler;
+    this.contentType = CONTENT_TYPE;
+
+    // Event-fed counters
+    this.published = new Counter('pubsub_messages_published_total', 'Messages published', ['topic']);
+    this.delivered = new Counter('pubsub_messages_delivered_total', 'Event frames written to subscriber sockets', ['topic']);
+    this.dropped = new Counter('pubsub_messages_dropped_total', 'Messages dropped from full subscriber queues', ['topic']);
+    this.acked = new Counter('pubsub_messages_acked_total', 'Deliveries acknowledged by clients', ['topic']);
+    this.redelivered = new Counter('pubsub_messages_redelivered_total', 'Deliveries retried after a nack or ack timeout', ['topic']);
+    this.deadLettered = new Counter('pubsub_messages_dead_lettered_total', 'Messages moved to a dead-letter topic', ['topic']);
+    this.expired = new Counter('pubsub_messages_expired_total', 'Deliveries dropped because the message TTL ran out', ['topic']);
+    this.duplicates = new Counter('pubsub_messages_duplicate_total', 'Publishes ignored because the message id was seen recently', ['topic']);
+    this.sessionsExpired = new Counter('pubsub_sessions_expired_total', 'Suspended sessions that expired before reconnecting');
+    this.persistenceErrors = new Counter('pubsub_persistence_errors_total', 'Failed storage writes (messages, settings, schemas, retained values)', ['topic']);
+    this.latency = new Histogram('pubsub_publish_to_send_seconds', 'Time from publish to the frame being written to the socket', ['topic']);
+
+    // Gauges sampled at scrape time
+    this.topics = new Gauge('pubsub_topics', 'Number of topics');
+    this.topicSubscribers = new Gauge('pubsub_topic_subscribers', 'Subscribers per topic', ['topic']);
+    this.patternSubscribers = new Gauge('pubsub_pattern_subscribers', 'Subscribers per wildcard pattern', ['pattern']);
+    this.topicMessages = new Gauge('pubsub_topic_retained_messages', 'Messages held in the replay buffer per topic', ['topic']);
+    this.queueDepth = new Gauge('pubsub_queue_depth', 'Messages waiting in each subscriber queue', ['client_id']);
+    this.queuedMessages = new Gauge('pubsub_queued_messages', 'Messages waiting across all subscriber queues');
+    this.blockedQueues = new Gauge('pubsub_blocked_queues', 'Subscriber queues paused by socket backpressure');
+    this.pendingAcks = new Gauge('pubsub_pending_acks', 'Deliveries awaiting acknowledgement');
+    this.scheduledMessages = new Gauge('pubsub_scheduled_messages', 'Messages held for delayed delivery');
+    this.suspendedSessions = new Gauge('pubsub_suspended_sessions', 'Sessions kept for disconnected clients');
+    this.connections = new Gauge('pubsub_websocket_connections', 'Open WebSocket connections');
+    this.uptime = new Gauge('process_uptime_seconds', 'Process uptime in seconds');
+    this.residentMemory = new Gauge('process_resident_memory_bytes', 'Resident memory size in bytes');
+    this.heapUsed = new Gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes');
+
+    this.metrics = [
+      this.published, this.delivered, this.dropped, this.acked, this.redelivered,
+      this.deadLettered, this.expired, this.duplicates, this.sessionsExpired,
+      this.persistenceErrors, this.latency,
+      this.topics, this.topicSubscribers, this.patternSubscribers, this.topicMessages,
+      this.queueDepth, this.queuedMessages, this.blockedQueues, this.pendingAcks,
+      this.scheduledMessages, this.suspendedSessions, this.connections, this.uptime,
+      this.residentMemory, this.heapUsed
+    ];
+
+    this.attach();
+  }
+
+  /**
+   * Feed the counters from engine events
+   */
+  attach() {
+    const engine = this.pubsubEngine;
+
+    engine.on('messagePublished', (topicName) => {
+      this.published.inc({ topic: topicName });
+    });
+
+    engine.on('messageSent', (clientId, topicName, message, latencyMs) => {
+      this.delivered.inc({ topic: topicName });
+      if (latencyMs !== null) {
+        this.latency.observe({ topic: topicName }, latencyMs / 1000);
+      }
+    });
+
+    engine.on('messageDropped', (clientId, topicName) => {
+      this.dropped.inc({ topic: topicName });
+    });
+
+    engine.on('messageAcked', (clientId, topicName) => {
+      this.acked.inc({ topic: topicName });
+    });
+
+    engine.on('messageRedelivered', (clientId, topicName) => {
+      this.redelivered.inc({ topic: topicName });
+    });
+
+    engine.on('messageDeadLettered', (clientId, topicName) => {
+      this.deadLettered.inc({ topic: topicName });
+    });
+
+    engine.on('messageExpired', (clientId, topicName) => {
+      this.expired.inc({ topic: topicName });
+    });
+
+    engine.on('messageDuplicate', (topicName) => {
+      this.duplicates.inc({ topic: topicName });
+    });
+
+    engine.on('sessionExpired', () => {
+      this.sessionsExpired.inc();
+    });
+
+    engine.on('persistenceError', (topicName) => {
+      this.persistenceErrors.inc({ topic: topicName });
+    });
+
+    // Forget a deleted topic's series so churned topics don't pile up labels
+    engine.on('topicDeleted', (topicName) => {
+      for (const metric of this.metrics) {
+        if (metric.labelNames.includes('topic')) {
+          metric.remove('topic', topicName);
+        }
+      }
+    });
+  }
+
+  /**
+   * Sample the gauges from current engine and connection state
+   */
+  collect() {
+    const stats = this.pubsubEngine.getStats();
+
+    for (const gauge of [this.topicSubscribers, this.patternSubscribers, this.topicMessages, this.queueDepth]) {
+      gauge.reset();
+    }
+
+    this.topics.set({}, Object.keys(stats.topics).length);
+    for (const [topicName, topic] of Object.entries(stats.topics)) {
+      this.topicSubscribers.set({ topic: topicName }, topic.subscribers);
+      this.topicMessages.set({ topic: topicName }, topic.messages);
+    }
+    for (const [pattern, subscription] of Object.entries(stats.patterns)) {
+      this.patternSubscribers.set({ pattern }, subscription.subscribers);
+    }
+
+    for (const [clientId, queue] of Object.entries(stats.queues.queueStats)) {
+      this.queueDepth.set({ client_id: clientId }, queue.queueSize);
+    }
+    this.queuedMessages.set({}, stats.queues.totalQueuedMessages);
+    this.blockedQueues.set({}, stats.queues.blockedQueues);
+    this.pendingAcks.set({}, stats.acks.totalPending);
+    this.scheduledMessages.set({}, stats.scheduled.pending);
+    this.suspendedSessions.set({}, stats.sessions.suspended);
+
+    const wsStats = this.wsHandler ? this.wsHandler.getStats() : { totalClients: 0 };
+    this.connections.set({}, wsStats.totalClients);
+
+    const memory = process.memoryUsage();
+    this.uptime.set({}, Math.floor(process.uptime()));
+    this.residentMemory.set({}, memory.rss);
+    this.heapUsed.set({}, memory.heapUsed);
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   * @returns {string} - Exposition body
+   */
+  render() {
+    this.collect();
+
+    const lines = [];
+    for (const metric of this.metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.samples());
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = MetricsCollector;
@@ -0,0 +1,188 @@
+/**
+ * Rate Limiting
+ *
+ * Token buckets applied to publishes over WebSocket and REST. Each publish
+ * draws from up to three buckets:
+ * - client: the publisher's client_id (REST callers without one use their IP)
+ * - apiKey: the API key the publisher authenticated with
+ * - topic: the topic being published to
+ *
+ * A bucket holds up to 'burst' tokens and refills at 'rate' tokens per
+ * second. Limits come from the scope defaults and may be overridden per
+ * client_id, API key name or topic name; a rate of 0 leaves that scope or
+ * name unlimited. A publish is only charged when every bucket allows it.
+ */
+
+const SCOPES = ['client', 'apiKey', 'topic'];
+
+const SCOPE_LABELS = {
+  client: 'client',
+  apiKey: 'API key',
+  topic: 'topic'
+};
+
+// Full buckets are forgotten at most this often
+const SWEEP_INTERVAL = 60 * 1000;
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.enabled = options.enabled === true;
+
+    const overrides = options.overrides || {};
+    this.limits = {}; // scope -> { rate, burst } or null
+    this.overrides = {
+      client: overrides.clients || {},
+      apiKey: overrides.apiKeys || {},
+      topic: overrides.topics || {}
+    };
+    for (const scope of SCOPES) {
+      this.limits[scope] = normalizeLimit(options[scope]);
+    }
+
+    this.buckets = new Map(); // 'scope:key' -> { tokens, updatedAt, rate, burst }
+    this.lastSweep = Date.now();
+    this.totalAllowed = 0;
+    this.totalLimited = 0;
+    this.limitedByScope = { client: 0, apiKey: 0, topic: 0 };
+  }
+
+  /**
+   * Resolve the limit for one key in a scope
+   * @param {string} scope - 'client', 'apiKey' or 'topic'
+   * @param {string} key - client_id, API key name or topic name
+   * @returns {Object|null} - { rate, burst } or null when unlimited
+   */
+  limitFor(scope, key) {
+    // Keys are chosen by clients, so names like 'constructor' must not reach the prototype
+    const overrides = this.overrides[scope];
+    const override = Object.prototype.hasOwnProperty.call(overrides, key) ? overrides[key] : null;
+    return override ? normalizeLimit(override) : this.limits[scope];
+  }
+
+  /**
+   * Take tokens from every bucket that applies to a publish
+   * A cost larger than a bucket's burst is allowed once the bucket is full,
+   * leaving the bucket in debt until it refills
+   * @param {Object} subjects - { client, apiKey, topic }; missing keys are skipped
+   * @param {number} cost - Tokens to take (one per message)
+   * @returns {Object} - { allowed } or { allowed: false, scope, key, retryAfterMs, reason }
+   */
+  take(subjects, cost = 1) {
+    if (!this.enabled) {
+      return { allowed: true };
+    }
+
+    const now = Date.now();
+    if (now - this.lastSweep >= SWEEP_INTERVAL) {
+      this.sweep(now);
+    }
+
+    const charged = [];
+    for (const scope of SCOPES) {
+      const key = subjects[scope];
+      if (key === undefined || key === null) {
+        continue;
+      }
+
+      const limit = this.limitFor(scope, key);
+      if (!limit) {
+        continue;
+      }
+
+      const bucket = this.refill(`${scope}:${key}`, limit, now);
+      const needed = Math.min(cost, limit.burst);
+      if (bucket.tokens < needed) {
+        this.totalLimited++;
+        this.limitedByScope[scope]++;
+        return {
+          allowed: false,
+          scope,
+          key,
+          retryAfterMs: Math.ceil((needed - bucket.tokens) / limit.rate * 1000),
+          reason: `Rate limit exceeded for ${SCOPE_LABELS[scope]} '${key}'`
+        };
+      }
+      charged.push(bucket);
+    }
+
+    for (const bucket of charged) {
+      bucket.tokens -= cost;
+    }
+    this.totalAllowed++;
+    return { allowed: true };
+  }
+
+  /**
+   * Bring a bucket up to date, creating it full on first use
+   * @param {string} id - Bucket identifier
+   * @param {Object} limit - { rate, burst }
+   * @param {number} now - Current time in epoch ms
+   * @returns {Object} - The bucket
+   */
+  refill(id, limit, now) {
+    let bucket = this.buckets.get(id);
+    if (!bucket) {
+      bucket = { tokens: limit.burst, updatedAt: now, rate: limit.rate, burst: limit.burst };
+      this.buckets.set(id, bucket);
+      return bucket;
+    }
+
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + elapsed * limit.rate);
+    bucket.updatedAt = now;
+    bucket.rate = limit.rate;
+    bucket.burst = limit.burst;
+    return bucket;
+  }
+
+  /**
+   * Forget buckets that have refilled completely; they would be recreated full
+   * @param {number} now - Current time in epoch ms
+   */
+  sweep(now = Date.now()) {
+    for (const [id, bucket] of this.buckets) {
+      const tokens = bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.rate;
+      if (tokens >= bucket.burst) {
+        this.buckets.delete(id);
+      }
+    }
+    this.lastSweep = now;
+  }
+
+  /**
+   * Get rate limiting statistics
+   * @returns {Object} - Rate limiting statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      limits: { ...this.limits },
+      overrides: {
+        clients: Object.keys(this.overrides.client).length,
+        apiKeys: Object.keys(this.overrides.apiKey).length,
+        topics: Object.keys(this.overrides.topic).length
+      },
+      buckets: this.buckets.size,
+      totalAllowed: this.totalAllowed,
+      totalLimited: this.totalLimited,
+      limitedByScope: { ...this.limitedByScope }
+    };
+  }
+}
+
+/**
+ * Validate a configured limit
+ * @param {Object} limit - { rate, burst }
+ * @returns {Object|null} - { rate, burst } or null when unlimited
+ */
+function normalizeLimit(limit) {
+  if (!limit || !(limit.rate > 0)) {
+    return null;
+  }
+  return {
+    rate: limit.rate,
+    burst: limit.burst > 0 ? limit.burst : Math.max(1, Math.ceil(limit.rate))
+  };
+}
+
+module.exports = RateLimiter;
@@ -1,5 +1,6 @@
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
+const { decodeBinaryFrame, fromJSONMessage, toJSONMessage } = require('../pubsub/messageCodec');
 
 /**
  * WebSocket Handler for Pub/Sub System
@@ -12,9 +13,11 @@ const { v4: uuidv4 } = require('uuid');
  */
 
 class WebSocketHandler {
-  constructor(pubsubEngine, logger) {
+  constructor(pubsubEngine, logger, authenticator = null, rateLimiter = null) {
     this.pubsubEngine = pubsubEngine;
     this.logger = logger;
+    this.authenticator = authenticator;
+    this.rateLimiter = rateLimiter;
     this.clients = new Map(); // clientId -> { ws, topics, connectedAt }
     this.connectionCounter = 0;
     
@@ -37,14 +40,39 @@ class WebSocketHandler {
       topics: new Set(),
       connectedAt: Date.now(),
       lastPing: Date.now(),
-      connectionId: connectionId
+      connectionId: connectionId,
+      identity: null
     };
 
     this.clients.set(connectionId, clientInfo);
+
+    if (this.authenticator) {
+      let auth;
+      try {
+        auth = this.authenticator.authenticateRequest(req, { allowQuery: true });
+      } catch (error) {
+        // Never let a malformed credential take the process down
+        auth = { error: 'UNAUTHORIZED', message: 'Invalid credentials' };
+      }
+      if (auth.error) {
+        this.logger.warn(`WebSocket authentication failed: ${connectionId}`, {
+          connectionId,
+          ip: req.socket.remoteAddress,
+          reason: auth.message
+        });
+
+        this.sendError(connectionId, auth.error, auth.message);
+        this.clients.delete(connectionId);
+        ws.close(1008, 'Unauthorized');
+        return;
+      }
+      clientInfo.identity = auth.identity;
+    }
     this.connectionCounter++;
 
     this.logger.info(`WebSocket client connected: ${connectionId}`, {
       connectionId,
+      principal: clientInfo.identity ? clientInfo.identity.principal : undefined,
       ip: req.socket.remoteAddress,
       userAgent: req.headers['user-agent'],
       connectionCount: this.connectionCounter
@@ -58,7 +86,7 @@ class WebSocketHandler {
     });
 
     // Set up event handlers
-    ws.on('message', (data) => this.handleMessage(connectionId, data));
+    ws.on('message', (data, isBinary) => this.handleMessage(connectionId, data, isBinary));
     ws.on('close', (code, reason) => this.handleClose(connectionId, code, reason));
     ws.on('error', (error) => this.handleError(connectionId, error));
 
@@ -87,13 +115,14 @@ class WebSocketHandler {
    * Handle incoming WebSocket message
    * @param {string} clientId - Client identifier
    * @param {Buffer|string} data - Raw message data
+   * @param {boolean} isBinary - True for binary frames (publish with a binary payload)
    */
-  handleMessage(clientId, data) {
+  handleMessage(clientId, data, isBinary = false) {
     let message;
     try {
-      message = JSON.parse(data.toString());
+      message = isBinary ? decodeBinaryFrame(data) : JSON.parse(data.toString());
     } catch (error) {
-      this.sendError(clientId, 'BAD_REQUEST', 'Invalid JSON message');
+      this.sendError(clientId, 'BAD_REQUEST', isBinary ? `Invalid binary frame: ${error.message}` : 'Invalid JSON message');
       return;
     }
 
@@ -103,30 +132,59 @@ class WebSocketHandler {
       return;
     }
 
-    const { type, topic, message: msgData, client_id, last_n, request_id } = message;
+    if (isBinary && message.type !== 'publish') {
+      this.sendError(clientId, 'BAD_REQUEST', 'Binary frames are only accepted for publish');
+      return;
+    }
+
+    const {
+      type, topic, message: msgData, client_id, last_n, from_offset, from_ts,
+      ack_mode, group, filter, delivery_tag, requeue, deliver_at, delay_ms, timeout_ms, request_id
+    } = message;
 
     // According to assignment: client_id is required for subscribe/unsubscribe/publish
-    if ((type === 'subscribe' || type === 'unsubscribe' || type === 'publish') && !client_id) {
+    if (['subscribe', 'unsubscribe', 'publish', 'request'].includes(type) && !client_id) {
       this.sendError(clientId, 'BAD_REQUEST', 'client_id is required for this operation');
       return;
     }
 
-    // Store the client-provided ID for this connection for tracking
+    // Opt in to keeping subscriptions across reconnects
     const client = this.clients.get(clientId);
-    if (client && client_id) {
+    if (client && message.session === true) {
+      client.sessionMode = true;
+    }
+
+    // Identities bound to a client_id may not act as any other client
+    if (client && client_id && this.authenticator &&
+        !this.authenticator.canUseClientId(client.identity, client_id)) {
+      this.sendError(clientId, 'FORBIDDEN', `Not allowed to use client_id: ${client_id}`);
+      return;
+    }
+
+    // Store the client-provided ID for this connection for tracking
+    if (client && client_id && client.clientProvidedId !== client_id) {
       client.clientProvidedId = client_id;
+      // Reattach a session this client_id left behind on a previous connection
+      this.resumeSession(clientId);
     }
 
     try {
       switch (type) {
         case 'subscribe':
-          this.handleSubscribe(clientId, topic, last_n, request_id);
+          this.handleSubscribe(clientId, topic, last_n, request_id, { from_offset, from_ts, ack_mode, group, filter });
           break;
         case 'unsubscribe':
           this.handleUnsubscribe(clientId, topic, request_id);
           break;
         case 'publish':
-          this.handlePublish(clientId, topic, msgData, request_id);
+          this.handlePublish(clientId, topic, msgData, request_id, { deliver_at, delay_ms });
+          break;
+        case 'request':
+          this.handleRequest(clientId, topic, msgData, request_id, timeout_ms);
+          break;
+        case 'ack':
+        case 'nack':
+          this.handleAck(clientId, type, delivery_tag, requeue, request_id);
           break;
         case 'ping':
           this.handlePing(clientId, request_id);
@@ -150,45 +208,181 @@ class WebSocketHandler {
    * @param {string} topic - Topic name
    * @param {number} lastN - Number of messages to replay
    * @param {string} requestId - Request correlation ID
+   * @param {Object} replay - Resume position { from_offset, from_ts }, ack_mode, group and filter
    */
-  handleSubscribe(clientId, topic, lastN = 0, requestId) {
+  handleSubscribe(clientId, topic, lastN = 0, requestId, replay = {}) {
     if (!topic) {
       this.sendError(clientId, 'BAD_REQUEST', 'Topic is required for subscribe');
       return;
     }
 
+    const replayOptions = this.parseReplayOptions(lastN, replay);
+    if (replayOptions.error) {
+      this.sendError(clientId, 'BAD_REQUEST', replayOptions.error);
+      return;
+    }
+
+    const ackMode = replay.ack_mode || 'auto';
+    if (ackMode !== 'auto' && ackMode !== 'client') {
+      this.sendError(clientId, 'BAD_REQUEST', "ack_mode must be 'auto' or 'client'");
+      return;
+    }
+
+    const group = replay.group;
+    if (group !== undefined && (typeof group !== 'string' || group.trim().length === 0)) {
+      this.sendError(clientId, 'BAD_REQUEST', 'group must be a non-empty string');
+      return;
+    }
+
     const client = this.clients.get(clientId);
     if (!client) {
       this.sendError(clientId, 'UNAUTHORIZED', 'Client not found');
       return;
     }
 
+    if (!this.isAuthorized(client, 'subscribe', topic)) {
+      this.sendError(clientId, 'FORBIDDEN', `Not allowed to subscribe to topic: ${topic}`);
+      return;
+    }
+
     // Use the client-provided ID for Pub/Sub operations, fallback to connection ID
     const pubsubClientId = client.clientProvidedId || clientId;
-    const result = this.pubsubEngine.subscribe(topic, pubsubClientId, client.ws, lastN);
+
+    // Already restored from the client's session; confirm instead of failing
+    if (client.resumedTopics && client.resumedTopics.has(topic)) {
+      client.resumedTopics.delete(topic);
+      this.sendToClient(client.ws, {
+        type: 'ack',
+        request_id: requestId,
+        topic: topic,
+        status: 'ok',
+        resumed: true,
+        ts: new Date().toISOString()
+      });
+      return;
+    }
+
+    const result = this.pubsubEngine.subscribe(topic, pubsubClientId, client.ws, lastN, {
+      ...replayOptions,
+      ackMode,
+      group: group && group.trim(),
+      filter: replay.filter
+    });
     
     if (result.success) {
       client.topics.add(topic);
       
-      this.sendToClient(client.ws, {
+      const ack = {
         type: 'ack',
         request_id: requestId,
         topic: topic,
         status: 'ok',
         ts: new Date().toISOString()
-      });
+      };
+      if (result.nextOffset !== undefined) {
+        ack.next_offset = result.nextOffset;
+      }
+      this.sendToClient(client.ws, ack);
 
       this.logger.info(`Client subscribed to topic`, {
         connectionId: clientId,
         clientProvidedId: pubsubClientId,
         topic,
-        lastN
+        pattern: !!result.pattern,
+        ackMode,
+        group,
+        filtered: replay.filter !== undefined && replay.filter !== null,
+        lastN,
+        ...replayOptions
+      });
+    } else if (result.error === 'INVALID_PATTERN') {
+      this.sendError(clientId, 'BAD_REQUEST', `Invalid subscription pattern: ${topic}`);
+    } else if (result.error === 'INVALID_FILTER') {
+      this.sendError(clientId, 'BAD_REQUEST', `Invalid filter: ${result.reason}`);
+    } else if (result.error === 'TOPIC_FULL') {
+      this.sendError(clientId, 'TOPIC_FULL', `Topic ${topic} already has its maximum of ${result.maxSubscribers} subscribers`);
+    } else if (result.error === 'OFFSET_NOT_SUPPORTED') {
+      this.sendError(clientId, 'BAD_REQUEST', 'from_offset cannot be used with pattern subscriptions');
+    } else if (result.error === 'OFFSET_OUT_OF_RANGE') {
+      this.sendError(clientId, 'OFFSET_OUT_OF_RANGE', `Offset ${replayOptions.fromOffset} is not available for topic: ${topic}`, {
+        earliest_offset: result.earliestOffset,
+        next_offset: result.nextOffset
       });
     } else {
       this.sendError(clientId, result.error, `Failed to subscribe to topic: ${topic}`);
     }
   }
 
+  /**
+   * Validate the replay fields of a subscribe message
+   * @param {number} lastN - Number of messages to replay
+   * @param {Object} replay - { from_offset, from_ts }
+   * @returns {Object} - { fromOffset, fromTs } or { error }
+   */
+  parseReplayOptions(lastN, replay) {
+    const { from_offset, from_ts } = replay;
+    const positions = [lastN > 0, from_offset !== undefined, from_ts !== undefined].filter(Boolean);
+    if (positions.length > 1) {
+      return { error: 'Only one of last_n, from_offset and from_ts may be given' };
+    }
+
+    const options = {};
+
+    if (from_offset !== undefined) {
+      if (!Number.isInteger(from_offset) || from_offset < 0) {
+        return { error: 'from_offset must be a non-negative integer' };
+      }
+      options.fromOffset = from_offset;
+    }
+
+    if (from_ts !== undefined) {
+      // Accept epoch milliseconds or an ISO-8601 timestamp
+      const ts = typeof from_ts === 'number' ? from_ts : Date.parse(from_ts);
+      if (!Number.isFinite(ts)) {
+        return { error: 'from_ts must be epoch milliseconds or an ISO-8601 timestamp' };
+      }
+      options.fromTs = ts;
+    }
+
+    return options;
+  }
+
+  /**
+   * Restore a detached session for the connection's client_id, if one exists
+   * @param {string} clientId - Client identifier
+   */
+  resumeSession(clientId) {
+    const client = this.clients.get(clientId);
+    const session = this.pubsubEngine.getClient(client.clientProvidedId);
+    if (!session || !session.suspended) {
+      return;
+    }
+
+    // Announce the resume before the buffered events start flowing
+    this.sendToClient(client.ws, {
+      type: 'info',
+      message: 'session resumed',
+      topics: session.topics,
+      queued: session.queue ? session.queue.queueSize : 0,
+      ts: new Date().toISOString()
+    });
+
+    const result = this.pubsubEngine.resumeClient(client.clientProvidedId, client.ws);
+
+    client.sessionMode = true;
+    client.resumedTopics = new Set(result.topics);
+    for (const topic of result.topics) {
+      client.topics.add(topic);
+    }
+
+    this.logger.info(`Client session resumed`, {
+      connectionId: clientId,
+      clientProvidedId: client.clientProvidedId,
+      topics: result.topics,
+      queued: result.queued
+    });
+  }
+
   /**
    * Handle unsubscribe message
    * @param {string} clientId - Client identifier
@@ -213,6 +407,9 @@ class WebSocketHandler {
     
     if (result) {
       client.topics.delete(topic);
+      if (client.resumedTopics) {
+        client.resumedTopics.delete(topic);
+      }
       
       this.sendToClient(client.ws, {
         type: 'ack',
@@ -238,41 +435,224 @@ class WebSocketHandler {
    * @param {string} topic - Topic name
    * @param {Object} message - Message to publish
    * @param {string} requestId - Request correlation ID
+   * @param {Object} schedule - Optional delivery time { deliver_at } or { delay_ms }
    */
-  handlePublish(clientId, topic, message, requestId) {
+  handlePublish(clientId, topic, message, requestId, schedule = {}) {
     if (!topic) {
       this.sendError(clientId, 'BAD_REQUEST', 'Topic is required for publish');
       return;
     }
 
-    if (!message || !message.id || !message.payload) {
+    if (!message || !message.id || message.payload === undefined) {
       this.sendError(clientId, 'BAD_REQUEST', 'Message must have id and payload');
       return;
     }
 
-    const result = this.pubsubEngine.publish(topic, message);
+    // Replies to a request inbox need no grant; the inbox name is the capability
+    if (!this.pubsubEngine.isInbox(topic) && !this.isAuthorized(this.clients.get(clientId), 'publish', topic)) {
+      this.sendError(clientId, 'FORBIDDEN', `Not allowed to publish to topic: ${topic}`);
+      return;
+    }
+
+    if (!this.checkRateLimit(clientId, topic, requestId)) {
+      return;
+    }
+
+    // JSON clients may send binary payloads base64-encoded
+    message = fromJSONMessage(message);
+
+    const scheduled = schedule.deliver_at !== undefined || schedule.delay_ms !== undefined;
+    const result = scheduled
+      ? this.pubsubEngine.schedulePublish(topic, message, { deliverAt: schedule.deliver_at, delayMs: schedule.delay_ms })
+      : this.pubsubEngine.publish(topic, message);
     
-    if (result.success) {
+    if (result.success && result.scheduleId) {
       this.sendToClient(this.clients.get(clientId).ws, {
         type: 'ack',
         request_id: requestId,
         topic: topic,
-        status: 'ok',
+        status: result.duplicate ? 'duplicate' : 'scheduled',
+        schedule_id: result.scheduleId,
+        deliver_at: new Date(result.deliverAt).toISOString(),
+        ts: new Date().toISOString()
+      });
+
+      this.logger.info(result.duplicate ? `Duplicate message ignored` : `Message scheduled for topic`, {
+        clientId,
+        topic,
+        messageId: message.id,
+        scheduleId: result.scheduleId,
+        deliverAt: new Date(result.deliverAt).toISOString()
+      });
+    } else if (result.success) {
+      this.sendToClient(this.clients.get(clientId).ws, {
+        type: 'ack',
+        request_id: requestId,
+        topic: topic,
+        status: result.duplicate ? 'duplicate' : 'ok',
+        offset: result.offset,
         subscribers: result.subscribers,
         ts: new Date().toISOString()
       });
 
-      this.logger.info(`Message published to topic`, {
+      this.logger.info(result.duplicate ? `Duplicate message ignored` : `Message published to topic`, {
         clientId,
         topic,
         messageId: message.id,
+        offset: result.offset,
         subscribers: result.subscribers
       });
+    } else if (result.error === 'INVALID_MESSAGE' || result.error === 'INVALID_SCHEDULE') {
+      this.sendError(clientId, 'BAD_REQUEST', result.reason);
+    } else if (result.error === 'MESSAGE_TOO_LARGE') {
+      this.sendError(clientId, 'MESSAGE_TOO_LARGE', result.reason);
+    } else if (result.error === 'SCHEMA_VIOLATION') {
+      this.sendError(clientId, 'SCHEMA_VIOLATION', result.reason, {
+        request_id: requestId,
+        path: result.path,
+        schema_version: result.schemaVersion
+      });
     } else {
       this.sendError(clientId, result.error, `Failed to publish to topic: ${topic}`);
     }
   }
 
+  /**
+   * Handle request message
+   * Publishes the message with a reply inbox; the client receives exactly one
+   * response: a 'reply' frame with the first reply, or an error frame
+   * @param {string} clientId - Client identifier
+   * @param {string} topic - Topic name
+   * @param {Object} message - Request message
+   * @param {string} requestId - Request correlation ID
+   * @param {number} timeoutMs - How long to wait for a reply (engine default if omitted)
+   */
+  handleRequest(clientId, topic, message, requestId, timeoutMs) {
+    if (!message || !message.id || message.payload === undefined) {
+      this.sendError(clientId, 'BAD_REQUEST', 'Message must have id and payload', { request_id: requestId });
+      return;
+    }
+
+    if (!this.isAuthorized(this.clients.get(clientId), 'publish', topic)) {
+      this.sendError(clientId, 'FORBIDDEN', `Not allowed to publish to topic: ${topic}`, { request_id: requestId });
+      return;
+    }
+
+    if (!this.checkRateLimit(clientId, topic, requestId)) {
+      return;
+    }
+
+    message = fromJSONMessage(message);
+
+    const result = this.pubsubEngine.request(topic, message, {
+      timeoutMs: timeoutMs,
+      owner: clientId,
+      onReply: (outcome) => this.sendReply(clientId, topic, requestId, outcome)
+    });
+
+    if (result.success) {
+      this.logger.info(`Request published to topic`, {
+        clientId,
+        topic,
+        messageId: message.id,
+        correlationId: result.correlationId,
+        subscribers: result.subscribers,
+        timeoutMs: result.timeoutMs
+      });
+    } else if (result.error === 'INVALID_MESSAGE') {
+      this.sendError(clientId, 'BAD_REQUEST', result.reason, { request_id: requestId });
+    } else if (result.error === 'MESSAGE_TOO_LARGE') {
+      this.sendError(clientId, 'MESSAGE_TOO_LARGE', result.reason, { request_id: requestId });
+    } else if (result.error === 'SCHEMA_VIOLATION') {
+      this.sendError(clientId, 'SCHEMA_VIOLATION', result.reason, {
+        request_id: requestId,
+        path: result.path,
+        schema_version: result.schemaVersion
+      });
+    } else if (result.error === 'NO_RESPONDERS') {
+      this.sendError(clientId, 'NO_RESPONDERS', `No subscribers to answer requests on topic: ${topic}`, { request_id: requestId });
+    } else {
+      this.sendError(clientId, result.error, `Failed to send request to topic: ${topic}`, { request_id: requestId });
+    }
+  }
+
+  /**
+   * Send the outcome of a request to the requester
+   * @param {string} clientId - Client identifier
+   * @param {string} topic - Topic the request was published to
+   * @param {string} requestId - Request correlation ID
+   * @param {Object} outcome - { success, reply, correlationId } or { error, correlationId }
+   */
+  sendReply(clientId, topic, requestId, outcome) {
+    const client = this.clients.get(clientId);
+    if (!client) {
+      return;
+    }
+
+    if (!outcome.success) {
+      const message = outcome.error === 'REQUEST_TIMEOUT'
+        ? `No reply to request on topic: ${topic}`
+        : `Request on topic ${topic} was cancelled`;
+      this.sendError(clientId, outcome.error, message, {
+        request_id: requestId,
+        correlation_id: outcome.correlationId
+      });
+      return;
+    }
+
+    this.sendToClient(client.ws, {
+      type: 'reply',
+      request_id: requestId,
+      topic: topic,
+      correlation_id: outcome.correlationId,
+      message: toJSONMessage(outcome.reply),
+      ts: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Handle ack/nack message for a delivery made in client ack mode
+   * @param {string} clientId - Client identifier
+   * @param {string} type - 'ack' or 'nack'
+   * @param {number} deliveryTag - Tag from the event being acknowledged
+   * @param {boolean} requeue - For nack: redeliver (default) or dead-letter immediately
+   * @param {string} requestId - Request correlation ID
+   */
+  handleAck(clientId, type, deliveryTag, requeue = true, requestId) {
+    if (!Number.isInteger(deliveryTag) || deliveryTag < 1) {
+      this.sendError(clientId, 'BAD_REQUEST', 'delivery_tag must be a positive integer');
+      return;
+    }
+
+    const client = this.clients.get(clientId);
+    if (!client) {
+      this.sendError(clientId, 'UNAUTHORIZED', 'Client not found');
+      return;
+    }
+
+    const pubsubClientId = client.clientProvidedId || clientId;
+    const result = type === 'ack'
+      ? this.pubsubEngine.ack(pubsubClientId, deliveryTag)
+      : this.pubsubEngine.nack(pubsubClientId, deliveryTag, requeue !== false);
+
+    if (!result.success) {
+      this.sendError(clientId, result.error, `Unknown or already settled delivery_tag: ${deliveryTag}`);
+      return;
+    }
+
+    // Acks are high volume; only confirm them when the client asks to correlate
+    if (requestId) {
+      this.sendToClient(client.ws, {
+        type: 'ack',
+        request_id: requestId,
+        delivery_tag: deliveryTag,
+        status: 'ok',
+        action: result.action,
+        ts: new Date().toISOString()
+      });
+    }
+  }
+
   /**
    * Handle ping message
    * @param {string} clientId - Client identifier
@@ -311,6 +691,21 @@ class WebSocketHandler {
       clearInterval(client.pingInterval);
     }
 
+    // Nobody is left to receive replies to this connection's requests
+    this.pubsubEngine.cancelRequests(clientId);
+
+    // Session clients keep their subscriptions for the grace period
+    const sessionClientId = client.clientProvidedId;
+    if (client.sessionMode && sessionClientId && this.pubsubEngine.suspendClient(sessionClientId)) {
+      this.logger.info(`Client session suspended`, {
+        connectionId: clientId,
+        clientProvidedId: sessionClientId,
+        topics: Array.from(client.topics),
+        gracePeriod: this.pubsubEngine.sessionGracePeriod
+      });
+      client.topics.clear();
+    }
+
     // Unsubscribe from all topics using the client-provided ID
     for (const topic of client.topics) {
       const pubsubClientId = client.clientProvidedId || clientId;
@@ -352,13 +747,67 @@ class WebSocketHandler {
     });
   }
 
+  /**
+   * Check a connection's permission on a topic or pattern
+   * @param {Object} client - Client connection info
+   * @param {string} permission - 'publish', 'subscribe' or 'admin'
+   * @param {string} topic - Topic name or pattern
+   * @returns {boolean} - True if allowed (always when auth is not configured)
+   */
+  isAuthorized(client, permission, topic) {
+    if (!this.authenticator) {
+      return true;
+    }
+    return this.authenticator.authorize(client && client.identity, permission, topic);
+  }
+
+  /**
+   * Charge one publish against a connection's rate limits
+   * Sends a RATE_LIMITED error when any bucket is empty; replies to request
+   * inboxes skip the topic limit
+   * @param {string} clientId - Client identifier
+   * @param {string} topic - Topic name
+   * @param {string} requestId - Request correlation ID
+   * @returns {boolean} - True if the publish may proceed
+   */
+  checkRateLimit(clientId, topic, requestId) {
+    if (!this.rateLimiter) {
+      return true;
+    }
+
+    const client = this.clients.get(clientId);
+    const identity = client && client.identity;
+    const result = this.rateLimiter.take({
+      client: client && client.clientProvidedId,
+      apiKey: identity && identity.type === 'api_key' ? identity.principal : undefined,
+      topic: this.pubsubEngine.isInbox(topic) ? undefined : topic
+    });
+    if (result.allowed) {
+      return true;
+    }
+
+    this.logger.debug(`Publish rate limited`, {
+      clientId,
+      topic,
+      scope: result.scope,
+      key: result.key,
+      retryAfterMs: result.retryAfterMs
+    });
+    this.sendError(clientId, 'RATE_LIMITED', result.reason, {
+      request_id: requestId,
+      retry_after_ms: result.retryAfterMs
+    });
+    return false;
+  }
+
   /**
    * Send error message to client
    * @param {string} clientId - Client identifier
    * @param {string} errorCode - Error code
    * @param {string} message - Error message
+   * @param {Object} details - Extra fields for the error frame
    */
-  sendError(clientId, errorCode, message) {
+  sendError(clientId, errorCode, message, details = {}) {
     const client = this.clients.get(clientId);
     if (!client || client.ws.readyState !== WebSocket.OPEN) {
       return;
@@ -368,6 +817,7 @@ class WebSocketHandler {
       type: 'error',
       error: errorCode,
       message: message,
+      ...details,
       ts: new Date().toISOString()
     });
   }
@@ -403,7 +853,7 @@ class WebSocketHandler {
       return false;
     }
 
-    const validTypes = ['subscribe', 'unsubscribe', 'publish', 'ping'];
+    const validTypes = ['subscribe', 'unsubscribe', 'publish', 'request', 'ack', 'nack', 'ping'];
     if (!validTypes.includes(message.type)) {
       return false;
     }
@@ -413,6 +863,7 @@ class WebSocketHandler {
       case 'subscribe':
       case 'unsubscribe':
       case 'publish':
+      case 'request':
         if (!message.topic || typeof message.topic !== 'string') {
           return false;
         }